@@ -1,7 +1,8 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { initDatabase, query, run } = require('../config/database');
+const { query, run } = require('../config/database');
+const { migrate, getStatus } = require('../config/migrations');
 const User = require('../models/User');
 const Equipment = require('../models/Equipment');
 
@@ -14,6 +15,11 @@ const uploadRoutes = require('../routes/upload');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Proxies in front of the app whose X-Forwarded-For entries are trusted (req.ip is the hop before them)
+// TRUST_PROXY: number of hops (default 1, the Vercel edge) or a list of proxy addresses/subnets
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
+
 // Auto-seed default users and equipment
 const autoSeed = async () => {
   try {
@@ -27,7 +33,7 @@ const autoSeed = async () => {
     // Check and create regular user
     const existingUser = await User.findByEmail('user@test.com');
     if (!existingUser) {
-      await User.create('testuser', 'user@test.com', 'user123', 'user');
+      await User.create('testuser', 'user@test.com', 'user123', 'staff');
       console.log('✓ Default test user created');
     }
 
@@ -54,16 +60,21 @@ app.use((req, res, next) => {
   next();
 });
 
-// Initialize database middleware (for Vercel/Serverless)
+// Check schema once per instance (for Vercel/Serverless)
+// Schema changes are applied by `npm run migrate` at deploy time, never while handling requests
 let dbInitialized = false;
 
 app.use(async (req, res, next) => {
   if (!dbInitialized) {
     try {
-      await initDatabase();
+      const pending = (await getStatus()).filter(m => m.status === 'pending');
+      if (pending.length > 0) {
+        console.error(`Database schema is behind: ${pending.map(m => `${m.version}_${m.name}`).join(', ')} pending`);
+        return res.status(503).json({ error: 'Database schema is not up to date' });
+      }
       await autoSeed();
       dbInitialized = true;
-      console.log('Database initialized for this instance');
+      console.log('Database ready for this instance');
     } catch (error) {
       console.error('Database initialization failed:', error);
       return res.status(500).json({ error: 'Database connection failed' });
@@ -77,10 +88,62 @@ app.use(['/auth', '/api/auth'], authRoutes);
 app.use(['/reservations', '/api/reservations'], reservationRoutes);
 app.use(['/upload', '/api/upload'], uploadRoutes);
 
+// Two-Factor Authentication Routes (TOTP enrollment, second login step, admin policy)
+const twoFactorRoutes = require('../routes/twoFactor');
+app.use(['/auth/2fa', '/api/auth/2fa'], twoFactorRoutes);
+
 // Permission Routes
 const permissionRoutes = require('../routes/permission');
 app.use(['/permissions', '/api/permissions'], permissionRoutes);
 
+// Reservation Series Routes (recurring reservations)
+const reservationSeriesRoutes = require('../routes/reservationSeries');
+app.use(['/reservation-series', '/api/reservation-series'], reservationSeriesRoutes);
+
+// Calendar Routes (iCalendar subscription feeds)
+const calendarRoutes = require('../routes/calendar');
+app.use(['/calendar', '/api/calendar'], calendarRoutes);
+
+// Waitlist Routes
+const waitlistRoutes = require('../routes/waitlist');
+app.use(['/waitlist', '/api/waitlist'], waitlistRoutes);
+
+// Booking Policy Routes (per-equipment booking rules)
+const bookingPolicyRoutes = require('../routes/bookingPolicy');
+app.use(['/booking-policies', '/api/booking-policies'], bookingPolicyRoutes);
+
+// Billing Routes (usage-based cost recovery)
+const billingRoutes = require('../routes/billing');
+app.use(['/billing', '/api/billing'], billingRoutes);
+
+// Notification Routes (mail preferences, queue, reminders)
+const notificationRoutes = require('../routes/notification');
+app.use(['/notifications', '/api/notifications'], notificationRoutes);
+
+// Audit Log Routes (admin)
+const auditRoutes = require('../routes/audit');
+app.use(['/audit-logs', '/api/audit-logs'], auditRoutes);
+
+// Availability Routes (free slot search across instruments, atomic booking)
+const availabilityRoutes = require('../routes/availability');
+app.use(['/availability', '/api/availability'], availabilityRoutes);
+
+// Import Routes (bulk CSV/Excel import of users, equipment and permissions)
+const importRoutes = require('../routes/import');
+app.use(['/imports', '/api/imports'], importRoutes);
+
+// Report Routes (CSV/XLSX exports of reservations, equipment logs and stats)
+const reportRoutes = require('../routes/report');
+app.use(['/reports', '/api/reports'], reportRoutes);
+
+// Analytics Routes (usage by department and supervisor, period-over-period)
+const analyticsRoutes = require('../routes/analytics');
+app.use(['/analytics', '/api/analytics'], analyticsRoutes);
+
+// Maintenance Window Routes
+const maintenanceRoutes = require('../routes/maintenance');
+app.use(['/maintenance', '/api/maintenance'], maintenanceRoutes);
+
 // Equipment Log Routes
 const equipmentLogRoutes = require('../routes/equipmentLog');
 app.use(['/equipment-logs', '/api/equipment-logs'], equipmentLogRoutes);
@@ -90,94 +153,14 @@ app.use(['/equipment-logs', '/api/equipment-logs'], equipmentLogRoutes);
 app.use(['/equipment', '/api/equipment'], equipmentRoutes);
 
 // Statistics API (Enhanced)
-const { verifyToken: statsVerifyToken, isAdmin: statsIsAdmin } = require('../middleware/auth');
-app.get(['/stats', '/api/stats'], statsVerifyToken, statsIsAdmin, async (req, res) => {
+const { verifyToken: statsVerifyToken, requireCapability: statsRequireCapability } = require('../middleware/auth');
+const { CAPABILITIES: STATS_CAPABILITIES } = require('../services/capabilities');
+const { getUsageStats } = require('../services/stats');
+
+app.get(['/stats', '/api/stats'], statsVerifyToken, statsRequireCapability(STATS_CAPABILITIES.STATS_VIEW), async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
-    const hasDateFilter = start_date && end_date;
-
-    // Equipment usage stats (with total hours)
-    const equipmentStats = await query(`
-      SELECT
-        e.id,
-        e.name as equipment_name,
-        COUNT(r.id) as total_reservations,
-        COUNT(CASE WHEN r.status = 'confirmed' THEN 1 END) as confirmed_count,
-        COUNT(CASE WHEN r.status = 'cancelled' THEN 1 END) as cancelled_count,
-        COALESCE(SUM(
-          CASE WHEN r.status = 'confirmed'
-          THEN EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600
-          ELSE 0 END
-        ), 0) as total_hours
-      FROM equipment e
-      LEFT JOIN reservations r ON e.id = r.equipment_id
-        ${hasDateFilter ? 'AND r.start_time >= $1 AND r.start_time < $2' : ''}
-      GROUP BY e.id, e.name
-      ORDER BY total_hours DESC
-    `, hasDateFilter ? [start_date, end_date] : []);
-
-    // User usage stats (with total hours and department)
-    const userStats = await query(`
-      SELECT
-        u.id,
-        u.username,
-        u.email,
-        u.department,
-        COUNT(r.id) as total_reservations,
-        COUNT(CASE WHEN r.status = 'confirmed' THEN 1 END) as confirmed_count,
-        COUNT(CASE WHEN r.status = 'cancelled' THEN 1 END) as cancelled_count,
-        COALESCE(SUM(
-          CASE WHEN r.status = 'confirmed'
-          THEN EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600
-          ELSE 0 END
-        ), 0) as total_hours
-      FROM users u
-      LEFT JOIN reservations r ON u.id = r.user_id
-        ${hasDateFilter ? 'AND r.start_time >= $1 AND r.start_time < $2' : ''}
-      GROUP BY u.id, u.username, u.email, u.department
-      ORDER BY total_hours DESC
-    `, hasDateFilter ? [start_date, end_date] : []);
-
-    // User-Equipment usage matrix (top 20)
-    const userEquipmentStats = await query(`
-      SELECT
-        u.username,
-        e.name as equipment_name,
-        COUNT(r.id) as reservation_count,
-        COALESCE(SUM(
-          CASE WHEN r.status = 'confirmed'
-          THEN EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600
-          ELSE 0 END
-        ), 0) as total_hours
-      FROM reservations r
-      JOIN users u ON r.user_id = u.id
-      JOIN equipment e ON r.equipment_id = e.id
-      WHERE r.status = 'confirmed'
-        ${hasDateFilter ? 'AND r.start_time >= $1 AND r.start_time < $2' : ''}
-      GROUP BY u.username, e.name
-      ORDER BY total_hours DESC
-      LIMIT 20
-    `, hasDateFilter ? [start_date, end_date] : []);
-
-    // Monthly reservation trends (last 6 months or filtered period)
-    const monthlyStats = await query(`
-      SELECT
-        TO_CHAR(DATE_TRUNC('month', start_time), 'YYYY-MM') as month,
-        COUNT(*) as count,
-        COALESCE(SUM(EXTRACT(EPOCH FROM (end_time - start_time)) / 3600), 0) as total_hours
-      FROM reservations
-      WHERE status = 'confirmed'
-        ${hasDateFilter ? 'AND start_time >= $1 AND start_time < $2' : 'AND start_time >= NOW() - INTERVAL \'6 months\''}
-      GROUP BY DATE_TRUNC('month', start_time)
-      ORDER BY month DESC
-    `, hasDateFilter ? [start_date, end_date] : []);
-
-    res.json({
-      equipmentStats: equipmentStats || [],
-      userStats: userStats || [],
-      userEquipmentStats: userEquipmentStats || [],
-      monthlyStats: monthlyStats || []
-    });
+    res.json(await getUsageStats({ equipmentIds: null, startDate: start_date, endDate: end_date }));
   } catch (error) {
     console.error('Stats error:', error);
     res.status(500).json({ error: error.message });
@@ -190,7 +173,6 @@ app.get(['/stats/manager', '/api/stats/manager'], statsVerifyToken, async (req,
   try {
     const userId = req.user.id;
     const { start_date, end_date } = req.query;
-    const hasDateFilter = start_date && end_date;
 
     // Get managed equipment IDs
     const managedEquipment = await Permission.getManagedEquipment(userId);
@@ -205,90 +187,7 @@ app.get(['/stats/manager', '/api/stats/manager'], statsVerifyToken, async (req,
       });
     }
 
-    // Equipment usage stats (filtered by managed equipment)
-    const equipmentStats = await query(`
-      SELECT
-        e.id,
-        e.name as equipment_name,
-        COUNT(r.id) as total_reservations,
-        COUNT(CASE WHEN r.status = 'confirmed' THEN 1 END) as confirmed_count,
-        COUNT(CASE WHEN r.status = 'cancelled' THEN 1 END) as cancelled_count,
-        COALESCE(SUM(
-          CASE WHEN r.status = 'confirmed'
-          THEN EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600
-          ELSE 0 END
-        ), 0) as total_hours
-      FROM equipment e
-      LEFT JOIN reservations r ON e.id = r.equipment_id
-        ${hasDateFilter ? 'AND r.start_time >= $2 AND r.start_time < $3' : ''}
-      WHERE e.id = ANY($1)
-      GROUP BY e.id, e.name
-      ORDER BY total_hours DESC
-    `, hasDateFilter ? [equipmentIds, start_date, end_date] : [equipmentIds]);
-
-    // User usage stats (for managed equipment only)
-    const userStats = await query(`
-      SELECT
-        u.id,
-        u.username,
-        u.email,
-        u.department,
-        COUNT(r.id) as total_reservations,
-        COUNT(CASE WHEN r.status = 'confirmed' THEN 1 END) as confirmed_count,
-        COUNT(CASE WHEN r.status = 'cancelled' THEN 1 END) as cancelled_count,
-        COALESCE(SUM(
-          CASE WHEN r.status = 'confirmed'
-          THEN EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600
-          ELSE 0 END
-        ), 0) as total_hours
-      FROM users u
-      JOIN reservations r ON u.id = r.user_id
-      WHERE r.equipment_id = ANY($1)
-        ${hasDateFilter ? 'AND r.start_time >= $2 AND r.start_time < $3' : ''}
-      GROUP BY u.id, u.username, u.email, u.department
-      ORDER BY total_hours DESC
-    `, hasDateFilter ? [equipmentIds, start_date, end_date] : [equipmentIds]);
-
-    // User-Equipment usage matrix (filtered by managed equipment)
-    const userEquipmentStats = await query(`
-      SELECT
-        u.username,
-        e.name as equipment_name,
-        COUNT(r.id) as reservation_count,
-        COALESCE(SUM(
-          CASE WHEN r.status = 'confirmed'
-          THEN EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600
-          ELSE 0 END
-        ), 0) as total_hours
-      FROM reservations r
-      JOIN users u ON r.user_id = u.id
-      JOIN equipment e ON r.equipment_id = e.id
-      WHERE r.status = 'confirmed' AND e.id = ANY($1)
-        ${hasDateFilter ? 'AND r.start_time >= $2 AND r.start_time < $3' : ''}
-      GROUP BY u.username, e.name
-      ORDER BY total_hours DESC
-      LIMIT 20
-    `, hasDateFilter ? [equipmentIds, start_date, end_date] : [equipmentIds]);
-
-    // Monthly reservation trends (filtered by managed equipment)
-    const monthlyStats = await query(`
-      SELECT
-        TO_CHAR(DATE_TRUNC('month', r.start_time), 'YYYY-MM') as month,
-        COUNT(*) as count,
-        COALESCE(SUM(EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600), 0) as total_hours
-      FROM reservations r
-      WHERE r.status = 'confirmed' AND r.equipment_id = ANY($1)
-        ${hasDateFilter ? 'AND r.start_time >= $2 AND r.start_time < $3' : 'AND r.start_time >= NOW() - INTERVAL \'6 months\''}
-      GROUP BY DATE_TRUNC('month', r.start_time)
-      ORDER BY month DESC
-    `, hasDateFilter ? [equipmentIds, start_date, end_date] : [equipmentIds]);
-
-    res.json({
-      equipmentStats: equipmentStats || [],
-      userStats: userStats || [],
-      userEquipmentStats: userEquipmentStats || [],
-      monthlyStats: monthlyStats || []
-    });
+    res.json(await getUsageStats({ equipmentIds, startDate: start_date, endDate: end_date }));
   } catch (error) {
     console.error('Manager stats error:', error);
     res.status(500).json({ error: error.message });
@@ -313,7 +212,8 @@ app.use((err, req, res, next) => {
 
 // Start server if run directly (Local / Railway / Traditional Hosting)
 if (require.main === module) {
-  initDatabase()
+  // Long-running server: apply pending migrations before listening (the advisory lock serializes instances)
+  migrate()
     .then(async () => {
       await autoSeed();
       app.listen(PORT, () => {
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./database');
+
+// Versioned schema migrations
+// Files in migrations/ are named NNN_description.js and export up(client) / down(client).
+// Each migration runs in its own transaction; applied versions are recorded in schema_migrations.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// pg_advisory_lock key shared by every instance, so only one of them migrates at a time
+const LOCK_KEY = 4021937;
+
+// Load migration files sorted by version
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      return { version, name, file, up, down };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (versions.has(Number(migration.version))) {
+      throw new Error(`Duplicate migration version ${migration.version} (${migration.file})`);
+    }
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.file} must export up and down`);
+    }
+    versions.add(Number(migration.version));
+  }
+  return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+// Run callback on a dedicated connection holding the migration lock
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// Run one migration step in a transaction
+const runStep = async (client, migration, direction) => {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    err.message = `Migration ${migration.file} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+};
+
+/**
+ * Apply pending migrations in order
+ * @param {{ to?: string }} options - stop after this version (default: all)
+ * @returns {string[]} - applied migration files
+ */
+const migrate = async ({ to } = {}) => {
+  const migrations = loadMigrations();
+
+  return await withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedVersions(client)).map(row => Number(row.version)));
+    const pending = migrations.filter(m =>
+      !applied.has(Number(m.version)) && (to === undefined || Number(m.version) <= Number(to))
+    );
+
+    const done = [];
+    for (const migration of pending) {
+      await runStep(client, migration, 'up');
+      console.log(`✓ Migrated ${migration.file}`);
+      done.push(migration.file);
+    }
+    return done;
+  });
+};
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {{ steps?: number }} options - number of migrations to undo (default 1)
+ * @returns {string[]} - rolled back migration files
+ */
+const rollback = async ({ steps = 1 } = {}) => {
+  const migrations = loadMigrations();
+
+  return await withMigrationLock(async (client) => {
+    const applied = (await getAppliedVersions(client))
+      .sort((a, b) => Number(b.version) - Number(a.version))
+      .slice(0, steps);
+
+    const done = [];
+    for (const row of applied) {
+      const migration = migrations.find(m => Number(m.version) === Number(row.version));
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${row.version} (${row.name}) not found`);
+      }
+      await runStep(client, migration, 'down');
+      console.log(`✓ Rolled back ${migration.file}`);
+      done.push(migration.file);
+    }
+    return done;
+  });
+};
+
+/**
+ * Applied/pending state of every migration (read only, no lock)
+ * @returns {Array<{ version: string, name: string, status: 'applied'|'pending'|'missing', applied_at: Date|null }>}
+ */
+const getStatus = async () => {
+  const migrations = loadMigrations();
+
+  const table = await pool.query(`SELECT to_regclass('schema_migrations') as name`);
+  const applied = table.rows[0].name
+    ? (await pool.query('SELECT version, name, applied_at FROM schema_migrations')).rows
+    : [];
+  const appliedByVersion = new Map(applied.map(row => [Number(row.version), row]));
+
+  const status = migrations.map(m => {
+    const row = appliedByVersion.get(Number(m.version));
+    return { version: m.version, name: m.name, status: row ? 'applied' : 'pending', applied_at: row ? row.applied_at : null };
+  });
+
+  // Applied by a newer release whose files are not deployed here
+  const known = new Set(migrations.map(m => Number(m.version)));
+  applied
+    .filter(row => !known.has(Number(row.version)))
+    .forEach(row => status.push({ version: row.version, name: row.name, status: 'missing', applied_at: row.applied_at }));
+
+  return status.sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  migrate,
+  rollback,
+  getStatus,
+};
@@ -1,31 +1,58 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { hasCapability } = require('../services/capabilities');
 
 // Verify JWT token middleware
-const verifyToken = (req, res, next) => {
+// The token's session must still be active and its role claim must match the user's current role
+const verifyToken = async (req, res, next) => {
   const token = req.headers['authorization']?.split(' ')[1]; // Bearer TOKEN
 
   if (!token) {
     return res.status(403).json({ error: 'No token provided' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const session = decoded.sid ? await Session.findActive(decoded.sid) : null;
+    if (!session || session.user_id !== decoded.id) {
+      return res.status(401).json({ error: 'Session expired or revoked', code: 'SESSION_REVOKED' });
+    }
+
+    if (session.user_role !== decoded.user_role) {
+      return res.status(401).json({ error: 'Role has changed, please log in again', code: 'ROLE_CHANGED' });
+    }
+
     req.user = decoded; // Add user info to request
     next();
   } catch (error) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    console.error('Verify session error:', error);
+    return res.status(500).json({ error: 'Failed to verify session' });
   }
 };
 
-// Check if user is admin
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+// Require capability (see services/capabilities.js)
+// getEquipmentId(req) resolves the target equipment for equipment-scoped capabilities;
+// it may be async and may return null when the target does not exist
+const requireCapability = (capability, getEquipmentId = null) => async (req, res, next) => {
+  try {
+    const equipmentId = getEquipmentId ? await getEquipmentId(req) : null;
+    if (!(await hasCapability(req.user, capability, equipmentId))) {
+      return res.status(403).json({ error: '권한이 없습니다.', code: 'FORBIDDEN', capability });
+    }
+    next();
+  } catch (error) {
+    console.error('Check capability error:', error);
+    return res.status(500).json({ error: 'Failed to check permission' });
   }
-  next();
 };
 
 module.exports = {
   verifyToken,
-  isAdmin
+  requireCapability
 };
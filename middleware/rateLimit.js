@@ -0,0 +1,34 @@
+const RateLimit = require('../models/RateLimit');
+const { getClientIp } = require('../services/audit');
+
+const MAX_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Rate limit middleware for unauthenticated routes (counted per client IP in Postgres,
+// so the limit holds across serverless instances)
+// options: { name, windowSeconds (at most one day), max }
+const rateLimit = ({ name, windowSeconds, max }) => async (req, res, next) => {
+  try {
+    const ip = getClientIp(req) || 'unknown';
+    const counter = await RateLimit.hit(`${name}:${ip}`, windowSeconds);
+
+    // Occasionally drop counters from old windows
+    if (Math.random() < 0.01) {
+      RateLimit.purgeExpired(MAX_WINDOW_SECONDS).catch(error => console.error('Rate limit purge error:', error));
+    }
+
+    if (counter.hits > max) {
+      const elapsed = (Date.now() - new Date(counter.window_start).getTime()) / 1000;
+      const retryAfter = Math.max(Math.ceil(windowSeconds - elapsed), 1);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: '요청이 너무 많습니다. 잠시 후 다시 시도해주세요.', code: 'RATE_LIMITED', retryAfter });
+    }
+  } catch (error) {
+    // Fail open: a counter outage must not take the public routes down
+    console.error(`Rate limit error (${name}):`, error);
+  }
+  next();
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,58 @@
+// Schema migration CLI
+//   node migrate.js up [--to <version>]    apply pending migrations
+//   node migrate.js down [--steps <n>]     roll back the last n migrations (default 1)
+//   node migrate.js status                 list applied and pending migrations
+// Run `npm run migrate` before starting a new release; the API no longer changes the schema itself.
+require('dotenv').config();
+const { pool } = require('./config/database');
+const { migrate, rollback, getStatus } = require('./config/migrations');
+
+// Read "--name value" from the arguments
+const option = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const printStatus = async () => {
+  const status = await getStatus();
+  status.forEach(m => {
+    const appliedAt = m.applied_at ? m.applied_at.toISOString() : '';
+    console.log(`${m.status.padEnd(8)} ${m.version}_${m.name} ${appliedAt}`.trimEnd());
+  });
+  const pending = status.filter(m => m.status === 'pending').length;
+  console.log(pending > 0 ? `\n${pending} pending migration(s)` : '\nSchema is up to date');
+};
+
+const main = async () => {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate({ to: option(args, 'to') });
+      console.log(applied.length > 0 ? `\n${applied.length} migration(s) applied` : 'Nothing to migrate');
+      break;
+    }
+    case 'down': {
+      const steps = Number(option(args, 'steps') || 1);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+      const rolledBack = await rollback({ steps });
+      console.log(rolledBack.length > 0 ? `\n${rolledBack.length} migration(s) rolled back` : 'Nothing to roll back');
+      break;
+    }
+    case 'status':
+      await printStatus();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}" (use up, down or status)`);
+  }
+};
+
+main()
+  .then(() => pool.end())
+  .catch(async (err) => {
+    console.error('❌ ' + err.message);
+    await pool.end();
+    process.exit(1);
+  });
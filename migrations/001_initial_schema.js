@@ -0,0 +1,525 @@
+// 001 Initial schema
+// Schema as of the switch to versioned migrations. Written with IF NOT EXISTS so databases
+// created by the old startup initialization are brought up to date instead of failing.
+
+// Dropped in reverse order of creation
+const TABLES = [
+  'equipment_categories',
+  'invoice_lines',
+  'invoices',
+  'audit_logs',
+  'app_settings',
+  'two_factor_recovery_codes',
+  'rate_limits',
+  'login_attempts',
+  'email_verification_tokens',
+  'password_reset_tokens',
+  'auth_sessions',
+  'notification_preferences',
+  'notification_queue',
+  'booking_policies',
+  'equipment_rates',
+  'waitlist_entries',
+  'maintenance_windows',
+  'calendar_feed_tokens',
+  'reservation_series',
+  'equipment_logs',
+  'equipment_permissions',
+  'reservations',
+  'equipment',
+  'users',
+];
+
+module.exports = {
+  up: async (client) => {
+    // Create Users table with extended fields
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        department VARCHAR(50),
+        phone VARCHAR(20),
+        user_role VARCHAR(20) DEFAULT 'staff',
+        supervisor VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create Equipment table with manager
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS equipment (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        location VARCHAR(255),
+        status VARCHAR(50) DEFAULT 'available' CHECK(status IN ('available', 'maintenance')),
+        image_url TEXT,
+        brochure_url TEXT,
+        manual_url TEXT,
+        quick_guide_url TEXT,
+        manager_id INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create Reservations table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reservations (
+        id SERIAL PRIMARY KEY,
+        equipment_id INTEGER NOT NULL REFERENCES equipment(id),
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        start_time TIMESTAMP NOT NULL,
+        end_time TIMESTAMP NOT NULL,
+        purpose TEXT,
+        status VARCHAR(50) DEFAULT 'confirmed' CHECK(status IN ('pending', 'confirmed', 'cancelled', 'rejected')),
+        reviewed_by INTEGER REFERENCES users(id),
+        reviewed_at TIMESTAMP,
+        rejection_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create Equipment Permissions table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS equipment_permissions (
+        id SERIAL PRIMARY KEY,
+        equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        granted_by INTEGER REFERENCES users(id),
+        granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(equipment_id, user_id)
+      )
+    `);
+
+    // Create Equipment Logs table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS equipment_logs (
+        id SERIAL PRIMARY KEY,
+        equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id),
+        reservation_id INTEGER REFERENCES reservations(id),
+        log_type VARCHAR(20) DEFAULT 'usage_remark',
+        content TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create Reservation Series table (recurring reservations)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reservation_series (
+        id SERIAL PRIMARY KEY,
+        equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        frequency VARCHAR(10) NOT NULL CHECK(frequency IN ('daily', 'weekly')),
+        interval_count INTEGER NOT NULL DEFAULT 1,
+        weekdays INTEGER[],
+        until_date DATE,
+        occurrence_count INTEGER,
+        start_time TIMESTAMP NOT NULL,
+        end_time TIMESTAMP NOT NULL,
+        purpose TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create Calendar Feed Tokens table (iCalendar subscription, separate from login JWT)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        label VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    // Create Maintenance Windows table (one row per occurrence, recurring windows point to their first row)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS maintenance_windows (
+        id SERIAL PRIMARY KEY,
+        equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES maintenance_windows(id) ON DELETE CASCADE,
+        start_time TIMESTAMP NOT NULL,
+        end_time TIMESTAMP NOT NULL,
+        reason TEXT,
+        technician VARCHAR(100),
+        frequency VARCHAR(10) CHECK(frequency IN ('daily', 'weekly')),
+        interval_count INTEGER,
+        weekdays INTEGER[],
+        until_date DATE,
+        occurrence_count INTEGER,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create Waitlist table (requests for fully booked time slots)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS waitlist_entries (
+        id SERIAL PRIMARY KEY,
+        equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        start_time TIMESTAMP NOT NULL,
+        end_time TIMESTAMP NOT NULL,
+        purpose TEXT,
+        status VARCHAR(20) DEFAULT 'waiting' CHECK(status IN ('waiting', 'promoted', 'cancelled')),
+        reservation_id INTEGER REFERENCES reservations(id) ON DELETE SET NULL,
+        promoted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create Equipment Rates table (hourly rate per equipment, optionally per user_role)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS equipment_rates (
+        id SERIAL PRIMARY KEY,
+        equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+        user_role VARCHAR(20) NOT NULL DEFAULT 'default',
+        hourly_rate NUMERIC(12, 2) NOT NULL,
+        minimum_charge NUMERIC(12, 2) NOT NULL DEFAULT 0,
+        rounding_minutes INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(equipment_id, user_role)
+      )
+    `);
+
+    // Create Booking Policies table (rules per equipment and permission level, 'default' applies to all levels)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS booking_policies (
+        id SERIAL PRIMARY KEY,
+        equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+        permission_level VARCHAR(20) NOT NULL DEFAULT 'default',
+        min_duration_minutes INTEGER,
+        max_duration_minutes INTEGER,
+        max_advance_days INTEGER,
+        min_notice_minutes INTEGER,
+        weekly_quota_hours NUMERIC(6, 2),
+        allowed_weekdays INTEGER[],
+        allowed_start_hour INTEGER CHECK(allowed_start_hour BETWEEN 0 AND 24),
+        allowed_end_hour INTEGER CHECK(allowed_end_hour BETWEEN 0 AND 24),
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(equipment_id, permission_level)
+      )
+    `);
+
+    // Create Notification tables (outgoing mail queue with retry, per-user preferences)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_queue (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        to_email VARCHAR(255) NOT NULL,
+        event VARCHAR(50) NOT NULL,
+        subject TEXT NOT NULL,
+        body TEXT NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK(status IN ('pending', 'sending', 'sent', 'failed')),
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        locale VARCHAR(5) DEFAULT 'ko' CHECK(locale IN ('ko', 'en')),
+        email_enabled BOOLEAN DEFAULT TRUE,
+        disabled_events TEXT[] DEFAULT '{}',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create Auth Sessions table (one row per login; only hashes of refresh tokens are stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+        previous_token_hash VARCHAR(64),
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_reason VARCHAR(50)
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions (user_id)');
+
+    // Create Password Reset Tokens table (single-use, only hashes stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        purpose VARCHAR(20) DEFAULT 'forgot' CHECK(purpose IN ('forgot', 'forced', 'admin')),
+        requested_ip VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+      )
+    `);
+
+    // Create Email Verification Tokens table (single-use, only hashes stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+      )
+    `);
+
+    // Create Login Attempts table (failed logins per account and per IP, shared across instances)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        key_type VARCHAR(10) NOT NULL CHECK(key_type IN ('account', 'ip')),
+        key_value VARCHAR(255) NOT NULL,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        first_failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_until TIMESTAMP,
+        PRIMARY KEY (key_type, key_value)
+      )
+    `);
+
+    // Create Rate Limits table (fixed-window request counters for public routes)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket VARCHAR(255) PRIMARY KEY,
+        window_start TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        hits INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    // Create Two-Factor Recovery Codes table (only hashes stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        used_at TIMESTAMP
+      )
+    `);
+
+    // Create App Settings table (admin-configurable switches)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS app_settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create Audit Log table (append-only; actor/target names are copied so entries survive deletes)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id SERIAL PRIMARY KEY,
+        actor_id INTEGER,
+        actor_username VARCHAR(255),
+        action VARCHAR(50) NOT NULL,
+        target_type VARCHAR(30) NOT NULL,
+        target_id INTEGER,
+        target_label VARCHAR(255),
+        before_data JSONB,
+        after_data JSONB,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs (created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_target ON audit_logs (target_type, target_id)');
+    await client.query(`
+      CREATE OR REPLACE FUNCTION prevent_audit_log_change() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_logs is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs');
+    await client.query(`
+      CREATE TRIGGER audit_logs_append_only
+      BEFORE UPDATE OR DELETE ON audit_logs
+      FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_change()
+    `);
+
+    // Create Invoices tables (figures are frozen when issued)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id SERIAL PRIMARY KEY,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        group_type VARCHAR(20) NOT NULL CHECK(group_type IN ('department', 'supervisor')),
+        group_key VARCHAR(100),
+        total_hours NUMERIC(12, 2) NOT NULL DEFAULT 0,
+        total_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+        status VARCHAR(20) DEFAULT 'issued' CHECK(status IN ('issued', 'void')),
+        issued_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        voided_at TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS invoice_lines (
+        id SERIAL PRIMARY KEY,
+        invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        reservation_id INTEGER REFERENCES reservations(id) ON DELETE SET NULL,
+        equipment_id INTEGER,
+        equipment_name VARCHAR(255),
+        user_id INTEGER,
+        username VARCHAR(255),
+        department VARCHAR(50),
+        supervisor VARCHAR(100),
+        user_role VARCHAR(20),
+        start_time TIMESTAMP NOT NULL,
+        end_time TIMESTAMP NOT NULL,
+        billed_hours NUMERIC(10, 2) NOT NULL,
+        hourly_rate NUMERIC(12, 2) NOT NULL,
+        amount NUMERIC(14, 2) NOT NULL
+      )
+    `);
+
+    // Create Equipment Categories table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS equipment_categories (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        sort_order INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Columns added after the first release (databases created by older versions lack them)
+
+    // Users table migrations
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS department VARCHAR(50)`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS phone VARCHAR(20)`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS user_role VARCHAR(20) DEFAULT 'staff'`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS supervisor VARCHAR(100)`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS must_reset_password BOOLEAN DEFAULT FALSE`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP`);
+    // must_reset_password: 관리자가 지정하면 다음 로그인 시 비밀번호 재설정 필요
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS account_status VARCHAR(20) DEFAULT 'active'`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS requested_role VARCHAR(20)`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT TRUE`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS rejection_reason TEXT`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS supervisor_confirmed_by INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS supervisor_confirmed_at TIMESTAMP`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT`);
+    // totp_secret: 암호화된 OTP 비밀키 (등록 중이면 totp_enabled = FALSE)
+    // totp_last_step: 마지막으로 사용된 OTP 시간 단계 (같은 코드 재사용 방지)
+    // account_status: 자가 가입 계정은 pending_approval로 시작, 관리자 승인 후 active (기존 계정은 active)
+    // requested_role: 가입 시 요청한 신분 (관리자/장비담당자는 승인 시에만 부여)
+    // email_verified: 자가 가입 계정은 FALSE로 시작 (기존 계정은 TRUE)
+
+    // Retire legacy role column: copy role to user_role (admin → admin, user → staff), then drop it
+    // 권한은 user_role + 장비별 권한으로만 판단 (services/capabilities.js)
+    const legacyRole = await client.query(`
+      SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'role'
+    `);
+    if (legacyRole.rows.length > 0) {
+      await client.query(`UPDATE users SET user_role = 'admin' WHERE role = 'admin' AND (user_role IS NULL OR user_role = 'staff')`);
+      await client.query(`UPDATE users SET user_role = 'staff' WHERE role = 'user' AND (user_role IS NULL OR user_role = '')`);
+      await client.query(`ALTER TABLE users DROP COLUMN role`);
+    }
+
+    // Equipment table migrations
+    await client.query(`ALTER TABLE equipment ADD COLUMN IF NOT EXISTS brochure_url TEXT`);
+    await client.query(`ALTER TABLE equipment ADD COLUMN IF NOT EXISTS manual_url TEXT`);
+    await client.query(`ALTER TABLE equipment ADD COLUMN IF NOT EXISTS quick_guide_url TEXT`);
+    await client.query(`ALTER TABLE equipment ADD COLUMN IF NOT EXISTS manager_id INTEGER REFERENCES users(id)`);
+    await client.query(`ALTER TABLE equipment ADD COLUMN IF NOT EXISTS image_file_url TEXT`);
+    // image_url: 사용자 직접 입력 URL, image_file_url: R2 업로드 파일 URL
+
+    await client.query(`ALTER TABLE equipment ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES equipment_categories(id) ON DELETE SET NULL`);
+    await client.query(`ALTER TABLE equipment ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}'`);
+    await client.query(`ALTER TABLE equipment ADD COLUMN IF NOT EXISTS specs JSONB NOT NULL DEFAULT '{}'`);
+    // tags: 자유 태그, specs: 사양 (예: {"배율": "x1000", "진공도": "1e-6 Torr"})
+
+    // Full-text search document: name/tags (A), description (B), specs (C)
+    // 'simple' 설정은 형태소 분석 없이 공백/기호로만 나누므로 한국어 단어도 그대로 색인됩니다
+    await client.query(`
+      CREATE OR REPLACE FUNCTION equipment_search_vector(TEXT, TEXT, TEXT[], JSONB) RETURNS tsvector AS $$
+      BEGIN
+        RETURN setweight(to_tsvector('simple', COALESCE($1, '')), 'A') ||
+               setweight(to_tsvector('simple', COALESCE(array_to_string($3, ' '), '')), 'A') ||
+               setweight(to_tsvector('simple', COALESCE($2, '')), 'B') ||
+               setweight(to_tsvector('simple', COALESCE(
+                 (SELECT string_agg(key || ' ' || value, ' ') FROM jsonb_each_text($4)), ''
+               )), 'C');
+      END;
+      $$ LANGUAGE plpgsql IMMUTABLE
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_equipment_search
+      ON equipment USING GIN (equipment_search_vector(name, description, tags, specs))
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_equipment_tags ON equipment USING GIN (tags)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_equipment_category ON equipment (category_id)');
+
+    // Set admin as default manager for equipment without manager
+    await client.query(`
+      UPDATE equipment SET manager_id = (SELECT id FROM users WHERE user_role = 'admin' LIMIT 1)
+      WHERE manager_id IS NULL
+    `);
+
+    // Equipment Permissions table migrations
+    await client.query(`ALTER TABLE equipment_permissions ADD COLUMN IF NOT EXISTS permission_level VARCHAR(20) DEFAULT 'normal'`);
+    await client.query(`ALTER TABLE equipment_permissions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP`);
+    // permission_level: 'normal' (승인필요), 'autonomous' (자율사용), 'manager' (장비담당)
+    // updated_at: 권한 레벨이 변경된 날짜
+
+    // Reservations table migrations (approval workflow)
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id)`);
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP`);
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS rejection_reason TEXT`);
+    await client.query(`ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_status_check`);
+    await client.query(`
+      ALTER TABLE reservations ADD CONSTRAINT reservations_status_check
+      CHECK (status IN ('pending', 'confirmed', 'cancelled', 'rejected'))
+    `);
+    // reviewed_by / reviewed_at: 승인 또는 반려한 담당자와 시각
+    // rejection_reason: 반려 사유 (status = 'rejected')
+
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES reservation_series(id) ON DELETE SET NULL`);
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS is_series_exception BOOLEAN DEFAULT FALSE`);
+    // series_id: 반복 예약 묶음, is_series_exception: 개별 수정된 회차 (묶음 수정에서 제외)
+
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP`);
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMP`);
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS no_show BOOLEAN DEFAULT FALSE`);
+    // checked_in_at / checked_out_at: 실제 사용 시간, no_show: 유예 시간 내 체크인하지 않은 예약
+
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS policy_override_by INTEGER REFERENCES users(id)`);
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS policy_override_reason TEXT`);
+    // policy_override_*: 예약 규칙 위반을 승인한 담당자와 사유
+
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP`);
+    // reminder_sent_at: 예약 시작 전 알림 발송 시각 (중복 발송 방지)
+  },
+
+  down: async (client) => {
+    for (const table of TABLES) {
+      await client.query(`DROP TABLE IF EXISTS ${table} CASCADE`);
+    }
+    await client.query('DROP FUNCTION IF EXISTS equipment_search_vector(TEXT, TEXT, TEXT[], JSONB)');
+    await client.query('DROP FUNCTION IF EXISTS prevent_audit_log_change()');
+  },
+};
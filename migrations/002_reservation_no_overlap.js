@@ -0,0 +1,49 @@
+// 002 Reservation overlap constraint
+// No two active reservations of one equipment may overlap. Double bookings made before the
+// constraint existed are reported and stop the migration until they are resolved.
+
+module.exports = {
+  up: async (client) => {
+    await client.query('CREATE EXTENSION IF NOT EXISTS btree_gist');
+    await client.query(`
+      ALTER TABLE reservations ADD COLUMN IF NOT EXISTS time_range TSTZRANGE
+      GENERATED ALWAYS AS (tstzrange(start_time AT TIME ZONE 'UTC', end_time AT TIME ZONE 'UTC', '[)')) STORED
+    `);
+    // time_range: [start_time, end_time) 구간 (배타 제약용, 직접 쓰지 않음)
+
+    // Already added by the startup initialization of older versions
+    const existing = await client.query(`SELECT 1 FROM pg_constraint WHERE conname = 'reservations_no_overlap'`);
+    if (existing.rows.length > 0) {
+      return;
+    }
+
+    const overlaps = await client.query(`
+      SELECT a.id, b.id as other_id, a.equipment_id, a.start_time, a.end_time
+      FROM reservations a
+      JOIN reservations b ON a.equipment_id = b.equipment_id AND a.id < b.id AND a.time_range && b.time_range
+      WHERE a.status NOT IN ('cancelled', 'rejected') AND b.status NOT IN ('cancelled', 'rejected')
+      ORDER BY a.start_time
+    `);
+    if (overlaps.rows.length > 0) {
+      const lines = overlaps.rows.map(row =>
+        `  equipment ${row.equipment_id}: reservation ${row.id} overlaps ${row.other_id} (${row.start_time.toISOString()} ~ ${row.end_time.toISOString()})`
+      );
+      throw new Error([
+        `${overlaps.rows.length} overlapping reservation pair(s) found:`,
+        ...lines,
+        'Cancel or reschedule them (GET /api/reservations/overlaps) and run the migration again.'
+      ].join('\n'));
+    }
+
+    await client.query(`
+      ALTER TABLE reservations ADD CONSTRAINT reservations_no_overlap
+      EXCLUDE USING GIST (equipment_id WITH =, time_range WITH &&)
+      WHERE (status NOT IN ('cancelled', 'rejected'))
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_no_overlap');
+    await client.query('ALTER TABLE reservations DROP COLUMN IF EXISTS time_range');
+  },
+};
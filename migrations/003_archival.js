@@ -0,0 +1,22 @@
+// 003 Archival for users and equipment
+// Deleting a user or equipment now archives it so reservations, logs and stats keep resolving names.
+// Archived rows are removed for good only by an explicit purge after the retention period.
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+    // archived_at: 보관 처리 시각 (로그인 불가, 기본 목록에서 제외), archived_by: 처리한 관리자
+
+    await client.query(`ALTER TABLE equipment ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP`);
+    await client.query(`ALTER TABLE equipment ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+    // archived_at: 보관 처리 시각 (예약 불가, 기본 목록에서 제외), archived_by: 처리한 관리자
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE equipment DROP COLUMN IF EXISTS archived_by');
+    await client.query('ALTER TABLE equipment DROP COLUMN IF EXISTS archived_at');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS archived_by');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS archived_at');
+  },
+};
@@ -0,0 +1,36 @@
+// 004 Reservation cancellation time
+// Records when a reservation was cancelled so analytics can report how long before the start
+// bookings are given up. A trigger keeps it in step with status for every code path that cancels.
+// Reservations cancelled before this migration keep cancelled_at empty.
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP`);
+    // cancelled_at: 취소 처리 시각 (취소가 아닌 상태로 복구하면 비움)
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_reservation_cancelled_at() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled' THEN
+          NEW.cancelled_at := CURRENT_TIMESTAMP;
+        ELSIF NEW.status <> 'cancelled' THEN
+          NEW.cancelled_at := NULL;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS reservations_cancelled_at ON reservations');
+    await client.query(`
+      CREATE TRIGGER reservations_cancelled_at
+      BEFORE UPDATE OF status ON reservations
+      FOR EACH ROW EXECUTE FUNCTION set_reservation_cancelled_at()
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS reservations_cancelled_at ON reservations');
+    await client.query('DROP FUNCTION IF EXISTS set_reservation_cancelled_at()');
+    await client.query('ALTER TABLE reservations DROP COLUMN IF EXISTS cancelled_at');
+  },
+};
@@ -0,0 +1,28 @@
+const { get } = require('../config/database');
+
+class AppSetting {
+  // Setting keys
+  static KEYS = {
+    REQUIRE_2FA_PRIVILEGED: 'require_2fa_privileged' // admin/equipment_manager 2FA 필수
+  };
+
+  // Get setting value (defaultValue when never set)
+  static async get(key, defaultValue = null) {
+    const result = await get('SELECT value FROM app_settings WHERE key = $1', [key]);
+    return result ? result.value : defaultValue;
+  }
+
+  // Save setting value
+  static async set(key, value, updatedBy) {
+    const sql = `
+      INSERT INTO app_settings (key, value, updated_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (key)
+      DO UPDATE SET value = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+      RETURNING key
+    `;
+    return await get(sql, [key, JSON.stringify(value), updatedBy]);
+  }
+}
+
+module.exports = AppSetting;
@@ -0,0 +1,74 @@
+const { query, get } = require('../config/database');
+
+class AuditLog {
+  // Append audit entry (rows are never updated or deleted)
+  static async create(entry) {
+    const sql = `
+      INSERT INTO audit_logs
+        (actor_id, actor_username, action, target_type, target_id, target_label, before_data, after_data, ip_address)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id
+    `;
+    const result = await get(sql, [
+      entry.actorId || null,
+      entry.actorUsername || null,
+      entry.action,
+      entry.targetType,
+      entry.targetId || null,
+      entry.targetLabel || null,
+      entry.before ? JSON.stringify(entry.before) : null,
+      entry.after ? JSON.stringify(entry.after) : null,
+      entry.ip || null
+    ]);
+    return result.id;
+  }
+
+  // Build WHERE clause from filters (actor_id, action, target_type, target_id, start_date, end_date)
+  static buildFilter(filters) {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (filters.actor_id) add('actor_id = ?', filters.actor_id);
+    if (filters.action) add('action = ?', filters.action);
+    if (filters.target_type) add('target_type = ?', filters.target_type);
+    if (filters.target_id) add('target_id = ?', filters.target_id);
+    if (filters.start_date) add('created_at >= ?', filters.start_date);
+    if (filters.end_date) add('created_at < ?', filters.end_date);
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // Search entries, newest first
+  static async search(filters = {}, limit = 50, offset = 0) {
+    const { where, params } = AuditLog.buildFilter(filters);
+    const sql = `
+      SELECT * FROM audit_logs
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+    return await query(sql, [...params, limit, offset]);
+  }
+
+  // Count entries matching filters
+  static async count(filters = {}) {
+    const { where, params } = AuditLog.buildFilter(filters);
+    const result = await get(`SELECT COUNT(*) as total FROM audit_logs ${where}`, params);
+    return parseInt(result.total);
+  }
+
+  // Get distinct actions (for filter dropdown)
+  static async getActions() {
+    const rows = await query('SELECT DISTINCT action FROM audit_logs ORDER BY action');
+    return rows.map(r => r.action);
+  }
+}
+
+module.exports = AuditLog;
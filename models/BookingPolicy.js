@@ -0,0 +1,65 @@
+const { query, run, get } = require('../config/database');
+
+class BookingPolicy {
+  // Policy row applied to permission levels without their own policy
+  static DEFAULT_LEVEL = 'default';
+
+  // Rule columns that can be configured
+  static RULE_FIELDS = [
+    'min_duration_minutes',
+    'max_duration_minutes',
+    'max_advance_days',
+    'min_notice_minutes',
+    'weekly_quota_hours',
+    'allowed_weekdays',
+    'allowed_start_hour',
+    'allowed_end_hour'
+  ];
+
+  // Create or replace policy for equipment and permission level
+  static async upsert(equipmentId, permissionLevel, rules, updatedBy) {
+    const fields = BookingPolicy.RULE_FIELDS;
+    const values = fields.map(field => rules[field] ?? null);
+    const updatedByParam = fields.length + 3;
+    const sql = `
+      INSERT INTO booking_policies (equipment_id, permission_level, ${fields.join(', ')}, updated_by)
+      VALUES ($1, $2, ${fields.map((_, i) => `$${i + 3}`).join(', ')}, $${updatedByParam})
+      ON CONFLICT (equipment_id, permission_level)
+      DO UPDATE SET ${fields.map((field, i) => `${field} = $${i + 3}`).join(', ')},
+        updated_by = $${updatedByParam}, updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `;
+    return await get(sql, [equipmentId, permissionLevel, ...values, updatedBy]);
+  }
+
+  // Get policies for equipment
+  static async getByEquipment(equipmentId) {
+    const sql = `
+      SELECT bp.*, u.username as updated_by_name
+      FROM booking_policies bp
+      LEFT JOIN users u ON bp.updated_by = u.id
+      WHERE bp.equipment_id = $1
+      ORDER BY CASE WHEN bp.permission_level = 'default' THEN 0 ELSE 1 END, bp.permission_level
+    `;
+    return await query(sql, [equipmentId]);
+  }
+
+  // Get the policy that applies to a permission level (level specific, else default)
+  static async findApplicable(equipmentId, permissionLevel) {
+    const sql = `
+      SELECT * FROM booking_policies
+      WHERE equipment_id = $1 AND permission_level IN ($2, 'default')
+      ORDER BY CASE WHEN permission_level = 'default' THEN 1 ELSE 0 END
+      LIMIT 1
+    `;
+    return await get(sql, [equipmentId, permissionLevel]);
+  }
+
+  // Delete policy
+  static async delete(equipmentId, permissionLevel) {
+    const sql = 'DELETE FROM booking_policies WHERE equipment_id = $1 AND permission_level = $2';
+    return await run(sql, [equipmentId, permissionLevel]);
+  }
+}
+
+module.exports = BookingPolicy;
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { query, run, get } = require('../config/database');
+
+// Only the SHA-256 hash of a feed token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class CalendarToken {
+  // Create new feed token (plain token is returned only once)
+  static async create(userId, label = null) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const sql = `
+      INSERT INTO calendar_feed_tokens (user_id, token_hash, label)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `;
+    const result = await get(sql, [userId, hashToken(token), label]);
+    return { id: result.id, token };
+  }
+
+  // Find active token with its owner (tokens of archived users stop working)
+  static async findByToken(token) {
+    const sql = `
+      SELECT t.id, t.user_id, u.username, u.user_role
+      FROM calendar_feed_tokens t
+      JOIN users u ON t.user_id = u.id
+      WHERE t.token_hash = $1 AND t.revoked_at IS NULL AND u.archived_at IS NULL
+    `;
+    return await get(sql, [hashToken(token)]);
+  }
+
+  // Get tokens for user
+  static async getByUser(userId) {
+    const sql = `
+      SELECT id, label, created_at, last_used_at, revoked_at
+      FROM calendar_feed_tokens
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Record feed access
+  static async touch(id) {
+    const sql = 'UPDATE calendar_feed_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1';
+    return await run(sql, [id]);
+  }
+
+  // Revoke token owned by user
+  static async revoke(id, userId) {
+    const sql = `
+      UPDATE calendar_feed_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    `;
+    return await run(sql, [id, userId]);
+  }
+}
+
+module.exports = CalendarToken;
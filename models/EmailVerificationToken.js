@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { run, get } = require('../config/database');
+
+// Only the SHA-256 hash of a verification token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class EmailVerificationToken {
+  // Issue new token; earlier unused tokens of the user stop working
+  static async create(userId, ttlHours) {
+    await run(`
+      UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND used_at IS NULL
+    `, [userId]);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const sql = `
+      INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+      VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 hour'))
+      RETURNING id
+    `;
+    await get(sql, [userId, hashToken(token), ttlHours]);
+    return token;
+  }
+
+  // Consume token (single use); returns user_id or null if invalid, used or expired
+  static async consume(token) {
+    const sql = `
+      UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `;
+    const result = await get(sql, [hashToken(token)]);
+    return result ? result.user_id : null;
+  }
+}
+
+module.exports = EmailVerificationToken;
@@ -1,6 +1,46 @@
-const { query, run, get } = require('../config/database');
+const { query, run, get, transaction } = require('../config/database');
+
+// Full-text document of an equipment row (indexed by idx_equipment_search)
+const SEARCH_VECTOR = 'equipment_search_vector(e.name, e.description, e.tags, e.specs)';
+
+// Manager names from manager-level permissions
+const MANAGER_NAMES_JOIN = `
+  LEFT JOIN (
+    SELECT ep.equipment_id, STRING_AGG(u.username, ', ' ORDER BY ep.granted_at DESC) as manager_names
+    FROM equipment_permissions ep
+    JOIN users u ON ep.user_id = u.id
+    WHERE ep.permission_level = 'manager' AND u.archived_at IS NULL
+    GROUP BY ep.equipment_id
+  ) m ON e.id = m.equipment_id
+`;
+
+// Search text → prefix tsquery ("전자 현미경" → "전자:* & 현미경:*"); null when no word remains
+// Prefix matching lets "현미경" find "현미경은", since the 'simple' config does not strip Korean particles
+const toPrefixQuery = (text) => {
+  const terms = String(text).normalize('NFC').split(/[^\p{L}\p{N}]+/u).filter(Boolean).slice(0, 10);
+  return terms.length > 0 ? terms.map(term => `${term}:*`).join(' & ') : null;
+};
 
 class Equipment {
+  // Limits for tags and specs
+  static MAX_TAGS = 20;
+  static MAX_TAG_LENGTH = 30;
+  static MAX_SPECS = 50;
+
+  // Tags are compared case-insensitively, so store them trimmed and lowercased
+  static normalizeTags(tags) {
+    return [...new Set(tags.map(tag => String(tag).trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+  }
+
+  // Sort keys for search (relevance only when a search text is given)
+  static SORTS = {
+    relevance: 'relevance',
+    name: 'e.name',
+    location: 'e.location',
+    status: 'e.status',
+    created_at: 'e.created_at'
+  };
+
   // Create new equipment
   static async create(name, description, location, status = 'available', imageUrl = null, brochureUrl = null, manualUrl = null, quickGuideUrl = null, imageFileUrl = null) {
     const sql = `
@@ -12,9 +52,14 @@ class Equipment {
     return result.id;
   }
 
-  // Get all equipment
+  // Bookable: in service and not archived
+  static isBookable(equipment) {
+    return !!equipment && equipment.status === 'available' && !equipment.archived_at;
+  }
+
+  // Get all equipment (archived excluded)
   static async findAll() {
-    const sql = 'SELECT * FROM equipment ORDER BY created_at DESC';
+    const sql = 'SELECT * FROM equipment WHERE archived_at IS NULL ORDER BY created_at DESC';
     return await query(sql);
   }
 
@@ -22,15 +67,12 @@ class Equipment {
   static async getAll() {
     const sql = `
       SELECT e.*, 
-             m.manager_names as manager_name
+             m.manager_names as manager_name,
+             c.name as category_name
       FROM equipment e
-      LEFT JOIN (
-        SELECT ep.equipment_id, STRING_AGG(u.username, ', ' ORDER BY ep.granted_at DESC) as manager_names
-        FROM equipment_permissions ep
-        JOIN users u ON ep.user_id = u.id
-        WHERE ep.permission_level = 'manager'
-        GROUP BY ep.equipment_id
-      ) m ON e.id = m.equipment_id
+      ${MANAGER_NAMES_JOIN}
+      LEFT JOIN equipment_categories c ON e.category_id = c.id
+      WHERE e.archived_at IS NULL
       ORDER BY e.created_at DESC
     `;
     return await query(sql);
@@ -38,10 +80,185 @@ class Equipment {
 
   // Get equipment by ID
   static async findById(id) {
-    const sql = 'SELECT * FROM equipment WHERE id = $1';
+    const sql = `
+      SELECT e.*, c.name as category_name
+      FROM equipment e
+      LEFT JOIN equipment_categories c ON e.category_id = c.id
+      WHERE e.id = $1
+    `;
     return await get(sql, [id]);
   }
 
+  // Get equipment by IDs (archived excluded)
+  static async getByIds(ids) {
+    const sql = `
+      SELECT e.*, c.name as category_name
+      FROM equipment e
+      LEFT JOIN equipment_categories c ON e.category_id = c.id
+      WHERE e.id = ANY($1) AND e.archived_at IS NULL
+      ORDER BY e.name
+    `;
+    return await query(sql, [ids]);
+  }
+
+  // Get equipment in category
+  static async getByCategory(categoryId) {
+    const sql = `
+      SELECT e.*, c.name as category_name
+      FROM equipment e
+      JOIN equipment_categories c ON e.category_id = c.id
+      WHERE e.category_id = $1 AND e.archived_at IS NULL
+      ORDER BY e.name
+    `;
+    return await query(sql, [categoryId]);
+  }
+
+  // Find active equipment by exact names (bulk import lookups)
+  static async findByNames(names) {
+    const sql = 'SELECT id, name FROM equipment WHERE name = ANY($1) AND archived_at IS NULL';
+    return await query(sql, [names]);
+  }
+
+  // Create equipment in one transaction (bulk import)
+  // items: [{ name, description, location, status, category_id, tags, specs }]
+  static async importMany(items) {
+    return await transaction(async (client) => {
+      const ids = [];
+      for (const item of items) {
+        const result = await client.query(`
+          INSERT INTO equipment (name, description, location, status, category_id, tags, specs)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING id
+        `, [item.name, item.description, item.location, item.status, item.category_id, item.tags, JSON.stringify(item.specs)]);
+        ids.push(result.rows[0].id);
+      }
+      return ids;
+    });
+  }
+
+  // Set category, tags and specs
+  static async updateClassification(id, categoryId, tags, specs) {
+    const sql = 'UPDATE equipment SET category_id = $1, tags = $2, specs = $3 WHERE id = $4';
+    return await run(sql, [categoryId, tags, JSON.stringify(specs), id]);
+  }
+
+  // Build WHERE clause from search filters (q, category_ids, locations, status, tags, manager_id)
+  // exclude: filter left out, so a facet shows counts for every value of its own field
+  static buildSearchFilter(filters, exclude = null) {
+    const conditions = ['e.archived_at IS NULL'];
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    let rank = null;
+
+    if (filters.q) {
+      // Substring match on name/description also finds words inside Korean compounds (전자현미경 ← 현미경)
+      const pattern = param(`%${filters.q.replace(/[\\%_]/g, '\\$&')}%`);
+      const nameMatch = `e.name ILIKE ${pattern}`;
+      const tsQuery = toPrefixQuery(filters.q);
+      if (tsQuery) {
+        const ts = `to_tsquery('simple', ${param(tsQuery)})`;
+        conditions.push(`(${SEARCH_VECTOR} @@ ${ts} OR ${nameMatch} OR e.description ILIKE ${pattern})`);
+        rank = `(ts_rank(${SEARCH_VECTOR}, ${ts}) + CASE WHEN ${nameMatch} THEN 1 ELSE 0 END)`;
+      } else {
+        conditions.push(`(${nameMatch} OR e.description ILIKE ${pattern})`);
+        rank = `(CASE WHEN ${nameMatch} THEN 1 ELSE 0 END)`;
+      }
+    }
+    if (filters.category_ids && exclude !== 'category') {
+      conditions.push(`e.category_id = ANY(${param(filters.category_ids)})`);
+    }
+    if (filters.locations && exclude !== 'location') {
+      conditions.push(`e.location = ANY(${param(filters.locations)})`);
+    }
+    if (filters.status && exclude !== 'status') {
+      conditions.push(`e.status = ${param(filters.status)}`);
+    }
+    if (filters.tags && exclude !== 'tag') {
+      conditions.push(`e.tags @> ${param(filters.tags)}::text[]`);
+    }
+    if (filters.manager_id && exclude !== 'manager') {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM equipment_permissions mp
+        WHERE mp.equipment_id = e.id AND mp.permission_level = 'manager' AND mp.user_id = ${param(filters.manager_id)}
+      )`);
+    }
+
+    return {
+      where: `WHERE ${conditions.join(' AND ')}`,
+      params,
+      rank
+    };
+  }
+
+  // Search equipment with filters, sorting and paging
+  static async search(filters = {}, sort = 'name', order = 'asc', limit = 20, offset = 0) {
+    const { where, params, rank } = Equipment.buildSearchFilter(filters);
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    const column = sort === 'relevance' ? null : (Equipment.SORTS[sort] || 'e.name');
+    const orderBy = column
+      ? `${column} ${direction} NULLS LAST`
+      : (rank ? 'relevance DESC, e.name ASC' : 'e.name ASC');
+    const sql = `
+      SELECT e.*, c.name as category_name, m.manager_names as manager_name,
+             ${rank || 'NULL'} as relevance
+      FROM equipment e
+      LEFT JOIN equipment_categories c ON e.category_id = c.id
+      ${MANAGER_NAMES_JOIN}
+      ${where}
+      ORDER BY ${orderBy}, e.id ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+    return await query(sql, [...params, limit, offset]);
+  }
+
+  // Count equipment matching search filters
+  static async countSearch(filters = {}) {
+    const { where, params } = Equipment.buildSearchFilter(filters);
+    const result = await get(`SELECT COUNT(*) as total FROM equipment e ${where}`, params);
+    return parseInt(result.total);
+  }
+
+  // Facet counts for search filters
+  // Each facet ignores its own filter (other values stay selectable); tags narrow down instead since they combine with AND
+  static async getFacets(filters = {}) {
+    const facet = async (exclude, select, from, groupBy, orderBy, limit = null) => {
+      const { where, params } = Equipment.buildSearchFilter(filters, exclude);
+      const sql = `
+        SELECT ${select}, COUNT(*) as count
+        FROM equipment e
+        ${from}
+        ${where}
+        GROUP BY ${groupBy}
+        ORDER BY ${orderBy}
+        ${limit ? `LIMIT ${limit}` : ''}
+      `;
+      const rows = await query(sql, params);
+      return rows.map(row => ({ ...row, count: parseInt(row.count) }));
+    };
+
+    const [category, location, status, tag, manager] = await Promise.all([
+      facet('category', 'c.id, c.name', 'JOIN equipment_categories c ON e.category_id = c.id',
+        'c.id, c.name, c.sort_order', 'c.sort_order, c.name'),
+      facet('location', 'e.location as value', '', 'e.location', 'e.location'),
+      facet('status', 'e.status as value', '', 'e.status', 'e.status'),
+      facet(null, 't.tag as value', 'CROSS JOIN LATERAL unnest(e.tags) AS t(tag)', 't.tag', 'count DESC, t.tag', 50),
+      facet('manager', 'u.id, u.username',
+        "JOIN equipment_permissions mp ON mp.equipment_id = e.id AND mp.permission_level = 'manager' JOIN users u ON mp.user_id = u.id AND u.archived_at IS NULL",
+        'u.id, u.username', 'u.username')
+    ]);
+
+    return {
+      category,
+      location: location.filter(row => row.value !== null),
+      status,
+      tag,
+      manager
+    };
+  }
+
   // Update equipment
   static async update(id, name, description, location, status, imageUrl, brochureUrl = null, manualUrl = null, quickGuideUrl = null, imageFileUrl = null) {
     const sql = `
@@ -52,15 +269,54 @@ class Equipment {
     return await run(sql, [name, description, location, status, imageUrl, brochureUrl, manualUrl, quickGuideUrl, imageFileUrl, id]);
   }
 
-  // Delete equipment
-  static async delete(id) {
-    const sql = 'DELETE FROM equipment WHERE id = $1';
+  // Archive equipment (not bookable, hidden from lists; history keeps the name)
+  static async archive(id, archivedBy) {
+    const sql = `
+      UPDATE equipment SET archived_at = CURRENT_TIMESTAMP, archived_by = $1
+      WHERE id = $2 AND archived_at IS NULL
+    `;
+    return await run(sql, [archivedBy, id]);
+  }
+
+  // Restore archived equipment
+  static async restore(id) {
+    const sql = 'UPDATE equipment SET archived_at = NULL, archived_by = NULL WHERE id = $1 AND archived_at IS NOT NULL';
     return await run(sql, [id]);
   }
 
+  // Get archived equipment with usage counts
+  static async getArchived() {
+    const sql = `
+      SELECT e.id, e.name, e.location, e.status, c.name as category_name, e.created_at,
+             e.archived_at, a.username as archived_by_name,
+             (SELECT COUNT(*) FROM reservations r WHERE r.equipment_id = e.id) as reservation_count,
+             (SELECT COUNT(*) FROM equipment_logs l WHERE l.equipment_id = e.id) as log_count
+      FROM equipment e
+      LEFT JOIN equipment_categories c ON e.category_id = c.id
+      LEFT JOIN users a ON e.archived_by = a.id
+      WHERE e.archived_at IS NOT NULL
+      ORDER BY e.archived_at DESC
+    `;
+    return await query(sql);
+  }
+
+  // Permanently delete archived equipment with its reservations and logs
+  static async purge(id) {
+    return await transaction(async (client) => {
+      await client.query('DELETE FROM equipment_logs WHERE equipment_id = $1', [id]);
+      await client.query(`
+        UPDATE equipment_logs SET reservation_id = NULL
+        WHERE reservation_id IN (SELECT id FROM reservations WHERE equipment_id = $1)
+      `, [id]);
+      await client.query('DELETE FROM reservations WHERE equipment_id = $1', [id]);
+      const result = await client.query('DELETE FROM equipment WHERE id = $1 AND archived_at IS NOT NULL', [id]);
+      return { changes: result.rowCount };
+    });
+  }
+
   // Get available equipment
   static async getAvailable() {
-    const sql = 'SELECT * FROM equipment WHERE status = $1 ORDER BY name';
+    const sql = 'SELECT * FROM equipment WHERE status = $1 AND archived_at IS NULL ORDER BY name';
     return await query(sql, ['available']);
   }
 
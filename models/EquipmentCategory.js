@@ -0,0 +1,49 @@
+const { query, run, get } = require('../config/database');
+
+class EquipmentCategory {
+  // Create category
+  static async create(name, description = null, sortOrder = 0) {
+    const sql = `
+      INSERT INTO equipment_categories (name, description, sort_order)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `;
+    const result = await get(sql, [name, description, sortOrder]);
+    return result.id;
+  }
+
+  // Get all categories with equipment count
+  static async getAll() {
+    const sql = `
+      SELECT c.*, COUNT(e.id) as equipment_count
+      FROM equipment_categories c
+      LEFT JOIN equipment e ON e.category_id = c.id AND e.archived_at IS NULL
+      GROUP BY c.id
+      ORDER BY c.sort_order, c.name
+    `;
+    return await query(sql);
+  }
+
+  // Get category by ID
+  static async findById(id) {
+    return await get('SELECT * FROM equipment_categories WHERE id = $1', [id]);
+  }
+
+  // Get category by name
+  static async findByName(name) {
+    return await get('SELECT * FROM equipment_categories WHERE name = $1', [name]);
+  }
+
+  // Update category
+  static async update(id, name, description, sortOrder) {
+    const sql = 'UPDATE equipment_categories SET name = $1, description = $2, sort_order = $3 WHERE id = $4';
+    return await run(sql, [name, description, sortOrder, id]);
+  }
+
+  // Delete category (equipment keeps existing, category_id becomes NULL)
+  static async delete(id) {
+    return await run('DELETE FROM equipment_categories WHERE id = $1', [id]);
+  }
+}
+
+module.exports = EquipmentCategory;
@@ -50,6 +50,35 @@ class EquipmentLog {
     return await query(sql, [limit]);
   }
 
+  // Search logs for reports, oldest first
+  // filters: equipment_ids (scope), equipment_id, user_id, log_type, start_date, end_date
+  static async search(filters = {}, limit = 50000) {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (filters.equipment_ids) add('el.equipment_id = ANY(?)', filters.equipment_ids);
+    if (filters.equipment_id) add('el.equipment_id = ?', filters.equipment_id);
+    if (filters.user_id) add('el.user_id = ?', filters.user_id);
+    if (filters.log_type) add('el.log_type = ?', filters.log_type);
+    if (filters.start_date) add('el.created_at >= ?', filters.start_date);
+    if (filters.end_date) add('el.created_at < ?', filters.end_date);
+
+    const sql = `
+      SELECT el.*, u.username, u.department, e.name as equipment_name
+      FROM equipment_logs el
+      LEFT JOIN users u ON el.user_id = u.id
+      LEFT JOIN equipment e ON el.equipment_id = e.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY el.created_at ASC, el.id ASC
+      LIMIT $${params.length + 1}
+    `;
+    return await query(sql, [...params, limit]);
+  }
+
   // Delete log entry
   static async delete(logId) {
     const sql = 'DELETE FROM equipment_logs WHERE id = $1';
@@ -0,0 +1,42 @@
+const { query, run, get } = require('../config/database');
+
+class EquipmentRate {
+  // Rate row used when no user_role specific rate exists
+  static DEFAULT_ROLE = 'default';
+
+  // Create or replace rate for equipment and user_role
+  static async upsert(equipmentId, userRole, hourlyRate, minimumCharge = 0, roundingMinutes = 0) {
+    const sql = `
+      INSERT INTO equipment_rates (equipment_id, user_role, hourly_rate, minimum_charge, rounding_minutes)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (equipment_id, user_role)
+      DO UPDATE SET hourly_rate = $3, minimum_charge = $4, rounding_minutes = $5, updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `;
+    return await get(sql, [equipmentId, userRole, hourlyRate, minimumCharge, roundingMinutes]);
+  }
+
+  // Get rates for equipment
+  static async getByEquipment(equipmentId) {
+    const sql = `
+      SELECT * FROM equipment_rates
+      WHERE equipment_id = $1
+      ORDER BY CASE WHEN user_role = 'default' THEN 0 ELSE 1 END, user_role
+    `;
+    return await query(sql, [equipmentId]);
+  }
+
+  // Get every rate (for billing runs)
+  static async getAll() {
+    const sql = 'SELECT * FROM equipment_rates';
+    return await query(sql);
+  }
+
+  // Delete rate
+  static async delete(equipmentId, userRole) {
+    const sql = 'DELETE FROM equipment_rates WHERE equipment_id = $1 AND user_role = $2';
+    return await run(sql, [equipmentId, userRole]);
+  }
+}
+
+module.exports = EquipmentRate;
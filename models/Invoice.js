@@ -0,0 +1,130 @@
+const { query, run, get, transaction } = require('../config/database');
+
+// Transaction-scoped advisory lock serializing billing runs
+const ISSUE_LOCK_SQL = "SELECT pg_advisory_xact_lock(hashtext('invoice_issue'))";
+
+class Invoice {
+  // Error code thrown by issue when a reservation was invoiced meanwhile (error.reservationIds)
+  static ALREADY_INVOICED_ERROR = 'RESERVATION_ALREADY_INVOICED';
+
+  // Get confirmed reservations in period that are not on an issued invoice yet
+  static async getBillableReservations(startDate, endDate) {
+    const sql = `
+      SELECT
+        r.id, r.equipment_id, r.user_id, r.start_time, r.end_time,
+        u.username, u.department, u.supervisor, u.user_role,
+        e.name as equipment_name
+      FROM reservations r
+      JOIN users u ON r.user_id = u.id
+      JOIN equipment e ON r.equipment_id = e.id
+      WHERE r.status = 'confirmed'
+        AND r.start_time >= $1 AND r.start_time < $2
+        AND NOT EXISTS (
+          SELECT 1 FROM invoice_lines il
+          JOIN invoices i ON il.invoice_id = i.id
+          WHERE il.reservation_id = r.id AND i.status = 'issued'
+        )
+      ORDER BY r.start_time ASC
+    `;
+    return await query(sql, [startDate, endDate]);
+  }
+
+  // Freeze computed invoices and their lines in a single transaction
+  // Runs are serialized by an advisory lock and the lines re-checked under it, so concurrent runs never bill twice
+  static async issue(invoices, issuedBy) {
+    return await transaction(async (client) => {
+      await client.query(ISSUE_LOCK_SQL);
+
+      const reservationIds = invoices.flatMap(invoice => invoice.lines.map(line => line.reservationId));
+      const invoiced = await client.query(`
+        SELECT DISTINCT il.reservation_id FROM invoice_lines il
+        JOIN invoices i ON il.invoice_id = i.id
+        WHERE il.reservation_id = ANY($1) AND i.status = 'issued'
+      `, [reservationIds]);
+      if (invoiced.rows.length > 0) {
+        const error = new Error('Reservation is already on an issued invoice');
+        error.code = Invoice.ALREADY_INVOICED_ERROR;
+        error.reservationIds = invoiced.rows.map(row => row.reservation_id);
+        throw error;
+      }
+
+      const ids = [];
+      for (const invoice of invoices) {
+        const result = await client.query(`
+          INSERT INTO invoices (period_start, period_end, group_type, group_key, total_hours, total_amount, issued_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING id
+        `, [invoice.periodStart, invoice.periodEnd, invoice.groupType, invoice.groupKey,
+          invoice.totalHours, invoice.totalAmount, issuedBy]);
+        const invoiceId = result.rows[0].id;
+
+        for (const line of invoice.lines) {
+          await client.query(`
+            INSERT INTO invoice_lines
+              (invoice_id, reservation_id, equipment_id, equipment_name, user_id, username, department,
+               supervisor, user_role, start_time, end_time, billed_hours, hourly_rate, amount)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+          `, [invoiceId, line.reservationId, line.equipmentId, line.equipmentName, line.userId,
+            line.username, line.department, line.supervisor, line.userRole, line.startTime,
+            line.endTime, line.billedHours, line.hourlyRate, line.amount]);
+        }
+        ids.push(invoiceId);
+      }
+      return ids;
+    });
+  }
+
+  // Get invoices (optionally by period start date range)
+  static async getAll(startDate = null, endDate = null) {
+    const hasDateFilter = startDate && endDate;
+    const sql = `
+      SELECT i.*, u.username as issued_by_name,
+             (SELECT COUNT(*) FROM invoice_lines WHERE invoice_id = i.id) as line_count
+      FROM invoices i
+      LEFT JOIN users u ON i.issued_by = u.id
+      ${hasDateFilter ? 'WHERE i.period_start >= $1 AND i.period_start < $2' : ''}
+      ORDER BY i.issued_at DESC, i.group_key
+    `;
+    return await query(sql, hasDateFilter ? [startDate, endDate] : []);
+  }
+
+  // Get invoice by ID
+  static async findById(id) {
+    const sql = `
+      SELECT i.*, u.username as issued_by_name
+      FROM invoices i
+      LEFT JOIN users u ON i.issued_by = u.id
+      WHERE i.id = $1
+    `;
+    return await get(sql, [id]);
+  }
+
+  // Get frozen lines of invoice
+  static async getLines(invoiceId) {
+    const sql = 'SELECT * FROM invoice_lines WHERE invoice_id = $1 ORDER BY start_time ASC';
+    return await query(sql, [invoiceId]);
+  }
+
+  // Void invoice (its reservations become billable again)
+  static async void(id) {
+    const sql = `
+      UPDATE invoices SET status = 'void', voided_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'issued'
+    `;
+    return await run(sql, [id]);
+  }
+
+  // Check if reservation is on an issued invoice
+  static async isReservationInvoiced(reservationId) {
+    const sql = `
+      SELECT i.id FROM invoice_lines il
+      JOIN invoices i ON il.invoice_id = i.id
+      WHERE il.reservation_id = $1 AND i.status = 'issued'
+      LIMIT 1
+    `;
+    const result = await get(sql, [reservationId]);
+    return result ? result.id : null;
+  }
+}
+
+module.exports = Invoice;
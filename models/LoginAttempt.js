@@ -0,0 +1,64 @@
+const { query, run, get } = require('../config/database');
+
+class LoginAttempt {
+  // Key types
+  static TYPES = {
+    ACCOUNT: 'account', // 이메일 기준
+    IP: 'ip'            // 요청 IP 기준
+  };
+
+  // Get tracking row for key
+  static async find(keyType, keyValue) {
+    const sql = 'SELECT * FROM login_attempts WHERE key_type = $1 AND key_value = $2';
+    return await get(sql, [keyType, keyValue]);
+  }
+
+  // Count a failure; the counter restarts once windowMinutes passed since the first failure.
+  // Reaching maxFailures locks the key for lockMinutes.
+  static async recordFailure(keyType, keyValue, windowMinutes, maxFailures, lockMinutes) {
+    const sql = `
+      INSERT INTO login_attempts (key_type, key_value, failed_count, first_failed_at, last_failed_at)
+      VALUES ($1, $2, 1, NOW(), NOW())
+      ON CONFLICT (key_type, key_value) DO UPDATE SET
+        failed_count = CASE
+          WHEN login_attempts.first_failed_at < NOW() - ($3 * INTERVAL '1 minute') THEN 1
+          ELSE login_attempts.failed_count + 1
+        END,
+        first_failed_at = CASE
+          WHEN login_attempts.first_failed_at < NOW() - ($3 * INTERVAL '1 minute') THEN NOW()
+          ELSE login_attempts.first_failed_at
+        END,
+        last_failed_at = NOW()
+      RETURNING *
+    `;
+    const row = await get(sql, [keyType, keyValue, windowMinutes]);
+
+    if (row.failed_count >= maxFailures) {
+      return await get(`
+        UPDATE login_attempts SET locked_until = NOW() + ($3 * INTERVAL '1 minute')
+        WHERE key_type = $1 AND key_value = $2
+        RETURNING *
+      `, [keyType, keyValue, lockMinutes]);
+    }
+    return row;
+  }
+
+  // Clear tracking for key (successful login or admin unlock)
+  static async clear(keyType, keyValue) {
+    const sql = 'DELETE FROM login_attempts WHERE key_type = $1 AND key_value = $2';
+    return await run(sql, [keyType, keyValue]);
+  }
+
+  // Get keys with recent failures or active lockout (admin view)
+  static async getActive(windowMinutes) {
+    const sql = `
+      SELECT *, (locked_until IS NOT NULL AND locked_until > NOW()) as is_locked
+      FROM login_attempts
+      WHERE locked_until > NOW() OR first_failed_at >= NOW() - ($1 * INTERVAL '1 minute')
+      ORDER BY locked_until DESC NULLS LAST, last_failed_at DESC
+    `;
+    return await query(sql, [windowMinutes]);
+  }
+}
+
+module.exports = LoginAttempt;
@@ -0,0 +1,59 @@
+const { query, run, get } = require('../config/database');
+
+class MaintenanceWindow {
+  // Create maintenance window (parentId links occurrences of a recurring window)
+  static async create(equipmentId, startTime, endTime, reason, technician, createdBy, rule = null, parentId = null) {
+    const sql = `
+      INSERT INTO maintenance_windows
+        (equipment_id, parent_id, start_time, end_time, reason, technician, created_by,
+         frequency, interval_count, weekdays, until_date, occurrence_count)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING id
+    `;
+    const result = await get(sql, [
+      equipmentId, parentId, startTime, endTime, reason, technician, createdBy,
+      rule ? rule.frequency : null,
+      rule ? rule.interval || 1 : null,
+      rule ? rule.weekdays || null : null,
+      rule ? rule.until || null : null,
+      rule ? rule.count || null : null
+    ]);
+    return result.id;
+  }
+
+  // Get window by ID
+  static async findById(id) {
+    const sql = 'SELECT * FROM maintenance_windows WHERE id = $1';
+    return await get(sql, [id]);
+  }
+
+  // Get windows for equipment that have not ended yet
+  static async getUpcomingByEquipment(equipmentId) {
+    const sql = `
+      SELECT mw.*, u.username as created_by_name
+      FROM maintenance_windows mw
+      LEFT JOIN users u ON mw.created_by = u.id
+      WHERE mw.equipment_id = $1 AND mw.end_time > NOW()
+      ORDER BY mw.start_time ASC
+    `;
+    return await query(sql, [equipmentId]);
+  }
+
+  // Get windows overlapping a time range
+  static async findOverlapping(equipmentId, startTime, endTime) {
+    const sql = `
+      SELECT * FROM maintenance_windows
+      WHERE equipment_id = $1 AND start_time < $3 AND end_time > $2
+      ORDER BY start_time ASC
+    `;
+    return await query(sql, [equipmentId, startTime, endTime]);
+  }
+
+  // Delete window (occurrences of a recurring window are removed with their parent)
+  static async delete(id) {
+    const sql = 'DELETE FROM maintenance_windows WHERE id = $1';
+    return await run(sql, [id]);
+  }
+}
+
+module.exports = MaintenanceWindow;
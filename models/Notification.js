@@ -0,0 +1,79 @@
+const { query, run, get } = require('../config/database');
+
+class Notification {
+  // Queue outgoing mail
+  static async enqueue(userId, toEmail, event, subject, body) {
+    const sql = `
+      INSERT INTO notification_queue (user_id, to_email, event, subject, body)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `;
+    const result = await get(sql, [userId, toEmail, event, subject, body]);
+    return result.id;
+  }
+
+  // Claim due messages for sending (SKIP LOCKED so concurrent instances don't send twice)
+  static async claimDue(limit = 20) {
+    const sql = `
+      UPDATE notification_queue SET status = 'sending', attempts = attempts + 1, next_attempt_at = NOW()
+      WHERE id IN (
+        SELECT id FROM notification_queue
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+    return await query(sql, [limit]);
+  }
+
+  // Mark message as sent
+  static async markSent(id) {
+    const sql = `UPDATE notification_queue SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL WHERE id = $1`;
+    return await run(sql, [id]);
+  }
+
+  // Schedule retry, or give up after maxAttempts
+  static async markFailed(id, errorMessage, retryDelaySeconds, giveUp) {
+    const sql = `
+      UPDATE notification_queue
+      SET status = $1, last_error = $2, next_attempt_at = NOW() + ($3 * INTERVAL '1 second')
+      WHERE id = $4
+    `;
+    return await run(sql, [giveUp ? 'failed' : 'pending', errorMessage, retryDelaySeconds, id]);
+  }
+
+  // Put messages stuck in 'sending' (instance died mid-send) back into the queue
+  static async releaseStale(minutes = 10) {
+    const sql = `
+      UPDATE notification_queue SET status = 'pending'
+      WHERE status = 'sending' AND next_attempt_at < NOW() - ($1 * INTERVAL '1 minute')
+    `;
+    return await run(sql, [minutes]);
+  }
+
+  // Get queue entries for admin view
+  static async getRecent(status = null, limit = 50) {
+    const sql = `
+      SELECT nq.id, nq.user_id, nq.to_email, nq.event, nq.subject, nq.status, nq.attempts,
+             nq.last_error, nq.next_attempt_at, nq.created_at, nq.sent_at
+      FROM notification_queue nq
+      ${status ? 'WHERE nq.status = $2' : ''}
+      ORDER BY nq.created_at DESC
+      LIMIT $1
+    `;
+    return await query(sql, status ? [limit, status] : [limit]);
+  }
+
+  // Requeue failed message
+  static async retry(id) {
+    const sql = `
+      UPDATE notification_queue SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'failed'
+    `;
+    return await run(sql, [id]);
+  }
+}
+
+module.exports = Notification;
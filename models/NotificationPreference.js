@@ -0,0 +1,27 @@
+const { get } = require('../config/database');
+
+class NotificationPreference {
+  // Defaults for users who never saved preferences
+  static DEFAULTS = { locale: 'ko', email_enabled: true, disabled_events: [] };
+
+  // Get preferences for user (defaults when not set)
+  static async getByUser(userId) {
+    const sql = 'SELECT locale, email_enabled, disabled_events FROM notification_preferences WHERE user_id = $1';
+    const result = await get(sql, [userId]);
+    return result || { ...NotificationPreference.DEFAULTS };
+  }
+
+  // Save preferences
+  static async upsert(userId, locale, emailEnabled, disabledEvents) {
+    const sql = `
+      INSERT INTO notification_preferences (user_id, locale, email_enabled, disabled_events)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id)
+      DO UPDATE SET locale = $2, email_enabled = $3, disabled_events = $4, updated_at = CURRENT_TIMESTAMP
+      RETURNING user_id
+    `;
+    return await get(sql, [userId, locale, emailEnabled, disabledEvents]);
+  }
+}
+
+module.exports = NotificationPreference;
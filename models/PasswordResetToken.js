@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { run, get } = require('../config/database');
+
+// Only the SHA-256 hash of a reset token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordResetToken {
+  // Issue new token; earlier unused tokens of the user stop working
+  static async create(userId, ttlMinutes, purpose = 'forgot', requestedIp = null) {
+    await run(`
+      UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND used_at IS NULL
+    `, [userId]);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const sql = `
+      INSERT INTO password_reset_tokens (user_id, token_hash, purpose, requested_ip, expires_at)
+      VALUES ($1, $2, $3, $4, NOW() + ($5 * INTERVAL '1 minute'))
+      RETURNING id
+    `;
+    await get(sql, [userId, hashToken(token), purpose, requestedIp, ttlMinutes]);
+    return token;
+  }
+
+  // Look up a usable token without consuming it; returns user_id or null if invalid, used or expired
+  static async findUserId(token) {
+    const sql = `
+      SELECT user_id FROM password_reset_tokens
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+    `;
+    const result = await get(sql, [hashToken(token)]);
+    return result ? result.user_id : null;
+  }
+
+  // Consume token (single use); returns user_id or null if invalid, used or expired
+  static async consume(token) {
+    const sql = `
+      UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `;
+    const result = await get(sql, [hashToken(token)]);
+    return result ? result.user_id : null;
+  }
+}
+
+module.exports = PasswordResetToken;
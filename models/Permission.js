@@ -1,4 +1,4 @@
-const { query, run, get } = require('../config/database');
+const { query, run, get, transaction } = require('../config/database');
 
 class Permission {
   // Permission levels
@@ -36,6 +36,18 @@ class Permission {
     return await run(sql, [equipmentId, userId]);
   }
 
+  // Get single permission row with user/equipment names
+  static async findOne(equipmentId, userId) {
+    const sql = `
+      SELECT ep.*, u.username, e.name as equipment_name
+      FROM equipment_permissions ep
+      JOIN users u ON ep.user_id = u.id
+      JOIN equipment e ON ep.equipment_id = e.id
+      WHERE ep.equipment_id = $1 AND ep.user_id = $2
+    `;
+    return await get(sql, [equipmentId, userId]);
+  }
+
   // Check if user has permission for equipment (returns permission details)
   static async hasPermission(equipmentId, userId) {
     const sql = 'SELECT id, permission_level FROM equipment_permissions WHERE equipment_id = $1 AND user_id = $2';
@@ -54,6 +66,22 @@ class Permission {
     return !!result;
   }
 
+  // Grant or change many permissions in one transaction (bulk import)
+  // grants: [{ equipment_id, user_id, permission_level }]
+  static async importMany(grants, grantedBy) {
+    return await transaction(async (client) => {
+      for (const grant of grants) {
+        await client.query(`
+          INSERT INTO equipment_permissions (equipment_id, user_id, granted_by, permission_level)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (equipment_id, user_id)
+          DO UPDATE SET permission_level = $4, updated_at = CURRENT_TIMESTAMP
+        `, [grant.equipment_id, grant.user_id, grantedBy, grant.permission_level]);
+      }
+      return grants.length;
+    });
+  }
+
   // Get all users with permission for equipment
   static async getByEquipment(equipmentId) {
     const sql = `
@@ -62,7 +90,7 @@ class Permission {
       FROM equipment_permissions ep
       JOIN users u ON ep.user_id = u.id
       LEFT JOIN users g ON ep.granted_by = g.id
-      WHERE ep.equipment_id = $1
+      WHERE ep.equipment_id = $1 AND u.archived_at IS NULL
       ORDER BY 
         CASE ep.permission_level 
           WHEN 'manager' THEN 1 
@@ -95,6 +123,7 @@ class Permission {
         SELECT user_id FROM equipment_permissions WHERE equipment_id = $1
       )
       AND user_role IN ('intern', 'student', 'staff')
+      AND archived_at IS NULL
       ORDER BY department, username
     `;
     return await query(sql, [equipmentId]);
@@ -0,0 +1,30 @@
+const { run, get } = require('../config/database');
+
+class RateLimit {
+  // Count a request in the bucket's current window (a new window starts when the old one expired)
+  static async hit(bucket, windowSeconds) {
+    const sql = `
+      INSERT INTO rate_limits (bucket, window_start, hits)
+      VALUES ($1, NOW(), 1)
+      ON CONFLICT (bucket) DO UPDATE SET
+        hits = CASE
+          WHEN rate_limits.window_start <= NOW() - ($2 * INTERVAL '1 second') THEN 1
+          ELSE rate_limits.hits + 1
+        END,
+        window_start = CASE
+          WHEN rate_limits.window_start <= NOW() - ($2 * INTERVAL '1 second') THEN NOW()
+          ELSE rate_limits.window_start
+        END
+      RETURNING hits, window_start
+    `;
+    return await get(sql, [bucket, windowSeconds]);
+  }
+
+  // Remove counters whose window ended long ago
+  static async purgeExpired(olderThanSeconds) {
+    const sql = `DELETE FROM rate_limits WHERE window_start < NOW() - ($1 * INTERVAL '1 second')`;
+    return await run(sql, [olderThanSeconds]);
+  }
+}
+
+module.exports = RateLimit;
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { run, get, transaction } = require('../config/database');
+
+// Only the SHA-256 hash of a recovery code is stored (dashes/case ignored)
+const hashCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toUpperCase())
+  .digest('hex');
+
+class RecoveryCode {
+  // Replace all recovery codes of user with new plain codes
+  static async replaceAll(userId, codes) {
+    await transaction(async (client) => {
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+      for (const code of codes) {
+        await client.query(
+          'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+          [userId, hashCode(code)]
+        );
+      }
+    });
+  }
+
+  // Use recovery code once; returns true if it was valid and unused
+  static async consume(userId, code) {
+    const sql = `
+      UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM two_factor_recovery_codes
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        LIMIT 1
+      )
+      RETURNING id
+    `;
+    const result = await get(sql, [userId, hashCode(code)]);
+    return !!result;
+  }
+
+  // Count unused codes
+  static async countRemaining(userId) {
+    const result = await get(
+      'SELECT COUNT(*) as remaining FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    return parseInt(result.remaining);
+  }
+
+  // Delete all codes of user (2FA disabled)
+  static async deleteAll(userId) {
+    return await run('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  }
+}
+
+module.exports = RecoveryCode;
@@ -1,23 +1,120 @@
-const { query, run, get } = require('../config/database');
+const { query, run, get, transaction } = require('../config/database');
+const Permission = require('./Permission');
+const MaintenanceWindow = require('./MaintenanceWindow');
+
+const EXCLUSION_VIOLATION = '23P01';
+
+// Active reservations overlapping a range (details for 409 responses)
+const getConflicting = async (equipmentId, startTime, endTime, excludeReservationId = null) => {
+  const sql = `
+    SELECT r.id, r.equipment_id, e.name as equipment_name, r.start_time, r.end_time, r.status, u.username
+    FROM reservations r
+    JOIN users u ON r.user_id = u.id
+    JOIN equipment e ON r.equipment_id = e.id
+    WHERE r.equipment_id = $1 AND r.status NOT IN ('cancelled', 'rejected')
+      AND r.start_time < $3 AND r.end_time > $2
+      AND ($4::INTEGER IS NULL OR r.id != $4)
+    ORDER BY r.start_time
+  `;
+  return await query(sql, [equipmentId, startTime, endTime, excludeReservationId]);
+};
+
+// Run write; a reservations_no_overlap violation is rethrown as CONFLICT_ERROR carrying the overlapping reservations
+const guardOverlap = async (write, loadConflicts) => {
+  try {
+    return await write();
+  } catch (error) {
+    if (error.code !== EXCLUSION_VIOLATION) {
+      throw error;
+    }
+    const conflict = new Error('Time slot is already reserved');
+    conflict.code = Reservation.CONFLICT_ERROR;
+    conflict.conflicts = await loadConflicts();
+    throw conflict;
+  }
+};
 
 class Reservation {
+  // Error code thrown by create/update when the time slot overlaps an active reservation (error.conflicts)
+  static CONFLICT_ERROR = 'RESERVATION_CONFLICT';
+
   // Create new reservation
-  static async create(equipmentId, userId, startTime, endTime, purpose, status = 'confirmed') {
+  static async create(equipmentId, userId, startTime, endTime, purpose, status = 'confirmed', seriesId = null) {
     const sql = `
-      INSERT INTO reservations (equipment_id, user_id, start_time, end_time, purpose, status)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO reservations (equipment_id, user_id, start_time, end_time, purpose, status, series_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING id
     `;
-    const result = await get(sql, [equipmentId, userId, startTime, endTime, purpose, status]);
+    const result = await guardOverlap(
+      () => get(sql, [equipmentId, userId, startTime, endTime, purpose, status, seriesId]),
+      () => getConflicting(equipmentId, startTime, endTime)
+    );
     return result.id;
   }
 
-  // Check for conflicting reservations
+  // Create reservation only if the slot is still free; returns null when it was taken meanwhile
+  // The equipment row lock serializes concurrent bookings of the same equipment
+  static async createIfFree(equipmentId, userId, startTime, endTime, purpose, status = 'confirmed') {
+    return await guardOverlap(() => transaction(async (client) => {
+      await client.query('SELECT id FROM equipment WHERE id = $1 FOR UPDATE', [equipmentId]);
+
+      const busy = await client.query(`
+        SELECT id FROM reservations
+        WHERE equipment_id = $1 AND status NOT IN ('cancelled', 'rejected')
+          AND start_time < $3 AND end_time > $2
+        UNION ALL
+        SELECT id FROM maintenance_windows
+        WHERE equipment_id = $1 AND start_time < $3 AND end_time > $2
+        LIMIT 1
+      `, [equipmentId, startTime, endTime]);
+      if (busy.rows.length > 0) {
+        return null;
+      }
+
+      const result = await client.query(`
+        INSERT INTO reservations (equipment_id, user_id, start_time, end_time, purpose, status)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [equipmentId, userId, startTime, endTime, purpose, status]);
+      return result.rows[0].id;
+    }), () => getConflicting(equipmentId, startTime, endTime));
+  }
+
+  // Get booked and maintenance intervals of equipment overlapping a range (for free slot search)
+  static async getBusyIntervals(equipmentIds, startTime, endTime) {
+    const sql = `
+      SELECT equipment_id, start_time, end_time FROM reservations
+      WHERE equipment_id = ANY($1) AND status NOT IN ('cancelled', 'rejected')
+        AND start_time < $3 AND end_time > $2
+      UNION ALL
+      SELECT equipment_id, start_time, end_time FROM maintenance_windows
+      WHERE equipment_id = ANY($1) AND start_time < $3 AND end_time > $2
+      ORDER BY equipment_id, start_time
+    `;
+    return await query(sql, [equipmentIds, startTime, endTime]);
+  }
+
+  // Determine initial status from the booker's permission level
+  // autoConfirm (reservation.auto_confirm), autonomous, manager → confirmed / normal or none → pending (승인 필요)
+  static async determineInitialStatus(equipmentId, userId, autoConfirm = false) {
+    if (autoConfirm) {
+      return 'confirmed';
+    }
+
+    const permission = await Permission.hasPermission(equipmentId, userId);
+    if (permission && ['autonomous', 'manager'].includes(permission.permission_level)) {
+      return 'confirmed';
+    }
+
+    return 'pending';
+  }
+
+  // Check for conflicting reservations and maintenance windows
   static async checkConflict(equipmentId, startTime, endTime, excludeReservationId = null) {
     let sql = `
       SELECT * FROM reservations 
       WHERE equipment_id = $1 
-      AND status != 'cancelled'
+      AND status NOT IN ('cancelled', 'rejected')
       AND (
         (start_time <= $2 AND end_time > $2) OR
         (start_time < $3 AND end_time >= $3) OR
@@ -32,7 +129,44 @@ class Reservation {
     }
 
     const conflicts = await query(sql, params);
-    return conflicts.length > 0;
+    if (conflicts.length > 0) {
+      return true;
+    }
+
+    // Scheduled maintenance blocks booking as well
+    const windows = await MaintenanceWindow.findOverlapping(equipmentId, startTime, endTime);
+    return windows.length > 0;
+  }
+
+  // Sum of a user's active booked hours on equipment starting within a range (for quotas)
+  static async getUserHoursInRange(userId, equipmentId, startTime, endTime, excludeReservationId = null) {
+    const sql = `
+      SELECT COALESCE(SUM(EXTRACT(EPOCH FROM (end_time - start_time)) / 3600), 0) as hours
+      FROM reservations
+      WHERE user_id = $1 AND equipment_id = $2
+        AND status NOT IN ('cancelled', 'rejected')
+        AND start_time >= $3 AND start_time < $4
+        AND ($5::INTEGER IS NULL OR id != $5)
+    `;
+    const result = await get(sql, [userId, equipmentId, startTime, endTime, excludeReservationId]);
+    return Number(result.hours);
+  }
+
+  // Get active reservations overlapping a time range (with user info)
+  static async getOverlapping(equipmentId, startTime, endTime) {
+    const sql = `
+      SELECT 
+        r.*,
+        u.username,
+        u.email
+      FROM reservations r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.equipment_id = $1
+        AND r.status NOT IN ('cancelled', 'rejected')
+        AND r.start_time < $3 AND r.end_time > $2
+      ORDER BY r.start_time ASC
+    `;
+    return await query(sql, [equipmentId, startTime, endTime]);
   }
 
   // Get all reservations with user and equipment info
@@ -78,7 +212,7 @@ class Reservation {
         u.email
       FROM reservations r
       JOIN users u ON r.user_id = u.id
-      WHERE r.equipment_id = $1 AND r.status != 'cancelled'
+      WHERE r.equipment_id = $1 AND r.status NOT IN ('cancelled', 'rejected')
       ORDER BY r.start_time ASC
     `;
     return await query(sql, [equipmentId]);
@@ -92,10 +226,12 @@ class Reservation {
         u.username,
         u.email,
         e.name as equipment_name,
-        e.location as equipment_location
+        e.location as equipment_location,
+        rv.username as reviewed_by_name
       FROM reservations r
       JOIN users u ON r.user_id = u.id
       JOIN equipment e ON r.equipment_id = e.id
+      LEFT JOIN users rv ON r.reviewed_by = rv.id
       WHERE r.id = $1
     `;
     return await get(sql, [id]);
@@ -105,10 +241,120 @@ class Reservation {
   static async update(id, startTime, endTime, purpose, status) {
     const sql = `
       UPDATE reservations 
-      SET start_time = $1, end_time = $2, purpose = $3, status = $4
+      SET start_time = $1, end_time = $2, purpose = $3, status = $4,
+          reminder_sent_at = CASE WHEN start_time = $1 THEN reminder_sent_at ELSE NULL END
       WHERE id = $5
     `;
-    return await run(sql, [startTime, endTime, purpose, status, id]);
+    return await guardOverlap(() => run(sql, [startTime, endTime, purpose, status, id]), async () => {
+      const current = await get('SELECT equipment_id FROM reservations WHERE id = $1', [id]);
+      return await getConflicting(current.equipment_id, startTime, endTime, id);
+    });
+  }
+
+  // Get pairs of active reservations that overlap (data written before reservations_no_overlap existed)
+  static async findOverlappingPairs(limit = 100) {
+    const sql = `
+      SELECT a.equipment_id, e.name as equipment_name,
+             a.id as reservation_id, a.start_time, a.end_time, a.status, ua.username,
+             b.id as other_reservation_id, b.start_time as other_start_time, b.end_time as other_end_time,
+             b.status as other_status, ub.username as other_username
+      FROM reservations a
+      JOIN reservations b ON a.equipment_id = b.equipment_id AND a.id < b.id
+        AND a.start_time < b.end_time AND a.end_time > b.start_time
+      JOIN equipment e ON a.equipment_id = e.id
+      JOIN users ua ON a.user_id = ua.id
+      JOIN users ub ON b.user_id = ub.id
+      WHERE a.status NOT IN ('cancelled', 'rejected') AND b.status NOT IN ('cancelled', 'rejected')
+      ORDER BY a.start_time
+      LIMIT $1
+    `;
+    return await query(sql, [limit]);
+  }
+
+  // Get occurrences of a reservation series
+  static async getBySeriesId(seriesId) {
+    const sql = `
+      SELECT 
+        r.*,
+        u.username,
+        e.name as equipment_name,
+        e.location as equipment_location
+      FROM reservations r
+      JOIN users u ON r.user_id = u.id
+      JOIN equipment e ON r.equipment_id = e.id
+      WHERE r.series_id = $1
+      ORDER BY r.start_time ASC
+    `;
+    return await query(sql, [seriesId]);
+  }
+
+  // Mark series occurrence as individually edited
+  static async markSeriesException(id) {
+    const sql = 'UPDATE reservations SET is_series_exception = TRUE WHERE id = $1';
+    return await run(sql, [id]);
+  }
+
+  // Record booking policy override (who approved breaking the rules and why)
+  static async recordPolicyOverride(id, userId, reason) {
+    const sql = 'UPDATE reservations SET policy_override_by = $1, policy_override_reason = $2 WHERE id = $3';
+    return await run(sql, [userId, reason, id]);
+  }
+
+  // Minutes after start_time a booking may still be checked in before it counts as a no-show
+  static getCheckInGraceMinutes() {
+    return parseInt(process.env.CHECKIN_GRACE_MINUTES) || 15;
+  }
+
+  // Record check-in (actual usage start)
+  static async checkIn(id) {
+    const sql = `
+      UPDATE reservations SET checked_in_at = CURRENT_TIMESTAMP, no_show = FALSE
+      WHERE id = $1 AND checked_in_at IS NULL
+    `;
+    return await run(sql, [id]);
+  }
+
+  // Record check-out (actual usage end)
+  static async checkOut(id) {
+    const sql = `
+      UPDATE reservations SET checked_out_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND checked_in_at IS NOT NULL AND checked_out_at IS NULL
+    `;
+    return await run(sql, [id]);
+  }
+
+  // Mark confirmed reservations nobody checked in to within the grace period as no-shows
+  static async markNoShows() {
+    const sql = `
+      UPDATE reservations SET no_show = TRUE
+      WHERE status = 'confirmed' AND no_show = FALSE AND checked_in_at IS NULL
+        AND start_time + ($1 * INTERVAL '1 minute') < NOW()
+    `;
+    return await run(sql, [Reservation.getCheckInGraceMinutes()]);
+  }
+
+  // Get confirmed reservations starting within leadMinutes that have not been reminded yet
+  static async getDueReminders(leadMinutes) {
+    const sql = `
+      SELECT 
+        r.*,
+        u.username,
+        e.name as equipment_name,
+        e.location as equipment_location
+      FROM reservations r
+      JOIN users u ON r.user_id = u.id
+      JOIN equipment e ON r.equipment_id = e.id
+      WHERE r.status = 'confirmed' AND r.reminder_sent_at IS NULL
+        AND r.start_time > NOW() AND r.start_time <= NOW() + ($1 * INTERVAL '1 minute')
+      ORDER BY r.start_time ASC
+    `;
+    return await query(sql, [leadMinutes]);
+  }
+
+  // Record that the upcoming-reservation reminder was queued
+  static async markReminderSent(id) {
+    const sql = 'UPDATE reservations SET reminder_sent_at = CURRENT_TIMESTAMP WHERE id = $1 AND reminder_sent_at IS NULL';
+    return await run(sql, [id]);
   }
 
   // Cancel reservation
@@ -117,6 +363,46 @@ class Reservation {
     return await run(sql, ['cancelled', id]);
   }
 
+  // Cancel user's upcoming active reservations (account archived); returns cancelled rows
+  static async cancelUpcomingByUser(userId) {
+    const sql = `
+      UPDATE reservations SET status = 'cancelled'
+      WHERE user_id = $1 AND status IN ('pending', 'confirmed') AND start_time > NOW()
+      RETURNING id, equipment_id, user_id, start_time, end_time
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Cancel upcoming active reservations of equipment (equipment archived); returns cancelled rows
+  static async cancelUpcomingByEquipment(equipmentId) {
+    const sql = `
+      UPDATE reservations SET status = 'cancelled'
+      WHERE equipment_id = $1 AND status IN ('pending', 'confirmed') AND start_time > NOW()
+      RETURNING id, equipment_id, user_id, start_time, end_time
+    `;
+    return await query(sql, [equipmentId]);
+  }
+
+  // Approve pending reservation
+  static async approve(id, reviewerId) {
+    const sql = `
+      UPDATE reservations
+      SET status = 'confirmed', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, rejection_reason = NULL
+      WHERE id = $2 AND status = 'pending'
+    `;
+    return await run(sql, [reviewerId, id]);
+  }
+
+  // Reject pending reservation with reason
+  static async reject(id, reviewerId, reason) {
+    const sql = `
+      UPDATE reservations
+      SET status = 'rejected', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, rejection_reason = $2
+      WHERE id = $3 AND status = 'pending'
+    `;
+    return await run(sql, [reviewerId, reason, id]);
+  }
+
   // Delete reservation
   static async delete(id) {
     const sql = 'DELETE FROM reservations WHERE id = $1';
@@ -151,7 +437,7 @@ class Reservation {
       FROM reservations r
       JOIN users u ON r.user_id = u.id
       JOIN equipment e ON r.equipment_id = e.id
-      WHERE r.start_time >= $1 AND r.end_time <= $2 AND r.status != 'cancelled'
+      WHERE r.start_time >= $1 AND r.end_time <= $2 AND r.status NOT IN ('cancelled', 'rejected')
       ORDER BY r.start_time ASC
     `;
     return await query(sql, [startDate, endDate]);
@@ -178,6 +464,68 @@ class Reservation {
     `;
     return await query(sql, equipmentIds);
   }
+
+  // Search reservations for reports, oldest first
+  // filters: equipment_ids (scope), equipment_id, user_id, department, status, start_date, end_date (by start_time)
+  static async search(filters = {}, limit = 50000) {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (filters.equipment_ids) add('r.equipment_id = ANY(?)', filters.equipment_ids);
+    if (filters.equipment_id) add('r.equipment_id = ?', filters.equipment_id);
+    if (filters.user_id) add('r.user_id = ?', filters.user_id);
+    if (filters.department) add('u.department = ?', filters.department);
+    if (filters.status) add('r.status = ANY(?)', filters.status);
+    if (filters.start_date) add('r.start_time >= ?', filters.start_date);
+    if (filters.end_date) add('r.start_time < ?', filters.end_date);
+
+    const sql = `
+      SELECT
+        r.*,
+        u.username,
+        u.email,
+        u.department,
+        u.supervisor,
+        e.name as equipment_name,
+        e.location as equipment_location,
+        reviewer.username as reviewer_name
+      FROM reservations r
+      JOIN users u ON r.user_id = u.id
+      JOIN equipment e ON r.equipment_id = e.id
+      LEFT JOIN users reviewer ON r.reviewed_by = reviewer.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY r.start_time ASC, r.id ASC
+      LIMIT $${params.length + 1}
+    `;
+    return await query(sql, [...params, limit]);
+  }
+
+  // Get pending reservations awaiting approval (all equipment when equipmentIds is null)
+  static async getPending(equipmentIds = null) {
+    if (equipmentIds && equipmentIds.length === 0) {
+      return [];
+    }
+    const sql = `
+      SELECT 
+        r.*,
+        u.username,
+        u.email,
+        u.department,
+        e.name as equipment_name,
+        e.location as equipment_location
+      FROM reservations r
+      JOIN users u ON r.user_id = u.id
+      JOIN equipment e ON r.equipment_id = e.id
+      WHERE r.status = 'pending'
+        ${equipmentIds ? 'AND r.equipment_id = ANY($1)' : ''}
+      ORDER BY r.start_time ASC
+    `;
+    return await query(sql, equipmentIds ? [equipmentIds] : []);
+  }
 }
 
 module.exports = Reservation;
@@ -0,0 +1,52 @@
+const { query, run, get } = require('../config/database');
+
+class ReservationSeries {
+  // Create new series with recurrence rule
+  static async create(equipmentId, userId, rule, startTime, endTime, purpose) {
+    const sql = `
+      INSERT INTO reservation_series
+        (equipment_id, user_id, frequency, interval_count, weekdays, until_date, occurrence_count, start_time, end_time, purpose)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id
+    `;
+    const result = await get(sql, [
+      equipmentId, userId, rule.frequency, rule.interval || 1, rule.weekdays || null,
+      rule.until || null, rule.count || null, startTime, endTime, purpose
+    ]);
+    return result.id;
+  }
+
+  // Get series by ID
+  static async findById(id) {
+    const sql = `
+      SELECT rs.*, u.username, e.name as equipment_name
+      FROM reservation_series rs
+      JOIN users u ON rs.user_id = u.id
+      JOIN equipment e ON rs.equipment_id = e.id
+      WHERE rs.id = $1
+    `;
+    return await get(sql, [id]);
+  }
+
+  // Get series by user ID
+  static async getByUserId(userId) {
+    const sql = `
+      SELECT rs.*, e.name as equipment_name,
+             (SELECT COUNT(*) FROM reservations r
+              WHERE r.series_id = rs.id AND r.status NOT IN ('cancelled', 'rejected')) as active_count
+      FROM reservation_series rs
+      JOIN equipment e ON rs.equipment_id = e.id
+      WHERE rs.user_id = $1
+      ORDER BY rs.created_at DESC
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Update purpose shared by the series
+  static async updatePurpose(id, purpose) {
+    const sql = 'UPDATE reservation_series SET purpose = $1 WHERE id = $2';
+    return await run(sql, [purpose, id]);
+  }
+}
+
+module.exports = ReservationSeries;
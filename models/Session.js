@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { query, run, get } = require('../config/database');
+
+// Only the SHA-256 hash of a refresh token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newToken = () => crypto.randomBytes(48).toString('base64url');
+
+class Session {
+  // Create session for login (plain refresh token is returned only once)
+  static async create(userId, ttlDays, userAgent = null, ipAddress = null) {
+    const refreshToken = newToken();
+    const sql = `
+      INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+      VALUES ($1, $2, $3, $4, NOW() + ($5 * INTERVAL '1 day'))
+      RETURNING id
+    `;
+    const result = await get(sql, [userId, hashToken(refreshToken), userAgent, ipAddress, ttlDays]);
+    return { id: result.id, refreshToken };
+  }
+
+  // Get session with its user's current role (used by verifyToken)
+  static async findActive(id) {
+    const sql = `
+      SELECT s.id, s.user_id, u.user_role
+      FROM auth_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+    `;
+    return await get(sql, [id]);
+  }
+
+  // Find session by presented refresh token (current or already-rotated)
+  static async findByRefreshToken(refreshToken) {
+    const hash = hashToken(refreshToken);
+    const sql = `
+      SELECT s.*, (s.refresh_token_hash = $1) as is_current
+      FROM auth_sessions s
+      WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1
+    `;
+    return await get(sql, [hash]);
+  }
+
+  // Replace refresh token; fails (null) if another request rotated it first
+  static async rotate(id, currentToken, ttlDays) {
+    const refreshToken = newToken();
+    const sql = `
+      UPDATE auth_sessions
+      SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1,
+          last_used_at = CURRENT_TIMESTAMP, expires_at = NOW() + ($2 * INTERVAL '1 day')
+      WHERE id = $3 AND refresh_token_hash = $4 AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING id
+    `;
+    const result = await get(sql, [hashToken(refreshToken), ttlDays, id, hashToken(currentToken)]);
+    return result ? refreshToken : null;
+  }
+
+  // Revoke single session
+  static async revoke(id, reason) {
+    const sql = `
+      UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+      WHERE id = $1 AND revoked_at IS NULL
+    `;
+    return await run(sql, [id, reason]);
+  }
+
+  // Revoke all sessions of user (logout all, password or role change)
+  static async revokeAllForUser(userId, reason) {
+    const sql = `
+      UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+      WHERE user_id = $1 AND revoked_at IS NULL
+    `;
+    return await run(sql, [userId, reason]);
+  }
+
+  // Get active sessions of user
+  static async getActiveByUser(userId) {
+    const sql = `
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM auth_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `;
+    return await query(sql, [userId]);
+  }
+}
+
+module.exports = Session;
@@ -0,0 +1,257 @@
+const { query } = require('../config/database');
+
+// Counts and hours per group: booked hours of confirmed reservations, actual (checked-in) hours,
+// confirmed bookings that already started (due) and no-shows
+const USAGE_COLUMNS = `
+  COUNT(r.id) as total_reservations,
+  COUNT(CASE WHEN r.status = 'confirmed' THEN 1 END) as confirmed_count,
+  COUNT(CASE WHEN r.status = 'cancelled' THEN 1 END) as cancelled_count,
+  COALESCE(SUM(
+    CASE WHEN r.status = 'confirmed'
+    THEN EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600
+    ELSE 0 END
+  ), 0) as total_hours,
+  COALESCE(SUM(
+    CASE WHEN r.status = 'confirmed' AND r.checked_in_at IS NOT NULL
+    THEN EXTRACT(EPOCH FROM (COALESCE(r.checked_out_at, LEAST(r.end_time, NOW())) - r.checked_in_at)) / 3600
+    ELSE 0 END
+  ), 0) as actual_hours,
+  COUNT(CASE WHEN r.status = 'confirmed' AND r.start_time < NOW() THEN 1 END) as due_count,
+  COUNT(CASE WHEN r.no_show THEN 1 END) as no_show_count
+`;
+
+// Reservation conditions for a stats scope: managed equipment (equipmentIds, null = all) and start_time period
+// Returns SQL fragments starting with AND, and their parameters
+const scopeConditions = ({ equipmentIds = null, startDate = null, endDate = null }, equipmentColumn = 'r.equipment_id') => {
+  const params = [];
+  let equipment = '';
+  let period = '';
+  if (equipmentIds) {
+    params.push(equipmentIds);
+    equipment = `AND ${equipmentColumn} = ANY($${params.length})`;
+  }
+  if (startDate && endDate) {
+    params.push(startDate, endDate);
+    period = `AND r.start_time >= $${params.length - 1} AND r.start_time < $${params.length}`;
+  }
+  return { equipment, period, params };
+};
+
+// Groups for group usage: how rows are keyed and which users belong to a group
+// supervisor groups hold the interns/students naming that supervisor (users.supervisor is the supervisor's username)
+const GROUPS = {
+  department: {
+    key: 'u.department',
+    columns: 'u.department as group_key',
+    condition: ''
+  },
+  supervisor: {
+    key: 'u.supervisor',
+    columns: 'u.supervisor as group_key',
+    condition: "AND u.supervisor IS NOT NULL AND u.user_role IN ('intern', 'student')"
+  },
+  user: {
+    key: 'u.id',
+    columns: 'u.id as group_key, u.username, u.email, u.department, u.user_role',
+    condition: ''
+  }
+};
+
+// Parameters and conditions for group queries: period (start_time) and optionally one supervisor's group
+const groupConditions = (groupBy, { startDate, endDate }, supervisor) => {
+  const params = [startDate, endDate];
+  let condition = GROUPS[groupBy].condition;
+  if (supervisor) {
+    params.push(supervisor);
+    condition += ` AND u.supervisor = $${params.length} AND u.user_role IN ('intern', 'student')`;
+  }
+  return { params, condition };
+};
+
+class Stats {
+  // Group keys accepted by getGroupUsage / getGroupTopEquipment
+  static GROUP_BY = Object.keys(GROUPS);
+
+  // Usage per equipment (all equipment of the scope, including unused)
+  static async getEquipmentUsage(scope) {
+    const { equipment, period, params } = scopeConditions(scope, 'e.id');
+    const sql = `
+      SELECT
+        e.id,
+        e.name as equipment_name,
+        ${USAGE_COLUMNS}
+      FROM equipment e
+      LEFT JOIN reservations r ON e.id = r.equipment_id
+        ${period}
+      WHERE TRUE ${equipment}
+      GROUP BY e.id, e.name
+      ORDER BY total_hours DESC
+    `;
+    return await query(sql, params);
+  }
+
+  // Usage per user (every user for the whole facility, only users who booked the scope's equipment otherwise)
+  static async getUserUsage(scope) {
+    const { equipment, period, params } = scopeConditions(scope);
+    const sql = `
+      SELECT
+        u.id,
+        u.username,
+        u.email,
+        u.department,
+        ${USAGE_COLUMNS}
+      FROM users u
+      ${scope.equipmentIds ? 'JOIN' : 'LEFT JOIN'} reservations r ON u.id = r.user_id
+        ${equipment}
+        ${period}
+      GROUP BY u.id, u.username, u.email, u.department
+      ORDER BY total_hours DESC
+    `;
+    return await query(sql, params);
+  }
+
+  // Confirmed hours per user × equipment (limit null = all pairs)
+  static async getUserEquipmentMatrix(scope, limit = 20) {
+    const { equipment, period, params } = scopeConditions(scope);
+    const sql = `
+      SELECT
+        u.username,
+        e.name as equipment_name,
+        COUNT(r.id) as reservation_count,
+        COALESCE(SUM(
+          CASE WHEN r.status = 'confirmed'
+          THEN EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600
+          ELSE 0 END
+        ), 0) as total_hours
+      FROM reservations r
+      JOIN users u ON r.user_id = u.id
+      JOIN equipment e ON r.equipment_id = e.id
+      WHERE r.status = 'confirmed'
+        ${equipment}
+        ${period}
+      GROUP BY u.username, e.name
+      ORDER BY total_hours DESC
+      ${limit ? `LIMIT ${parseInt(limit)}` : ''}
+    `;
+    return await query(sql, params);
+  }
+
+  // Confirmed reservations per month (last 6 months without a period)
+  static async getMonthlyTrends(scope) {
+    const { equipment, period, params } = scopeConditions(scope);
+    const sql = `
+      SELECT
+        TO_CHAR(DATE_TRUNC('month', r.start_time), 'YYYY-MM') as month,
+        COUNT(*) as count,
+        COALESCE(SUM(EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600), 0) as total_hours
+      FROM reservations r
+      WHERE r.status = 'confirmed'
+        ${equipment}
+        ${period || 'AND r.start_time >= NOW() - INTERVAL \'6 months\''}
+      GROUP BY DATE_TRUNC('month', r.start_time)
+      ORDER BY month DESC
+    `;
+    return await query(sql, params);
+  }
+
+  // Counts and confirmed hours per department, supervisor or user within a period
+  // member_count counts active accounts, so groups without bookings are listed too
+  static async getGroupUsage(groupBy, period, supervisor = null) {
+    const group = GROUPS[groupBy];
+    const { params, condition } = groupConditions(groupBy, period, supervisor);
+    const sql = `
+      SELECT
+        ${group.columns},
+        COUNT(DISTINCT CASE WHEN u.archived_at IS NULL THEN u.id END) as member_count,
+        COUNT(DISTINCT r.user_id) as active_users,
+        COUNT(r.id) as total_reservations,
+        COUNT(CASE WHEN r.status = 'confirmed' THEN 1 END) as confirmed_count,
+        COUNT(CASE WHEN r.status = 'cancelled' THEN 1 END) as cancelled_count,
+        COALESCE(SUM(
+          CASE WHEN r.status = 'confirmed'
+          THEN EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600
+          ELSE 0 END
+        ), 0) as confirmed_hours
+      FROM users u
+      LEFT JOIN reservations r ON r.user_id = u.id
+        AND r.start_time >= $1 AND r.start_time < $2
+      WHERE (u.archived_at IS NULL OR r.id IS NOT NULL)
+        ${condition}
+      GROUP BY ${groupBy === 'user' ? 'u.id, u.username, u.email, u.department, u.user_role' : group.key}
+      ORDER BY confirmed_hours DESC, total_reservations DESC
+    `;
+    return await query(sql, params);
+  }
+
+  // Most used equipment (confirmed hours) of each group within a period
+  static async getGroupTopEquipment(groupBy, period, supervisor = null, limit = 3) {
+    const group = GROUPS[groupBy];
+    const { params, condition } = groupConditions(groupBy, period, supervisor);
+    params.push(limit);
+    const sql = `
+      SELECT group_key, equipment_id, equipment_name, reservation_count, confirmed_hours
+      FROM (
+        SELECT
+          ${group.key} as group_key,
+          e.id as equipment_id,
+          e.name as equipment_name,
+          COUNT(*) as reservation_count,
+          SUM(EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600) as confirmed_hours,
+          ROW_NUMBER() OVER (
+            PARTITION BY ${group.key}
+            ORDER BY SUM(EXTRACT(EPOCH FROM (r.end_time - r.start_time))) DESC, e.name
+          ) as rank
+        FROM reservations r
+        JOIN users u ON r.user_id = u.id
+        JOIN equipment e ON r.equipment_id = e.id
+        WHERE r.status = 'confirmed'
+          AND r.start_time >= $1 AND r.start_time < $2
+          ${condition}
+        GROUP BY ${group.key}, e.id, e.name
+      ) ranked
+      WHERE rank <= $${params.length}
+      ORDER BY group_key, rank
+    `;
+    return await query(sql, params);
+  }
+
+  // Confirmed reservations ('booked') and maintenance windows ('blocked') overlapping a period (utilization heatmap)
+  static async getUtilizationIntervals(equipmentIds, { startDate, endDate }) {
+    const sql = `
+      SELECT equipment_id, 'booked' as kind, start_time, end_time FROM reservations
+      WHERE equipment_id = ANY($1) AND status = 'confirmed'
+        AND start_time < $3 AND end_time > $2
+      UNION ALL
+      SELECT equipment_id, 'blocked' as kind, start_time, end_time FROM maintenance_windows
+      WHERE equipment_id = ANY($1) AND start_time < $3 AND end_time > $2
+      ORDER BY equipment_id, start_time
+    `;
+    return await query(sql, [equipmentIds, startDate, endDate]);
+  }
+
+  // Booking habits per equipment for reservations starting within a period:
+  // lead time (booked → start) and length of confirmed bookings, and how long before the start bookings were cancelled
+  // late_cancellation_count: cancelled less than lateHours before the start (cancelled_at is recorded since migration 004)
+  static async getBookingTimings(equipmentIds, { startDate, endDate }, lateHours = 24) {
+    const sql = `
+      SELECT
+        r.equipment_id,
+        COUNT(CASE WHEN r.status = 'confirmed' THEN 1 END) as confirmed_count,
+        AVG(CASE WHEN r.status = 'confirmed' THEN EXTRACT(EPOCH FROM (r.start_time - r.created_at)) / 3600 END) as avg_lead_hours,
+        PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY
+          CASE WHEN r.status = 'confirmed' THEN EXTRACT(EPOCH FROM (r.start_time - r.created_at)) / 3600 END
+        ) as median_lead_hours,
+        AVG(CASE WHEN r.status = 'confirmed' THEN EXTRACT(EPOCH FROM (r.end_time - r.start_time)) / 3600 END) as avg_booking_hours,
+        COUNT(CASE WHEN r.status = 'cancelled' THEN 1 END) as cancelled_count,
+        AVG(CASE WHEN r.status = 'cancelled' THEN EXTRACT(EPOCH FROM (r.start_time - r.cancelled_at)) / 3600 END) as avg_cancellation_lead_hours,
+        COUNT(CASE WHEN r.status = 'cancelled' AND r.cancelled_at > r.start_time - $4 * INTERVAL '1 hour' THEN 1 END) as late_cancellation_count
+      FROM reservations r
+      WHERE r.equipment_id = ANY($1)
+        AND r.start_time >= $2 AND r.start_time < $3
+      GROUP BY r.equipment_id
+    `;
+    return await query(sql, [equipmentIds, startDate, endDate, lateHours]);
+  }
+}
+
+module.exports = Stats;
@@ -1,16 +1,32 @@
 const bcrypt = require('bcryptjs');
-const { query, run, get } = require('../config/database');
+const { query, run, get, transaction } = require('../config/database');
 
 class User {
+  // user_role values
+  static ROLES = ['intern', 'student', 'staff', 'equipment_manager', 'admin'];
+
   // Create new user with extended fields
-  static async create(username, email, password, role = 'user', department = null, phone = null, userRole = 'staff', supervisor = null) {
+  static async create(username, email, password, userRole = 'staff', department = null, phone = null, supervisor = null) {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const sql = `
+      INSERT INTO users (username, email, password_hash, department, phone, user_role, supervisor)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `;
+    const result = await get(sql, [username, email, hashedPassword, department, phone, userRole, supervisor]);
+    return result.id;
+  }
+
+  // Create self-registered account (pending admin approval and email verification)
+  static async register(username, email, password, department, phone, userRole, requestedRole, supervisor = null) {
     const hashedPassword = await bcrypt.hash(password, 10);
     const sql = `
-      INSERT INTO users (username, email, password_hash, role, department, phone, user_role, supervisor)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      INSERT INTO users (username, email, password_hash, department, phone, user_role, supervisor,
+                         requested_role, account_status, email_verified)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending_approval', FALSE)
       RETURNING id
     `;
-    const result = await get(sql, [username, email, hashedPassword, role, department, phone, userRole, supervisor]);
+    const result = await get(sql, [username, email, hashedPassword, department, phone, userRole, supervisor, requestedRole]);
     return result.id;
   }
 
@@ -28,7 +44,17 @@ class User {
 
   // Find user by ID
   static async findById(id) {
-    const sql = 'SELECT id, username, email, role, department, phone, user_role, supervisor, created_at FROM users WHERE id = $1';
+    const sql = `
+      SELECT id, username, email, department, phone, user_role, supervisor, created_at,
+             account_status, requested_role, email_verified, archived_at
+      FROM users WHERE id = $1
+    `;
+    return await get(sql, [id]);
+  }
+
+  // Find user by ID including password hash (for password change)
+  static async findByIdWithPassword(id) {
+    const sql = 'SELECT * FROM users WHERE id = $1';
     return await get(sql, [id]);
   }
 
@@ -37,19 +63,118 @@ class User {
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
 
-  // Get all users (admin only)
-  static async getAll() {
-    const sql = 'SELECT id, username, email, role, department, phone, user_role, supervisor, created_at FROM users ORDER BY created_at DESC';
+  // Set new password (clears forced-reset flag)
+  static async updatePassword(userId, password) {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const sql = `
+      UPDATE users SET password_hash = $1, must_reset_password = FALSE, password_changed_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `;
+    return await run(sql, [hashedPassword, userId]);
+  }
+
+  // Require password reset on next login (admin)
+  static async setMustResetPassword(userId, mustReset) {
+    const sql = 'UPDATE users SET must_reset_password = $1 WHERE id = $2';
+    return await run(sql, [mustReset, userId]);
+  }
+
+  // Mark email as verified
+  static async markEmailVerified(userId) {
+    const sql = 'UPDATE users SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP WHERE id = $1';
+    return await run(sql, [userId]);
+  }
+
+  // Get accounts waiting for approval (optionally only those naming this supervisor)
+  static async getPendingApproval(supervisorName = null) {
+    const sql = `
+      SELECT u.id, u.username, u.email, u.department, u.phone, u.user_role, u.requested_role, u.supervisor,
+             u.email_verified, u.supervisor_confirmed_at, sc.username as supervisor_confirmed_by_name, u.created_at
+      FROM users u
+      LEFT JOIN users sc ON u.supervisor_confirmed_by = sc.id
+      WHERE u.account_status = 'pending_approval'
+      ${supervisorName ? "AND u.supervisor = $1 AND u.user_role IN ('intern', 'student')" : ''}
+      ORDER BY u.created_at ASC
+    `;
+    return await query(sql, supervisorName ? [supervisorName] : []);
+  }
+
+  // Approve pending account with final role
+  static async approve(userId, approverId, userRole) {
+    const sql = `
+      UPDATE users
+      SET account_status = 'active', user_role = $1, approved_by = $2, approved_at = CURRENT_TIMESTAMP,
+          rejection_reason = NULL
+      WHERE id = $3 AND account_status = 'pending_approval'
+    `;
+    return await run(sql, [userRole, approverId, userId]);
+  }
+
+  // Reject pending account
+  static async rejectRegistration(userId, approverId, reason) {
+    const sql = `
+      UPDATE users
+      SET account_status = 'rejected', approved_by = $1, approved_at = CURRENT_TIMESTAMP, rejection_reason = $2
+      WHERE id = $3 AND account_status = 'pending_approval'
+    `;
+    return await run(sql, [approverId, reason, userId]);
+  }
+
+  // Record supervisor confirmation for intern/student account
+  static async confirmBySupervisor(userId, supervisorId) {
+    const sql = `
+      UPDATE users SET supervisor_confirmed_by = $1, supervisor_confirmed_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND account_status = 'pending_approval'
+    `;
+    return await run(sql, [supervisorId, userId]);
+  }
+
+  // Store new (not yet verified) TOTP secret
+  static async setTotpSecret(userId, encryptedSecret) {
+    const sql = `
+      UPDATE users SET totp_secret = $1, totp_enabled = FALSE, totp_enabled_at = NULL, totp_last_step = NULL
+      WHERE id = $2
+    `;
+    return await run(sql, [encryptedSecret, userId]);
+  }
+
+  // Turn on 2FA after first code was verified
+  static async enableTotp(userId) {
+    const sql = 'UPDATE users SET totp_enabled = TRUE, totp_enabled_at = CURRENT_TIMESTAMP WHERE id = $1';
+    return await run(sql, [userId]);
+  }
+
+  // Turn off 2FA and forget secret
+  static async disableTotp(userId) {
+    const sql = `
+      UPDATE users SET totp_secret = NULL, totp_enabled = FALSE, totp_enabled_at = NULL, totp_last_step = NULL
+      WHERE id = $1
+    `;
+    return await run(sql, [userId]);
+  }
+
+  // Record used TOTP time step; fails (changes = 0) if that step or a later one was already used
+  static async useTotpStep(userId, step) {
+    const sql = `
+      UPDATE users SET totp_last_step = $1
+      WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+    `;
+    return await run(sql, [step, userId]);
+  }
+
+  // Get active admins (registration review notifications)
+  static async getAdmins() {
+    const sql = "SELECT id, username, email FROM users WHERE user_role = 'admin' AND account_status = 'active'";
     return await query(sql);
   }
 
-  // Update user role (legacy)
-  static async updateRole(userId, role) {
-    const sql = 'UPDATE users SET role = $1 WHERE id = $2';
-    return await run(sql, [role, userId]);
+  // Get all users (admin only, archived accounts excluded)
+  static async getAll() {
+    const sql = 'SELECT id, username, email, department, phone, user_role, supervisor, created_at FROM users WHERE archived_at IS NULL ORDER BY created_at DESC';
+    return await query(sql);
   }
 
-  // Update user role (new system)
+  // Update user role
   static async updateUserRole(userId, userRole) {
     const sql = 'UPDATE users SET user_role = $1 WHERE id = $2';
     return await run(sql, [userRole, userId]);
@@ -64,12 +189,83 @@ class User {
     return await run(sql, [department, phone, userRole, supervisor, userId]);
   }
 
-  // Delete user
-  static async delete(userId) {
-    const sql = 'DELETE FROM users WHERE id = $1';
+  // Find existing accounts by email or username (bulk import duplicate check, case-insensitive)
+  static async findExisting(emails, usernames) {
+    const sql = `
+      SELECT id, username, email, archived_at FROM users
+      WHERE LOWER(email) = ANY($1) OR LOWER(username) = ANY($2)
+    `;
+    return await query(sql, [emails.map(e => e.toLowerCase()), usernames.map(u => u.toLowerCase())]);
+  }
+
+  // Create active accounts in one transaction (bulk import); each must change the password on first login
+  // users: [{ username, email, password, department, phone, user_role, supervisor }]
+  static async importMany(users) {
+    const hashes = await Promise.all(users.map(user => bcrypt.hash(user.password, 10)));
+    return await transaction(async (client) => {
+      const ids = [];
+      for (const [index, user] of users.entries()) {
+        const result = await client.query(`
+          INSERT INTO users (username, email, password_hash, department, phone, user_role, supervisor,
+                             account_status, email_verified, email_verified_at, must_reset_password)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', TRUE, CURRENT_TIMESTAMP, TRUE)
+          RETURNING id
+        `, [user.username, user.email, hashes[index], user.department, user.phone, user.user_role, user.supervisor]);
+        ids.push(result.rows[0].id);
+      }
+      return ids;
+    });
+  }
+
+  // Archive user (login blocked, hidden from lists; history keeps the name)
+  static async archive(userId, archivedBy) {
+    const sql = `
+      UPDATE users SET archived_at = CURRENT_TIMESTAMP, archived_by = $1
+      WHERE id = $2 AND archived_at IS NULL
+    `;
+    return await run(sql, [archivedBy, userId]);
+  }
+
+  // Restore archived user
+  static async restore(userId) {
+    const sql = 'UPDATE users SET archived_at = NULL, archived_by = NULL WHERE id = $1 AND archived_at IS NOT NULL';
     return await run(sql, [userId]);
   }
 
+  // Get archived users with usage counts (admin)
+  static async getArchived() {
+    const sql = `
+      SELECT u.id, u.username, u.email, u.department, u.user_role, u.supervisor, u.created_at,
+             u.archived_at, a.username as archived_by_name,
+             (SELECT COUNT(*) FROM reservations r WHERE r.user_id = u.id) as reservation_count
+      FROM users u
+      LEFT JOIN users a ON u.archived_by = a.id
+      WHERE u.archived_at IS NOT NULL
+      ORDER BY u.archived_at DESC
+    `;
+    return await query(sql);
+  }
+
+  // Permanently delete archived user with their reservations and logs
+  static async purge(userId) {
+    return await transaction(async (client) => {
+      // Keep references from other people's rows
+      await client.query('UPDATE equipment SET manager_id = NULL WHERE manager_id = $1', [userId]);
+      await client.query('UPDATE equipment_permissions SET granted_by = NULL WHERE granted_by = $1', [userId]);
+      await client.query('UPDATE reservations SET reviewed_by = NULL WHERE reviewed_by = $1', [userId]);
+      await client.query('UPDATE reservations SET policy_override_by = NULL WHERE policy_override_by = $1', [userId]);
+      await client.query(`
+        UPDATE equipment_logs SET reservation_id = NULL
+        WHERE reservation_id IN (SELECT id FROM reservations WHERE user_id = $1) AND user_id != $1
+      `, [userId]);
+
+      await client.query('DELETE FROM equipment_logs WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM reservations WHERE user_id = $1', [userId]);
+      const result = await client.query('DELETE FROM users WHERE id = $1 AND archived_at IS NOT NULL', [userId]);
+      return { changes: result.rowCount };
+    });
+  }
+
   // Check if user can manage equipment (장비담당자 or 관리자)
   static isManager(userRole) {
     return ['equipment_manager', 'admin'].includes(userRole);
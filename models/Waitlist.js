@@ -0,0 +1,102 @@
+const { query, run, get } = require('../config/database');
+
+class Waitlist {
+  // Join waitlist for a time slot
+  static async create(equipmentId, userId, startTime, endTime, purpose) {
+    const sql = `
+      INSERT INTO waitlist_entries (equipment_id, user_id, start_time, end_time, purpose)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `;
+    const result = await get(sql, [equipmentId, userId, startTime, endTime, purpose]);
+    return result.id;
+  }
+
+  // Get entry by ID
+  static async findById(id) {
+    const sql = 'SELECT * FROM waitlist_entries WHERE id = $1';
+    return await get(sql, [id]);
+  }
+
+  // Find user's waiting entry for the same slot (duplicate check)
+  static async findWaiting(equipmentId, userId, startTime, endTime) {
+    const sql = `
+      SELECT * FROM waitlist_entries
+      WHERE equipment_id = $1 AND user_id = $2 AND start_time = $3 AND end_time = $4 AND status = 'waiting'
+    `;
+    return await get(sql, [equipmentId, userId, startTime, endTime]);
+  }
+
+  // Get waitlist entries by user ID
+  static async getByUserId(userId) {
+    const sql = `
+      SELECT w.*, e.name as equipment_name, e.location as equipment_location
+      FROM waitlist_entries w
+      JOIN equipment e ON w.equipment_id = e.id
+      WHERE w.user_id = $1
+      ORDER BY w.start_time DESC
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Get waiting entries for equipment (all equipment when equipmentIds is null), in queue order
+  static async getWaiting(equipmentIds = null) {
+    if (equipmentIds && equipmentIds.length === 0) {
+      return [];
+    }
+    const sql = `
+      SELECT w.*, u.username, u.email, u.department, e.name as equipment_name
+      FROM waitlist_entries w
+      JOIN users u ON w.user_id = u.id
+      JOIN equipment e ON w.equipment_id = e.id
+      WHERE w.status = 'waiting' AND w.end_time > NOW()
+        ${equipmentIds ? 'AND w.equipment_id = ANY($1)' : ''}
+      ORDER BY w.equipment_id, w.created_at ASC
+    `;
+    return await query(sql, equipmentIds ? [equipmentIds] : []);
+  }
+
+  // Get waiting entries overlapping a freed time range, first come first served
+  static async getWaitingForRange(equipmentId, startTime, endTime) {
+    const sql = `
+      SELECT w.*, u.user_role
+      FROM waitlist_entries w
+      JOIN users u ON w.user_id = u.id
+      WHERE w.equipment_id = $1 AND w.status = 'waiting'
+        AND w.start_time < $3 AND w.end_time > $2
+        AND w.start_time > NOW()
+      ORDER BY w.created_at ASC
+    `;
+    return await query(sql, [equipmentId, startTime, endTime]);
+  }
+
+  // Mark entry as promoted to a reservation
+  static async markPromoted(id, reservationId) {
+    const sql = `
+      UPDATE waitlist_entries
+      SET status = 'promoted', reservation_id = $1, promoted_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND status = 'waiting'
+    `;
+    return await run(sql, [reservationId, id]);
+  }
+
+  // Leave waitlist
+  static async cancel(id) {
+    const sql = `UPDATE waitlist_entries SET status = 'cancelled' WHERE id = $1 AND status = 'waiting'`;
+    return await run(sql, [id]);
+  }
+
+  // Cancel user's waiting entries (account archived)
+  static async cancelWaitingByUser(userId) {
+    const sql = `UPDATE waitlist_entries SET status = 'cancelled' WHERE user_id = $1 AND status = 'waiting'`;
+    return await run(sql, [userId]);
+  }
+
+  // Cancel waiting entries of equipment (equipment archived)
+  static async cancelWaitingByEquipment(equipmentId) {
+    const sql = `UPDATE waitlist_entries SET status = 'cancelled' WHERE equipment_id = $1 AND status = 'waiting'`;
+    return await run(sql, [equipmentId]);
+  }
+}
+
+module.exports = Waitlist;
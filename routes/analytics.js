@@ -0,0 +1,113 @@
+const express = require('express');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const Equipment = require('../models/Equipment');
+const { CAPABILITIES, hasCapability } = require('../services/capabilities');
+const { LATE_CANCELLATION_HOURS, parsePeriod, getGroupAnalytics, getUtilization } = require('../services/analytics');
+const { getStatsEquipmentIds } = require('../services/stats');
+
+const router = express.Router();
+
+// Period fields of the response (end_date is exclusive)
+const periodInfo = ({ period, previousPeriod }) => ({
+  period: { start_date: period.startDate, end_date: period.endDate },
+  previous_period: { start_date: previousPeriod.startDate, end_date: previousPeriod.endDate }
+});
+
+// Usage by department (stats.view)
+// Query: start_date, end_date (default: last 30 days), compared with the preceding period of the same length
+router.get('/departments', verifyToken, requireCapability(CAPABILITIES.STATS_VIEW), async (req, res) => {
+  try {
+    const periods = parsePeriod(req.query);
+    if (periods.error) {
+      return res.status(400).json({ error: periods.error });
+    }
+
+    const { groups, totals } = await getGroupAnalytics('department', periods);
+    res.json({ ...periodInfo(periods), departments: groups, totals });
+  } catch (error) {
+    console.error('Department analytics error:', error);
+    res.status(500).json({ error: '소속별 통계 조회에 실패했습니다.' });
+  }
+});
+
+// Usage by supervisor: each supervisor's interns and students together (stats.view)
+// Query: start_date, end_date
+router.get('/supervisors', verifyToken, requireCapability(CAPABILITIES.STATS_VIEW), async (req, res) => {
+  try {
+    const periods = parsePeriod(req.query);
+    if (periods.error) {
+      return res.status(400).json({ error: periods.error });
+    }
+
+    const { groups, totals } = await getGroupAnalytics('supervisor', periods);
+    res.json({ ...periodInfo(periods), supervisors: groups, totals });
+  } catch (error) {
+    console.error('Supervisor analytics error:', error);
+    res.status(500).json({ error: '연수책임자별 통계 조회에 실패했습니다.' });
+  }
+});
+
+// Usage of the interns and students who named the caller as supervisor, per person
+// Query: start_date, end_date, supervisor (another supervisor's username; stats.view only)
+router.get('/supervisees', verifyToken, async (req, res) => {
+  try {
+    const supervisor = req.query.supervisor || req.user.username;
+    if (supervisor !== req.user.username && !(await hasCapability(req.user, CAPABILITIES.STATS_VIEW))) {
+      return res.status(403).json({ error: '본인이 연수책임자로 지정된 인턴/학생연구원만 조회할 수 있습니다.' });
+    }
+
+    const periods = parsePeriod(req.query);
+    if (periods.error) {
+      return res.status(400).json({ error: periods.error });
+    }
+
+    const { groups, totals } = await getGroupAnalytics('user', periods, supervisor);
+    const supervisees = groups.map(({ group, ...usage }) => ({ id: group, ...usage }));
+    res.json({ ...periodInfo(periods), supervisor, supervisees, totals });
+  } catch (error) {
+    console.error('Supervisee analytics error:', error);
+    res.status(500).json({ error: '인턴/학생연구원 이용 현황 조회에 실패했습니다.' });
+  }
+});
+
+// Utilization per equipment by weekday × hour, with booking lead time, length and cancellation lead time
+// stats.view: all equipment, equipment manager: managed equipment
+// Query: start_date, end_date (default: last 30 days), equipment_id (comma separated)
+router.get('/utilization', verifyToken, async (req, res) => {
+  try {
+    const periods = parsePeriod(req.query);
+    if (periods.error) {
+      return res.status(400).json({ error: periods.error });
+    }
+
+    const requestedIds = req.query.equipment_id
+      ? String(req.query.equipment_id).split(',').map(id => parseInt(id))
+      : null;
+    if (requestedIds && requestedIds.some(isNaN)) {
+      return res.status(400).json({ error: 'equipment_id must be a comma separated list of numbers' });
+    }
+
+    // null: all equipment
+    const scopedIds = await getStatsEquipmentIds(req.user);
+    if (scopedIds && scopedIds.length === 0) {
+      return res.status(403).json({ error: '권한이 없습니다.', code: 'FORBIDDEN', capability: CAPABILITIES.STATS_VIEW });
+    }
+
+    const equipmentIds = requestedIds && scopedIds
+      ? requestedIds.filter(id => scopedIds.includes(id))
+      : requestedIds || scopedIds;
+    const equipmentList = equipmentIds ? await Equipment.getByIds(equipmentIds) : await Equipment.getAll();
+
+    const equipment = await getUtilization(equipmentList, periods.period);
+    res.json({
+      period: periodInfo(periods).period,
+      late_cancellation_hours: LATE_CANCELLATION_HOURS,
+      equipment
+    });
+  } catch (error) {
+    console.error('Utilization analytics error:', error);
+    res.status(500).json({ error: '장비 가동률 조회에 실패했습니다.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { CAPABILITIES } = require('../services/capabilities');
+const { toCsv, sendCsv } = require('../services/csv');
+
+const router = express.Router();
+
+const FILTER_KEYS = ['actor_id', 'action', 'target_type', 'target_id', 'start_date', 'end_date'];
+const EXPORT_LIMIT = 50000;
+
+const AUDIT_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'created_at', header: '일시' },
+  { key: 'actor_id', header: '작업자 ID' },
+  { key: 'actor_username', header: '작업자' },
+  { key: 'action', header: '작업' },
+  { key: 'target_type', header: '대상 종류' },
+  { key: 'target_id', header: '대상 ID' },
+  { key: 'target_label', header: '대상' },
+  { key: 'before', header: '변경 전' },
+  { key: 'after', header: '변경 후' },
+  { key: 'ip_address', header: 'IP' }
+];
+
+// Pick supported filters from query string; returns { filters } or { error }
+const parseFilters = (queryParams) => {
+  const filters = {};
+  for (const key of FILTER_KEYS) {
+    if (queryParams[key]) {
+      filters[key] = queryParams[key];
+    }
+  }
+
+  for (const key of ['actor_id', 'target_id']) {
+    if (filters[key] && isNaN(parseInt(filters[key]))) {
+      return { error: `${key} must be a number` };
+    }
+  }
+  for (const key of ['start_date', 'end_date']) {
+    if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+      return { error: `${key} is not a valid date` };
+    }
+  }
+
+  return { filters };
+};
+
+// Search audit log (admin only)
+// Query: actor_id, action, target_type, target_id, start_date, end_date, page, limit
+router.get('/', verifyToken, requireCapability(CAPABILITIES.AUDIT_VIEW), async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.search(filters, limit, (page - 1) * limit),
+      AuditLog.count(filters)
+    ]);
+
+    res.json({ logs, total, page, limit });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ error: '감사 로그 조회에 실패했습니다.' });
+  }
+});
+
+// Get recorded action names (admin only)
+router.get('/actions', verifyToken, requireCapability(CAPABILITIES.AUDIT_VIEW), async (req, res) => {
+  try {
+    const actions = await AuditLog.getActions();
+    res.json(actions);
+  } catch (error) {
+    console.error('Get audit actions error:', error);
+    res.status(500).json({ error: '감사 로그 조회에 실패했습니다.' });
+  }
+});
+
+// Export filtered audit log as CSV (admin only)
+router.get('/export.csv', verifyToken, requireCapability(CAPABILITIES.AUDIT_VIEW), async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const logs = await AuditLog.search(filters, EXPORT_LIMIT, 0);
+    const rows = logs.map(log => ({
+      ...log,
+      before: log.before_data ? JSON.stringify(log.before_data) : '',
+      after: log.after_data ? JSON.stringify(log.after_data) : ''
+    }));
+
+    sendCsv(res, 'audit-log.csv', toCsv(AUDIT_COLUMNS, rows));
+  } catch (error) {
+    console.error('Export audit logs error:', error);
+    res.status(500).json({ error: '감사 로그 내보내기에 실패했습니다.' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,82 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { verifyToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { recordAudit, getClientIp } = require('../services/audit');
+const { RESET_TOKEN_MINUTES, startSession, finishLogin, refreshSession } = require('../services/session');
+const { CHALLENGE_PURPOSES, isTwoFactorRequired, signChallenge } = require('../services/twoFactor');
+const { validatePassword } = require('../services/password');
+const { notifyUser } = require('../services/notification');
+const { CAPABILITIES, hasCapability, getRoleCapabilities } = require('../services/capabilities');
+const { WINDOW_MINUTES, accountKey, checkLoginAllowed, recordLoginFailure, clearLoginFailures } = require('../services/loginProtection');
+const { archiveUser, getPurgeableAt, isPurgeable, withPurgeInfo } = require('../services/archive');
 
 const router = express.Router();
 
+const VERIFY_TOKEN_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+const VALID_ROLES = User.ROLES;
+// Roles a self-registered account may hold before review; privileged roles are only granted on approval
+const SELF_REGISTER_ROLES = ['intern', 'student', 'staff'];
+const SUPERVISED_ROLES = ['intern', 'student'];
+
+// Per-IP limits for unauthenticated endpoints (login has its own per-account/IP tracking)
+const registerLimit = rateLimit({ name: 'register', windowSeconds: 60 * 60, max: 10 });
+const accountMailLimit = rateLimit({ name: 'account-mail', windowSeconds: 15 * 60, max: 5 });
+const tokenLimit = rateLimit({ name: 'auth-token', windowSeconds: 60, max: 30 });
+
+const requiresSupervisorConfirmation = () => process.env.REQUIRE_SUPERVISOR_CONFIRMATION === 'true';
+
+// Issue email verification token and mail the link
+const sendVerificationMail = async (user) => {
+  const token = await EmailVerificationToken.create(user.id, VERIFY_TOKEN_HOURS);
+  const baseUrl = process.env.EMAIL_VERIFICATION_URL || `${process.env.APP_URL || ''}/verify-email`;
+  await notifyUser('email_verification', user.id, {
+    verifyUrl: `${baseUrl}?token=${encodeURIComponent(token)}`,
+    expiresHours: VERIFY_TOKEN_HOURS
+  });
+};
+
+// Tell admins (and the named supervisor for interns/students) about a new registration
+const notifyRegistrationReviewers = async (applicant) => {
+  const data = {
+    applicantName: applicant.username,
+    applicantEmail: applicant.email,
+    department: applicant.department,
+    requestedRole: applicant.requested_role,
+    supervisor: applicant.supervisor
+  };
+
+  const reviewers = await User.getAdmins();
+  if (SUPERVISED_ROLES.includes(applicant.user_role) && applicant.supervisor) {
+    const supervisor = await User.findByUsername(applicant.supervisor);
+    if (supervisor && supervisor.account_status === 'active' && !reviewers.some(r => r.id === supervisor.id)) {
+      reviewers.push(supervisor);
+    }
+  }
+
+  for (const reviewer of reviewers) {
+    await notifyUser('account_review_requested', reviewer.id, data);
+  }
+};
+
+// Issue single-use reset token and mail the reset link
+const sendPasswordResetMail = async (user, purpose, req) => {
+  const token = await PasswordResetToken.create(user.id, RESET_TOKEN_MINUTES, purpose, getClientIp(req));
+  const baseUrl = process.env.PASSWORD_RESET_URL || `${process.env.APP_URL || ''}/reset-password`;
+  await notifyUser('password_reset', user.id, {
+    resetUrl: `${baseUrl}?token=${encodeURIComponent(token)}`,
+    expiresMinutes: RESET_TOKEN_MINUTES,
+    forced: purpose !== 'forgot'
+  });
+};
+
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimit, async (req, res) => {
   try {
     const { username, email, password, department, phone, userRole, supervisor } = req.body;
 
@@ -15,6 +85,11 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: '이름, 이메일, 비밀번호는 필수입니다.' });
     }
 
+    const passwordError = validatePassword(password, { email, username });
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
     if (!department) {
       return res.status(400).json({ error: '소속을 선택해주세요.' });
     }
@@ -28,8 +103,7 @@ router.post('/register', async (req, res) => {
     }
 
     // Validate user role
-    const validRoles = ['intern', 'student', 'staff', 'equipment_manager', 'admin'];
-    if (!validRoles.includes(userRole)) {
+    if (!VALID_ROLES.includes(userRole)) {
       return res.status(400).json({ error: '유효하지 않은 신분입니다.' });
     }
 
@@ -49,17 +123,22 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: '이미 사용 중인 이름입니다.' });
     }
 
-    // Set legacy role based on new userRole
-    const legacyRole = ['equipment_manager', 'admin'].includes(userRole) ? 'admin' : 'user';
+    // New accounts wait for admin approval; the requested role is kept for the reviewer
+    const initialRole = SELF_REGISTER_ROLES.includes(userRole) ? userRole : 'staff';
 
-    const userId = await User.create(
-      username, email, password, legacyRole,
-      department, phone, userRole, supervisor || null
+    const userId = await User.register(
+      username, email, password,
+      department, phone, initialRole, userRole, supervisor || null
     );
 
+    const user = await User.findById(userId);
+    await sendVerificationMail(user);
+    await notifyRegistrationReviewers(user);
+
     res.status(201).json({
-      message: '회원가입이 완료되었습니다.',
-      userId
+      message: '가입 신청이 접수되었습니다. 이메일 인증 후 관리자 승인을 기다려주세요.',
+      userId,
+      accountStatus: 'pending_approval'
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -77,52 +156,280 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    // Find user
-    const user = await User.findByEmail(email);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Refuse while the account or IP is locked out or still in its back-off delay
+    const ip = getClientIp(req);
+    const blocked = await checkLoginAllowed(email, ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({
+        error: blocked.reason === 'locked'
+          ? '로그인 실패가 반복되어 잠시 잠겼습니다. 잠시 후 다시 시도해주세요.'
+          : '잠시 후 다시 시도해주세요.',
+        code: blocked.reason === 'locked' ? 'LOGIN_LOCKED' : 'LOGIN_DELAYED',
+        retryAfter: blocked.retryAfter
+      });
     }
 
-    // Verify password
-    const isValid = await User.verifyPassword(password, user.password_hash);
+    // Find user and verify password (unknown emails are tracked the same way)
+    const user = await User.findByEmail(email);
+    const isValid = user ? await User.verifyPassword(password, user.password_hash) : false;
     if (!isValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-    // Generate JWT token with extended fields
-    const token = jwt.sign(
-      {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        user_role: user.user_role,
-        department: user.department
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+      const failure = await recordLoginFailure(email, ip);
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        ...(failure.locked ? { code: 'LOGIN_LOCKED' } : {}),
+        retryAfter: failure.retryAfter
+      });
+    }
 
-    res.json({
-      message: '로그인 성공',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        user_role: user.user_role,
-        department: user.department,
-        phone: user.phone,
-        supervisor: user.supervisor
-      }
-    });
+    await clearLoginFailures(email);
+
+    if (user.archived_at) {
+      return res.status(403).json({ error: '사용이 중지된 계정입니다. 관리자에게 문의해주세요.', code: 'ACCOUNT_ARCHIVED' });
+    }
+
+    // Self-registered accounts need a verified email and admin approval
+    if (!user.email_verified) {
+      return res.status(403).json({ error: '이메일 인증이 필요합니다. 메일함을 확인해주세요.', code: 'EMAIL_NOT_VERIFIED' });
+    }
+
+    if (user.account_status === 'pending_approval') {
+      return res.status(403).json({ error: '관리자 승인 대기 중인 계정입니다.', code: 'ACCOUNT_PENDING_APPROVAL' });
+    }
+
+    if (user.account_status === 'rejected') {
+      return res.status(403).json({ error: '가입이 반려된 계정입니다.', code: 'ACCOUNT_REJECTED', reason: user.rejection_reason });
+    }
+
+    // Enrolled users finish login with a code (POST /auth/2fa/login)
+    if (user.totp_enabled) {
+      return res.json({
+        message: '2단계 인증 코드를 입력해주세요.',
+        requiresTwoFactor: true,
+        challengeToken: signChallenge(user, CHALLENGE_PURPOSES.VERIFY)
+      });
+    }
+
+    // 2FA is mandatory for this role but not set up yet: enroll during login (/auth/2fa/login/enroll)
+    if (await isTwoFactorRequired(user)) {
+      return res.json({
+        message: '2단계 인증 등록이 필요합니다.',
+        requiresTwoFactorEnrollment: true,
+        challengeToken: signChallenge(user, CHALLENGE_PURPOSES.ENROLL)
+      });
+    }
+
+    // Start server-side session, or hand out a reset token when an admin required a new password
+    // (only after the second factor, so a password alone never leads to a reset)
+    const { status, body } = await finishLogin(user, req);
+    res.status(status).json(body);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
+// Exchange refresh token for new access/refresh tokens
+router.post('/refresh', tokenLimit, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await refreshSession(refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'SESSION_REVOKED' });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Logout (revoke current session)
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    await Session.revoke(req.user.sid, 'logout');
+    res.json({ message: '로그아웃되었습니다.' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Logout from all devices (revoke every session of current user)
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'logout_all');
+    res.json({ message: '모든 기기에서 로그아웃되었습니다.', revoked: result.changes });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Get my active sessions
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveByUser(req.user.id);
+    res.json(sessions.map(s => ({ ...s, current: s.id === req.user.sid })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// Verify email with token from verification mail
+router.post('/verify-email', tokenLimit, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: '인증 토큰이 필요합니다.' });
+    }
+
+    const userId = await EmailVerificationToken.consume(token);
+    if (!userId) {
+      return res.status(400).json({ error: '유효하지 않거나 만료된 인증 링크입니다.', code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+
+    await User.markEmailVerified(userId);
+    const user = await User.findById(userId);
+
+    res.json({
+      message: user.account_status === 'active'
+        ? '이메일이 인증되었습니다. 로그인할 수 있습니다.'
+        : '이메일이 인증되었습니다. 관리자 승인 후 로그인할 수 있습니다.',
+      accountStatus: user.account_status
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: '이메일 인증에 실패했습니다.' });
+  }
+});
+
+// Resend verification mail (same response whether or not the email exists)
+router.post('/verify-email/resend', accountMailLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: '이메일을 입력해주세요.' });
+    }
+
+    const user = await User.findByEmail(email);
+    if (user && !user.email_verified) {
+      await sendVerificationMail(user);
+    }
+
+    res.json({ message: '인증이 필요한 계정이면 인증 메일을 다시 보냈습니다.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: '인증 메일 발송에 실패했습니다.' });
+  }
+});
+
+// Change password (current password required); other sessions are signed out
+router.post('/password/change', verifyToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: '현재 비밀번호와 새 비밀번호를 입력해주세요.' });
+    }
+
+    const user = await User.findByIdWithPassword(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValid = await User.verifyPassword(currentPassword, user.password_hash);
+    if (!isValid) {
+      return res.status(401).json({ error: '현재 비밀번호가 올바르지 않습니다.' });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: '새 비밀번호가 현재 비밀번호와 같습니다.' });
+    }
+
+    const passwordError = validatePassword(newPassword, user);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    await User.updatePassword(user.id, newPassword);
+    await Session.revokeAllForUser(user.id, 'password_change');
+    notifyUser('password_changed', user.id);
+
+    // Keep the current device signed in with a fresh session
+    const { token, refreshToken, expiresIn } = await startSession(user, req);
+    res.json({ message: '비밀번호가 변경되었습니다.', token, refreshToken, expiresIn });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: '비밀번호 변경에 실패했습니다.' });
+  }
+});
+
+// Request password reset mail (same response whether or not the email exists)
+router.post('/password/forgot', accountMailLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: '이메일을 입력해주세요.' });
+    }
+
+    const user = await User.findByEmail(email);
+    if (user && !user.archived_at) {
+      await sendPasswordResetMail(user, 'forgot', req);
+    }
+
+    res.json({ message: '등록된 이메일이면 비밀번호 재설정 안내를 보냈습니다.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: '비밀번호 재설정 요청에 실패했습니다.' });
+  }
+});
+
+// Reset password with single-use token
+router.post('/password/reset', tokenLimit, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (typeof token !== 'string' || !token || !newPassword) {
+      return res.status(400).json({ error: '토큰과 새 비밀번호를 입력해주세요.' });
+    }
+
+    // Validate the password fully (including the account's identity rules) before consuming the token,
+    // so a rejected password doesn't burn it
+    const invalidToken = { error: '유효하지 않거나 만료된 재설정 링크입니다.', code: 'INVALID_RESET_TOKEN' };
+    const tokenUserId = await PasswordResetToken.findUserId(token);
+    const user = tokenUserId ? await User.findById(tokenUserId) : null;
+    if (!user) {
+      return res.status(400).json(invalidToken);
+    }
+
+    const passwordError = validatePassword(newPassword, user);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const userId = await PasswordResetToken.consume(token);
+    if (!userId) {
+      return res.status(400).json(invalidToken);
+    }
+
+    await User.updatePassword(userId, newPassword);
+    await Session.revokeAllForUser(userId, 'password_reset');
+    notifyUser('password_changed', userId);
+
+    res.json({ message: '비밀번호가 재설정되었습니다. 새 비밀번호로 로그인해주세요.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: '비밀번호 재설정에 실패했습니다.' });
+  }
+});
+
 // Get current user info
 router.get('/me', verifyToken, async (req, res) => {
   try {
@@ -130,7 +437,7 @@ router.get('/me', verifyToken, async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.json(user);
+    res.json({ ...user, capabilities: getRoleCapabilities(user.user_role) });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ error: 'Failed to get user info' });
@@ -138,14 +445,10 @@ router.get('/me', verifyToken, async (req, res) => {
 });
 
 // Get all users (admin only)
-router.get('/users', verifyToken, async (req, res) => {
+router.get('/users', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
   try {
-    // Check if admin
-    if (req.user.user_role !== 'admin') {
-      return res.status(403).json({ error: 'Admin only' });
-    }
     const { query } = require('../config/database');
-    const users = await query('SELECT id, username, email, department, phone, user_role, supervisor FROM users ORDER BY id');
+    const users = await query('SELECT id, username, email, department, phone, user_role, supervisor, account_status, email_verified FROM users WHERE archived_at IS NULL ORDER BY id');
     res.json(users);
   } catch (error) {
     console.error('Get users error:', error);
@@ -153,12 +456,137 @@ router.get('/users', verifyToken, async (req, res) => {
   }
 });
 
-// Get single user (admin only)
-router.get('/users/:id', verifyToken, async (req, res) => {
+// Get registrations waiting for approval (admin only)
+router.get('/users/pending', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
   try {
-    if (req.user.user_role !== 'admin') {
-      return res.status(403).json({ error: 'Admin only' });
+    const users = await User.getPendingApproval();
+    res.json({ users, supervisorConfirmationRequired: requiresSupervisorConfirmation() });
+  } catch (error) {
+    console.error('Get pending users error:', error);
+    res.status(500).json({ error: 'Failed to get pending users' });
+  }
+});
+
+// Get archived users with the date each can be purged (admin only)
+router.get('/users/archived', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
+    const users = await User.getArchived();
+    res.json(withPurgeInfo(users));
+  } catch (error) {
+    console.error('Get archived users error:', error);
+    res.status(500).json({ error: 'Failed to get archived users' });
+  }
+});
+
+// Get pending interns/students who named current user as supervisor
+router.get('/supervisees/pending', verifyToken, async (req, res) => {
+  try {
+    const users = await User.getPendingApproval(req.user.username);
+    res.json(users);
+  } catch (error) {
+    console.error('Get pending supervisees error:', error);
+    res.status(500).json({ error: 'Failed to get pending users' });
+  }
+});
+
+// Confirm intern/student registration as their supervisor (or admin)
+router.patch('/users/:id/supervisor-confirm', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findByIdWithPassword(req.params.id);
+    if (!user || user.account_status !== 'pending_approval') {
+      return res.status(404).json({ error: '승인 대기 중인 계정이 아닙니다.' });
+    }
+
+    if (!SUPERVISED_ROLES.includes(user.user_role)) {
+      return res.status(400).json({ error: '인턴/학생연구원 계정만 연수책임자 확인이 필요합니다.' });
+    }
+
+    if (user.supervisor !== req.user.username && !(await hasCapability(req.user, CAPABILITIES.USER_MANAGE))) {
+      return res.status(403).json({ error: '본인이 연수책임자로 지정된 계정만 확인할 수 있습니다.' });
+    }
+
+    await User.confirmBySupervisor(user.id, req.user.id);
+    await recordAudit(req, 'user_supervisor_confirm', 'user', user.id, {
+      after: { supervisor: user.supervisor },
+      label: user.username
+    });
+
+    res.json({ message: '연수책임자 확인이 완료되었습니다.' });
+  } catch (error) {
+    console.error('Supervisor confirm error:', error);
+    res.status(500).json({ error: '연수책임자 확인에 실패했습니다.' });
+  }
+});
+
+// Approve registration (admin only)
+// Body: { userRole? } - defaults to the role requested at sign-up
+router.patch('/users/:id/approve', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
+    const before = await User.findByIdWithPassword(req.params.id);
+    if (!before || before.account_status !== 'pending_approval') {
+      return res.status(404).json({ error: '승인 대기 중인 계정이 아닙니다.' });
+    }
+
+    const userRole = req.body.userRole || before.requested_role || before.user_role;
+    if (!VALID_ROLES.includes(userRole)) {
+      return res.status(400).json({ error: '유효하지 않은 신분입니다.' });
+    }
+
+    if (SUPERVISED_ROLES.includes(userRole) && requiresSupervisorConfirmation() && !before.supervisor_confirmed_at) {
+      return res.status(409).json({ error: '연수책임자 확인 후 승인할 수 있습니다.', code: 'SUPERVISOR_CONFIRMATION_REQUIRED' });
+    }
+
+    const result = await User.approve(before.id, req.user.id, userRole);
+    if (result.changes === 0) {
+      return res.status(409).json({ error: '이미 처리된 가입 신청입니다.' });
     }
+
+    const after = await User.findByIdWithPassword(before.id);
+    await recordAudit(req, 'user_approve', 'user', before.id, { before, after, label: before.username });
+    notifyUser('account_approved', before.id);
+
+    res.json({ message: '가입이 승인되었습니다.', userRole });
+  } catch (error) {
+    console.error('Approve user error:', error);
+    res.status(500).json({ error: '가입 승인에 실패했습니다.' });
+  }
+});
+
+// Reject registration with reason (admin only)
+router.patch('/users/:id/reject', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason === '') {
+      return res.status(400).json({ error: '반려 사유를 입력해주세요.' });
+    }
+
+    const before = await User.findByIdWithPassword(req.params.id);
+    if (!before || before.account_status !== 'pending_approval') {
+      return res.status(404).json({ error: '승인 대기 중인 계정이 아닙니다.' });
+    }
+
+    const result = await User.rejectRegistration(before.id, req.user.id, reason);
+    if (result.changes === 0) {
+      return res.status(409).json({ error: '이미 처리된 가입 신청입니다.' });
+    }
+
+    await recordAudit(req, 'user_reject', 'user', before.id, {
+      before,
+      after: { account_status: 'rejected', rejection_reason: reason },
+      label: before.username
+    });
+    notifyUser('account_rejected', before.id, { reason });
+
+    res.json({ message: '가입이 반려되었습니다.' });
+  } catch (error) {
+    console.error('Reject user error:', error);
+    res.status(500).json({ error: '가입 반려에 실패했습니다.' });
+  }
+});
+
+// Get single user (admin only)
+router.get('/users/:id', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -171,21 +599,30 @@ router.get('/users/:id', verifyToken, async (req, res) => {
 });
 
 // Update user (admin only)
-router.put('/users/:id', verifyToken, async (req, res) => {
+router.put('/users/:id', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
   try {
-    if (req.user.user_role !== 'admin') {
-      return res.status(403).json({ error: 'Admin only' });
-    }
-
     const { username, email, department, phone, userRole, supervisor } = req.body;
     const { run } = require('../config/database');
 
+    const before = await User.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     await run(`
       UPDATE users 
       SET username = $1, email = $2, department = $3, phone = $4, user_role = $5, supervisor = $6
       WHERE id = $7
     `, [username, email, department, phone, userRole, supervisor || null, req.params.id]);
 
+    const after = await User.findById(req.params.id);
+    await recordAudit(req, 'user_update', 'user', before.id, { before, after, label: after.username });
+
+    // Role change invalidates the user's existing tokens
+    if (before.user_role !== after.user_role) {
+      await Session.revokeAllForUser(before.id, 'role_change');
+    }
+
     res.json({ message: '사용자 정보가 수정되었습니다.' });
   } catch (error) {
     console.error('Update user error:', error);
@@ -193,40 +630,162 @@ router.put('/users/:id', verifyToken, async (req, res) => {
   }
 });
 
-// Delete user (admin only)
-router.delete('/users/:id', verifyToken, async (req, res) => {
+// Require password reset on next login (admin only)
+// Body: { sendEmail? } - also mail a reset link right away
+router.post('/users/:id/force-password-reset', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await User.setMustResetPassword(user.id, true);
+    await Session.revokeAllForUser(user.id, 'forced_password_reset');
+    if (req.body.sendEmail) {
+      await sendPasswordResetMail(user, 'admin', req);
+    }
+
+    await recordAudit(req, 'user_force_password_reset', 'user', user.id, {
+      after: { must_reset_password: true, email_sent: !!req.body.sendEmail },
+      label: user.username
+    });
+
+    res.json({ message: '다음 로그인 시 비밀번호를 재설정하도록 설정했습니다.' });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({ error: '비밀번호 재설정 요청에 실패했습니다.' });
+  }
+});
+
+// Get failed-login tracking and active lockouts (admin only)
+router.get('/lockouts', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
+    const entries = await LoginAttempt.getActive(WINDOW_MINUTES);
+    res.json(entries);
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ error: 'Failed to get lockouts' });
+  }
+});
+
+// Clear lockout (admin only)
+// Query: type=account|ip, value=<email or IP>
+router.delete('/lockouts', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
+    const { type, value } = req.query;
+    if (!Object.values(LoginAttempt.TYPES).includes(type) || !value) {
+      return res.status(400).json({ error: 'type (account/ip) and value are required' });
+    }
+
+    const key = type === LoginAttempt.TYPES.ACCOUNT ? accountKey(value) : value;
+    const before = await LoginAttempt.find(type, key);
+    if (!before) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+
+    await LoginAttempt.clear(type, key);
+    await recordAudit(req, 'login_lockout_clear', 'login_attempt', null, { before, label: `${type}:${key}` });
+
+    res.json({ message: '잠금이 해제되었습니다.' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ error: '잠금 해제에 실패했습니다.' });
+  }
+});
+
+// Force logout user from all devices (admin only)
+router.post('/users/:id/logout-all', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
   try {
-    if (req.user.user_role !== 'admin') {
-      return res.status(403).json({ error: 'Admin only' });
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    // Prevent self-deletion
+    const result = await Session.revokeAllForUser(user.id, 'admin_logout');
+    await recordAudit(req, 'user_logout_all', 'user', user.id, {
+      after: { revoked_sessions: result.changes },
+      label: user.username
+    });
+
+    res.json({ message: '사용자의 모든 세션이 종료되었습니다.', revoked: result.changes });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({ error: '세션 종료에 실패했습니다.' });
+  }
+});
+
+// Archive user (admin only): login is blocked, reservations/logs stay for history
+router.delete('/users/:id', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
+    // Prevent self-archiving
     if (req.params.id == req.user.id) {
       return res.status(400).json({ error: '자기 자신은 삭제할 수 없습니다.' });
     }
 
-    const { run } = require('../config/database');
-    const userId = req.params.id;
+    const before = await User.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (before.archived_at) {
+      return res.status(400).json({ error: '이미 보관 처리된 사용자입니다.' });
+    }
 
-    // Delete related permissions first
-    await run('DELETE FROM equipment_permissions WHERE user_id = $1', [userId]);
+    const result = await archiveUser(before, req.user.id);
+    await recordAudit(req, 'user_archive', 'user', before.id, {
+      before,
+      after: { archived: true, cancelled_reservations: result.cancelledReservations },
+      label: before.username
+    });
 
-    // Remove as equipment manager (set to NULL)
-    await run('UPDATE equipment SET manager_id = NULL WHERE manager_id = $1', [userId]);
+    res.json({ message: '사용자가 보관 처리되었습니다.', cancelledReservations: result.cancelledReservations });
+  } catch (error) {
+    console.error('Archive user error:', error);
+    res.status(500).json({ error: '사용자 삭제에 실패했습니다.' });
+  }
+});
 
-    // Delete related reservations (or keep for history - here we delete)
-    await run('DELETE FROM reservations WHERE user_id = $1', [userId]);
+// Restore archived user (admin only)
+router.post('/users/:id/restore', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.archived_at) {
+      return res.status(400).json({ error: '보관 처리된 사용자가 아닙니다.' });
+    }
+
+    await User.restore(user.id);
+    await recordAudit(req, 'user_restore', 'user', user.id, { label: user.username });
+
+    res.json({ message: '사용자가 복구되었습니다.' });
+  } catch (error) {
+    console.error('Restore user error:', error);
+    res.status(500).json({ error: '사용자 복구에 실패했습니다.' });
+  }
+});
 
-    // Delete related equipment logs
-    await run('DELETE FROM equipment_logs WHERE user_id = $1', [userId]);
+// Permanently delete archived user after the retention period (admin only)
+router.delete('/users/:id/purge', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.archived_at) {
+      return res.status(400).json({ error: '보관 처리된 사용자만 영구 삭제할 수 있습니다.' });
+    }
+    if (!isPurgeable(user)) {
+      return res.status(409).json({ error: '보관 기간이 지나지 않았습니다.', purgeableAt: getPurgeableAt(user.archived_at) });
+    }
 
-    // Delete user
-    await run('DELETE FROM users WHERE id = $1', [userId]);
+    await User.purge(user.id);
+    await recordAudit(req, 'user_purge', 'user', user.id, { before: user, label: user.username });
 
-    res.json({ message: '사용자가 삭제되었습니다.' });
+    res.json({ message: '사용자가 영구 삭제되었습니다.' });
   } catch (error) {
-    console.error('Delete user error:', error);
-    res.status(500).json({ error: '사용자 삭제에 실패했습니다: ' + error.message });
+    console.error('Purge user error:', error);
+    res.status(500).json({ error: '사용자 영구 삭제에 실패했습니다.' });
   }
 });
 
@@ -0,0 +1,200 @@
+const express = require('express');
+const Reservation = require('../models/Reservation');
+const Equipment = require('../models/Equipment');
+const { verifyToken } = require('../middleware/auth');
+const { CAPABILITIES, hasCapability } = require('../services/capabilities');
+const { getBookableEquipmentIds, findFreeSlots } = require('../services/availability');
+const { checkBookingPolicy } = require('../services/bookingPolicy');
+const { notifyReservation } = require('../services/notification');
+
+const router = express.Router();
+
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 31;
+const MAX_DURATION_MINUTES = 24 * 60;
+
+// Comma separated or repeated query parameter → integers (null when absent)
+const intList = (value) => {
+  if (value === undefined || value === '') return null;
+  return [].concat(value).flatMap(v => String(v).split(',')).filter(v => v.trim() !== '').map(v => parseInt(v));
+};
+
+// "HH:MM" → minutes after midnight (null when invalid); 24:00 is allowed as end of day
+const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+};
+
+// Parse slot search query; returns { equipmentIds, categoryId, options } or { error }
+const parseSlotQuery = (query) => {
+  const durationMinutes = parseInt(query.duration);
+  if (isNaN(durationMinutes) || durationMinutes < 5 || durationMinutes > MAX_DURATION_MINUTES) {
+    return { error: `duration must be 5-${MAX_DURATION_MINUTES} minutes` };
+  }
+
+  const start = query.start ? new Date(query.start) : new Date();
+  const end = query.end ? new Date(query.end) : new Date(start.getTime() + DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+    return { error: 'start and end must be valid dates with end after start' };
+  }
+  if (end - start > MAX_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `검색 기간은 최대 ${MAX_WINDOW_DAYS}일입니다.` };
+  }
+
+  const equipmentIds = intList(query.equipment_ids);
+  const categoryId = query.category ? parseInt(query.category) : null;
+  if ((!equipmentIds || equipmentIds.length === 0) && !categoryId) {
+    return { error: 'equipment_ids or category is required' };
+  }
+  if ((equipmentIds && equipmentIds.some(isNaN)) || (query.category && isNaN(categoryId))) {
+    return { error: 'equipment_ids and category must be IDs' };
+  }
+
+  const earliestMinutes = query.earliest ? parseTimeOfDay(query.earliest) : 0;
+  const latestMinutes = query.latest ? parseTimeOfDay(query.latest) : 24 * 60;
+  if (earliestMinutes === null || latestMinutes === null || latestMinutes - earliestMinutes < durationMinutes) {
+    return { error: 'earliest/latest must be HH:MM and leave room for the duration' };
+  }
+
+  const weekdays = intList(query.weekdays);
+  if (weekdays && !weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+    return { error: '요일은 0(일)~6(토) 사이의 정수여야 합니다.' };
+  }
+
+  const stepMinutes = query.step ? parseInt(query.step) : 30;
+  if (isNaN(stepMinutes) || stepMinutes < 5 || stepMinutes > 120) {
+    return { error: 'step must be 5-120 minutes' };
+  }
+
+  return {
+    equipmentIds,
+    categoryId,
+    options: {
+      start,
+      end,
+      durationMinutes,
+      earliestMinutes,
+      latestMinutes,
+      weekdays,
+      stepMinutes,
+      limit: Math.min(Math.max(parseInt(query.limit) || 10, 1), 50)
+    }
+  };
+};
+
+// Find free slots across several instruments
+// Query: duration (minutes), start, end (default: next 7 days), equipment_ids (comma separated) or category,
+//        earliest/latest (HH:MM, local time of day), weekdays (0=Sun..6=Sat), step (minutes), limit
+router.get('/slots', verifyToken, async (req, res) => {
+  try {
+    const { equipmentIds, categoryId, options, error } = parseSlotQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const requested = equipmentIds ? await Equipment.getByIds(equipmentIds) : await Equipment.getByCategory(categoryId);
+    const bookableIds = await getBookableEquipmentIds(req.user);
+    const equipment = requested.filter(e =>
+      Equipment.isBookable(e) && (bookableIds === null || bookableIds.includes(e.id)));
+
+    const slots = await findFreeSlots(req.user, equipment, options);
+    res.json({
+      slots,
+      searchedEquipment: equipment.map(e => ({ id: e.id, name: e.name, location: e.location })),
+      excludedEquipmentIds: requested.filter(e => !equipment.includes(e)).map(e => e.id)
+    });
+  } catch (error) {
+    console.error('Find free slots error:', error);
+    res.status(500).json({ error: 'Failed to find free slots' });
+  }
+});
+
+// Book a slot found by /slots
+// If the slot was taken meanwhile, the same time is tried on fallback_equipment_ids in order
+// Body: { equipment_id, start_time, end_time, purpose?, fallback_equipment_ids? }
+router.post('/book', verifyToken, async (req, res) => {
+  try {
+    const { equipment_id, start_time, end_time, purpose, fallback_equipment_ids } = req.body;
+
+    if (!equipment_id || !start_time || !end_time) {
+      return res.status(400).json({ error: 'Equipment ID, start time, and end time are required' });
+    }
+
+    const start = new Date(start_time);
+    const end = new Date(end_time);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ error: 'start_time and end_time must be valid dates' });
+    }
+    if (start < new Date()) {
+      return res.status(400).json({ error: 'Cannot create reservation in the past' });
+    }
+    if (end <= start) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+
+    if (fallback_equipment_ids !== undefined && !Array.isArray(fallback_equipment_ids)) {
+      return res.status(400).json({ error: 'fallback_equipment_ids must be an array of IDs' });
+    }
+    const requestedIds = [equipment_id, ...(fallback_equipment_ids || [])].map(Number);
+    if (!requestedIds.every(id => Number.isInteger(id) && id > 0)) {
+      return res.status(400).json({ error: 'equipment_id and fallback_equipment_ids must be IDs' });
+    }
+
+    const candidateIds = [...new Set(requestedIds)];
+    const bookableIds = await getBookableEquipmentIds(req.user);
+    const autoConfirm = await hasCapability(req.user, CAPABILITIES.RESERVATION_AUTO_CONFIRM);
+
+    const skipped = [];
+    for (const equipmentId of candidateIds) {
+      if (bookableIds !== null && !bookableIds.includes(equipmentId)) {
+        skipped.push({ equipment_id: equipmentId, reason: 'no_permission' });
+        continue;
+      }
+
+      const equipment = await Equipment.findById(equipmentId);
+      if (!Equipment.isBookable(equipment)) {
+        skipped.push({ equipment_id: equipmentId, reason: 'unavailable' });
+        continue;
+      }
+
+      const violations = await checkBookingPolicy(equipmentId, req.user, start, end);
+      if (violations.length > 0) {
+        skipped.push({ equipment_id: equipmentId, reason: 'policy_violation', violations });
+        continue;
+      }
+
+      const status = await Reservation.determineInitialStatus(equipmentId, req.user.id, autoConfirm);
+      let reservationId;
+      try {
+        reservationId = await Reservation.createIfFree(equipmentId, req.user.id, start, end, purpose || '', status);
+      } catch (error) {
+        if (error.code !== Reservation.CONFLICT_ERROR) throw error;
+      }
+      if (!reservationId) {
+        skipped.push({ equipment_id: equipmentId, reason: 'taken' });
+        continue;
+      }
+
+      notifyReservation('reservation_created', reservationId);
+
+      return res.status(201).json({
+        message: status === 'confirmed'
+          ? '예약이 확정되었습니다.'
+          : '예약이 등록되었습니다. 승인 대기 중입니다.',
+        reservationId,
+        equipmentId,
+        status,
+        skipped
+      });
+    }
+
+    res.status(409).json({ error: '선택한 시간에 예약할 수 있는 장비가 없습니다. 빈 시간을 다시 검색해주세요.', skipped });
+  } catch (error) {
+    console.error('Book slot error:', error);
+    res.status(500).json({ error: 'Failed to book slot' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,238 @@
+const express = require('express');
+const EquipmentRate = require('../models/EquipmentRate');
+const Invoice = require('../models/Invoice');
+const Equipment = require('../models/Equipment');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { CAPABILITIES } = require('../services/capabilities');
+const { computeInvoices } = require('../services/billing');
+const { toCsv, sendCsv } = require('../services/csv');
+
+const router = express.Router();
+
+const RATE_ROLES = [EquipmentRate.DEFAULT_ROLE, 'intern', 'student', 'staff', 'equipment_manager', 'admin'];
+const GROUP_TYPES = ['department', 'supervisor'];
+
+const LINE_COLUMNS = [
+  { key: 'invoice_id', header: '청구서 번호' },
+  { key: 'reservation_id', header: '예약 번호' },
+  { key: 'equipment_name', header: '장비' },
+  { key: 'username', header: '사용자' },
+  { key: 'department', header: '소속' },
+  { key: 'supervisor', header: '연수책임자' },
+  { key: 'user_role', header: '신분' },
+  { key: 'start_time', header: '시작' },
+  { key: 'end_time', header: '종료' },
+  { key: 'billed_hours', header: '청구 시간' },
+  { key: 'hourly_rate', header: '시간당 요금' },
+  { key: 'amount', header: '금액' }
+];
+
+const INVOICE_COLUMNS = [
+  { key: 'id', header: '청구서 번호' },
+  { key: 'period_start', header: '정산 시작일' },
+  { key: 'period_end', header: '정산 종료일' },
+  { key: 'group_type', header: '구분' },
+  { key: 'group_key', header: '청구 대상' },
+  { key: 'line_count', header: '예약 건수' },
+  { key: 'total_hours', header: '총 시간' },
+  { key: 'total_amount', header: '총 금액' },
+  { key: 'status', header: '상태' },
+  { key: 'issued_at', header: '발행일' }
+];
+
+// Validate billing period/grouping from request body
+const parseBillingRequest = (body) => {
+  const { start_date, end_date, group_by = 'department' } = body;
+
+  if (!start_date || !end_date) {
+    return { error: 'start_date and end_date are required' };
+  }
+  if (new Date(end_date) <= new Date(start_date)) {
+    return { error: 'end_date must be after start_date' };
+  }
+  if (!GROUP_TYPES.includes(group_by)) {
+    return { error: 'group_by must be department or supervisor' };
+  }
+
+  return { startDate: start_date, endDate: end_date, groupBy: group_by };
+};
+
+const buildInvoices = async (options) => {
+  const reservations = await Invoice.getBillableReservations(options.startDate, options.endDate);
+  const rates = await EquipmentRate.getAll();
+  return computeInvoices(reservations, rates, options);
+};
+
+// Get rates for equipment
+router.get('/rates/equipment/:equipmentId', verifyToken, requireCapability(CAPABILITIES.BILLING_MANAGE), async (req, res) => {
+  try {
+    const rates = await EquipmentRate.getByEquipment(req.params.equipmentId);
+    res.json(rates);
+  } catch (error) {
+    console.error('Get rates error:', error);
+    res.status(500).json({ error: '요금 조회에 실패했습니다.' });
+  }
+});
+
+// Set rate for equipment (user_role 'default' applies when no role specific rate exists)
+router.put('/rates/equipment/:equipmentId', verifyToken, requireCapability(CAPABILITIES.BILLING_MANAGE), async (req, res) => {
+  try {
+    const { user_role = EquipmentRate.DEFAULT_ROLE, hourly_rate, minimum_charge = 0, rounding_minutes = 0 } = req.body;
+
+    if (!RATE_ROLES.includes(user_role)) {
+      return res.status(400).json({ error: '유효하지 않은 신분입니다.' });
+    }
+
+    if (hourly_rate === undefined || isNaN(hourly_rate) || Number(hourly_rate) < 0) {
+      return res.status(400).json({ error: '시간당 요금을 올바르게 입력해주세요.' });
+    }
+
+    if (isNaN(minimum_charge) || Number(minimum_charge) < 0 ||
+      !Number.isInteger(Number(rounding_minutes)) || Number(rounding_minutes) < 0) {
+      return res.status(400).json({ error: '최소 청구액과 올림 단위(분)는 0 이상이어야 합니다.' });
+    }
+
+    const equipment = await Equipment.findById(req.params.equipmentId);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+
+    await EquipmentRate.upsert(equipment.id, user_role, hourly_rate, minimum_charge, rounding_minutes);
+    res.json({ message: '요금이 저장되었습니다.' });
+  } catch (error) {
+    console.error('Set rate error:', error);
+    res.status(500).json({ error: '요금 저장에 실패했습니다.' });
+  }
+});
+
+// Delete rate
+router.delete('/rates/equipment/:equipmentId/:userRole', verifyToken, requireCapability(CAPABILITIES.BILLING_MANAGE), async (req, res) => {
+  try {
+    const result = await EquipmentRate.delete(req.params.equipmentId, req.params.userRole);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: '요금을 찾을 수 없습니다.' });
+    }
+    res.json({ message: '요금이 삭제되었습니다.' });
+  } catch (error) {
+    console.error('Delete rate error:', error);
+    res.status(500).json({ error: '요금 삭제에 실패했습니다.' });
+  }
+});
+
+// Preview billing run without issuing invoices
+router.post('/preview', verifyToken, requireCapability(CAPABILITIES.BILLING_MANAGE), async (req, res) => {
+  try {
+    const options = parseBillingRequest(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const { invoices, unrated } = await buildInvoices(options);
+    res.json({ invoices, unrated });
+  } catch (error) {
+    console.error('Billing preview error:', error);
+    res.status(500).json({ error: '정산 미리보기에 실패했습니다.' });
+  }
+});
+
+// Run billing: freeze figures into invoices
+router.post('/runs', verifyToken, requireCapability(CAPABILITIES.BILLING_MANAGE), async (req, res) => {
+  try {
+    const options = parseBillingRequest(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const { invoices, unrated } = await buildInvoices(options);
+    if (invoices.length === 0) {
+      return res.status(400).json({ error: '청구할 예약이 없습니다.', unrated });
+    }
+
+    const invoiceIds = await Invoice.issue(invoices, req.user.id);
+    res.status(201).json({
+      message: `${invoiceIds.length}건의 청구서가 발행되었습니다.`,
+      invoiceIds,
+      unrated
+    });
+  } catch (error) {
+    if (error.code === Invoice.ALREADY_INVOICED_ERROR) {
+      return res.status(409).json({
+        error: '다른 정산에서 이미 청구된 예약이 있습니다. 다시 시도해주세요.',
+        code: error.code,
+        reservationIds: error.reservationIds
+      });
+    }
+    console.error('Billing run error:', error);
+    res.status(500).json({ error: '정산에 실패했습니다.' });
+  }
+});
+
+// List invoices
+router.get('/invoices', verifyToken, requireCapability(CAPABILITIES.BILLING_MANAGE), async (req, res) => {
+  try {
+    const invoices = await Invoice.getAll(req.query.start_date, req.query.end_date);
+    res.json(invoices);
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ error: '청구서 조회에 실패했습니다.' });
+  }
+});
+
+// Export invoice summary as CSV
+router.get('/invoices/export.csv', verifyToken, requireCapability(CAPABILITIES.BILLING_MANAGE), async (req, res) => {
+  try {
+    const invoices = await Invoice.getAll(req.query.start_date, req.query.end_date);
+    sendCsv(res, 'invoices.csv', toCsv(INVOICE_COLUMNS, invoices));
+  } catch (error) {
+    console.error('Export invoices error:', error);
+    res.status(500).json({ error: '청구서 내보내기에 실패했습니다.' });
+  }
+});
+
+// Get invoice with frozen lines
+router.get('/invoices/:id', verifyToken, requireCapability(CAPABILITIES.BILLING_MANAGE), async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: '청구서를 찾을 수 없습니다.' });
+    }
+
+    const lines = await Invoice.getLines(invoice.id);
+    res.json({ ...invoice, lines });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: '청구서 조회에 실패했습니다.' });
+  }
+});
+
+// Export invoice lines as CSV
+router.get('/invoices/:id/export.csv', verifyToken, requireCapability(CAPABILITIES.BILLING_MANAGE), async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: '청구서를 찾을 수 없습니다.' });
+    }
+
+    const lines = await Invoice.getLines(invoice.id);
+    sendCsv(res, `invoice-${invoice.id}.csv`, toCsv(LINE_COLUMNS, lines));
+  } catch (error) {
+    console.error('Export invoice error:', error);
+    res.status(500).json({ error: '청구서 내보내기에 실패했습니다.' });
+  }
+});
+
+// Void invoice (its reservations can be edited and billed again)
+router.patch('/invoices/:id/void', verifyToken, requireCapability(CAPABILITIES.BILLING_MANAGE), async (req, res) => {
+  try {
+    const result = await Invoice.void(req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: '발행된 청구서를 찾을 수 없습니다.' });
+    }
+    res.json({ message: '청구서가 무효 처리되었습니다.' });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(500).json({ error: '청구서 무효 처리에 실패했습니다.' });
+  }
+});
+
+module.exports = router;
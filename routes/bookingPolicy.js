@@ -0,0 +1,123 @@
+const express = require('express');
+const BookingPolicy = require('../models/BookingPolicy');
+const Equipment = require('../models/Equipment');
+const Permission = require('../models/Permission');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { CAPABILITIES } = require('../services/capabilities');
+const { checkBookingPolicy } = require('../services/bookingPolicy');
+
+const router = express.Router();
+
+const POLICY_LEVELS = [BookingPolicy.DEFAULT_LEVEL, ...Object.values(Permission.LEVELS)];
+
+// Middleware: admin or manager of the equipment
+const canManagePolicy = requireCapability(CAPABILITIES.POLICY_MANAGE, req => req.params.equipmentId);
+
+// Validate rule values from request body; returns error message or null
+const validateRules = (rules) => {
+    const nonNegative = ['min_duration_minutes', 'max_duration_minutes', 'max_advance_days', 'min_notice_minutes', 'weekly_quota_hours'];
+    for (const field of nonNegative) {
+        const value = rules[field];
+        if (value !== undefined && value !== null && (isNaN(value) || Number(value) < 0)) {
+            return `${field}는 0 이상의 숫자여야 합니다.`;
+        }
+    }
+
+    if (rules.min_duration_minutes && rules.max_duration_minutes &&
+        Number(rules.min_duration_minutes) > Number(rules.max_duration_minutes)) {
+        return '최소 사용 시간이 최대 사용 시간보다 클 수 없습니다.';
+    }
+
+    if (rules.allowed_weekdays !== undefined && rules.allowed_weekdays !== null &&
+        (!Array.isArray(rules.allowed_weekdays) ||
+            !rules.allowed_weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+        return '허용 요일은 0(일)~6(토) 사이의 정수 배열이어야 합니다.';
+    }
+
+    for (const field of ['allowed_start_hour', 'allowed_end_hour']) {
+        const value = rules[field];
+        if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0 || value > 24)) {
+            return `${field}는 0~24 사이의 정수여야 합니다.`;
+        }
+    }
+
+    if (Number.isInteger(rules.allowed_start_hour) && Number.isInteger(rules.allowed_end_hour) &&
+        rules.allowed_start_hour >= rules.allowed_end_hour) {
+        return '허용 시작 시각은 종료 시각보다 빨라야 합니다.';
+    }
+
+    return null;
+};
+
+// Get booking policies for equipment (any authenticated user, so the booking form can show the rules)
+router.get('/equipment/:equipmentId', verifyToken, async (req, res) => {
+    try {
+        const policies = await BookingPolicy.getByEquipment(req.params.equipmentId);
+        res.json(policies);
+    } catch (error) {
+        console.error('Get booking policies error:', error);
+        res.status(500).json({ error: '예약 규칙 조회에 실패했습니다.' });
+    }
+});
+
+// Check a planned booking against the caller's applicable policy
+router.post('/equipment/:equipmentId/check', verifyToken, async (req, res) => {
+    try {
+        const { start_time, end_time, exclude_id } = req.body;
+
+        if (!start_time || !end_time) {
+            return res.status(400).json({ error: 'Start time and end time are required' });
+        }
+
+        const violations = await checkBookingPolicy(req.params.equipmentId, req.user, start_time, end_time, exclude_id || null);
+        res.json({ allowed: violations.length === 0, violations });
+    } catch (error) {
+        console.error('Check booking policy error:', error);
+        res.status(500).json({ error: '예약 규칙 확인에 실패했습니다.' });
+    }
+});
+
+// Create or replace policy for a permission level
+// Body: { permission_level, min_duration_minutes, max_duration_minutes, max_advance_days, min_notice_minutes,
+//         weekly_quota_hours, allowed_weekdays, allowed_start_hour, allowed_end_hour }
+router.put('/equipment/:equipmentId', verifyToken, canManagePolicy, async (req, res) => {
+    try {
+        const { permission_level = BookingPolicy.DEFAULT_LEVEL } = req.body;
+
+        if (!POLICY_LEVELS.includes(permission_level)) {
+            return res.status(400).json({ error: '유효하지 않은 권한 레벨입니다.' });
+        }
+
+        const ruleError = validateRules(req.body);
+        if (ruleError) {
+            return res.status(400).json({ error: ruleError });
+        }
+
+        const equipment = await Equipment.findById(req.params.equipmentId);
+        if (!equipment) {
+            return res.status(404).json({ error: 'Equipment not found' });
+        }
+
+        await BookingPolicy.upsert(equipment.id, permission_level, req.body, req.user.id);
+        res.json({ message: '예약 규칙이 저장되었습니다.' });
+    } catch (error) {
+        console.error('Save booking policy error:', error);
+        res.status(500).json({ error: '예약 규칙 저장에 실패했습니다.' });
+    }
+});
+
+// Delete policy for a permission level
+router.delete('/equipment/:equipmentId/:permissionLevel', verifyToken, canManagePolicy, async (req, res) => {
+    try {
+        const result = await BookingPolicy.delete(req.params.equipmentId, req.params.permissionLevel);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: '예약 규칙을 찾을 수 없습니다.' });
+        }
+        res.json({ message: '예약 규칙이 삭제되었습니다.' });
+    } catch (error) {
+        console.error('Delete booking policy error:', error);
+        res.status(500).json({ error: '예약 규칙 삭제에 실패했습니다.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const CalendarToken = require('../models/CalendarToken');
+const Reservation = require('../models/Reservation');
+const Equipment = require('../models/Equipment');
+const { verifyToken } = require('../middleware/auth');
+const { buildCalendar, reservationUid } = require('../services/ical');
+const { CAPABILITIES, getScopedEquipmentIds } = require('../services/capabilities');
+
+const router = express.Router();
+
+// Authenticate calendar feed token from URL (calendar apps cannot send Authorization headers)
+const verifyFeedToken = async (req, res, next) => {
+  try {
+    const feedToken = await CalendarToken.findByToken(req.params.token);
+    // Unknown, revoked, or owned by an archived account
+    if (!feedToken) {
+      return res.status(401).json({ error: 'Invalid or revoked calendar token' });
+    }
+
+    await CalendarToken.touch(feedToken.id);
+    req.feedUser = { id: feedToken.user_id, username: feedToken.username, user_role: feedToken.user_role };
+    next();
+  } catch (error) {
+    console.error('Calendar token error:', error);
+    res.status(500).json({ error: 'Failed to verify calendar token' });
+  }
+};
+
+const sendCalendar = (res, filename, calendarName, events) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.send(buildCalendar(calendarName, events));
+};
+
+const toEvent = (reservation, summary) => ({
+  uid: reservationUid(reservation.id),
+  start: reservation.start_time,
+  end: reservation.end_time,
+  summary,
+  description: reservation.purpose,
+  location: reservation.equipment_location,
+  status: reservation.status,
+  createdAt: reservation.created_at
+});
+
+// List current user's feed tokens
+router.get('/tokens', verifyToken, async (req, res) => {
+  try {
+    const tokens = await CalendarToken.getByUser(req.user.id);
+    res.json(tokens);
+  } catch (error) {
+    console.error('Get calendar tokens error:', error);
+    res.status(500).json({ error: 'Failed to get calendar tokens' });
+  }
+});
+
+// Issue new feed token (the token is shown only in this response)
+router.post('/tokens', verifyToken, async (req, res) => {
+  try {
+    const { label } = req.body;
+    const { id, token } = await CalendarToken.create(req.user.id, label || null);
+
+    res.status(201).json({
+      message: '캘린더 구독 토큰이 발급되었습니다.',
+      id,
+      token,
+      feeds: {
+        my: `/calendar/feed/${token}/my.ics`,
+        equipment: `/calendar/feed/${token}/equipment/{equipmentId}.ics`,
+        manager: `/calendar/feed/${token}/manager.ics`
+      }
+    });
+  } catch (error) {
+    console.error('Create calendar token error:', error);
+    res.status(500).json({ error: 'Failed to create calendar token' });
+  }
+});
+
+// Revoke feed token
+router.delete('/tokens/:id', verifyToken, async (req, res) => {
+  try {
+    const result = await CalendarToken.revoke(req.params.id, req.user.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Calendar token not found' });
+    }
+    res.json({ message: '캘린더 구독 토큰이 폐기되었습니다.' });
+  } catch (error) {
+    console.error('Revoke calendar token error:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar token' });
+  }
+});
+
+// Personal feed: reservations made by the token owner
+router.get('/feed/:token/my.ics', verifyFeedToken, async (req, res) => {
+  try {
+    const reservations = await Reservation.getByUserId(req.feedUser.id);
+    const events = reservations.map(r => toEvent(r, r.equipment_name));
+    sendCalendar(res, 'my-reservations.ics', `내 장비 예약 (${req.feedUser.username})`, events);
+  } catch (error) {
+    console.error('Personal calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Equipment feed: schedule of a single equipment
+router.get('/feed/:token/equipment/:equipmentId.ics', verifyFeedToken, async (req, res) => {
+  try {
+    const equipment = await Equipment.findById(req.params.equipmentId);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+
+    const reservations = await Reservation.getByEquipmentId(equipment.id);
+    const events = reservations.map(r => toEvent(
+      { ...r, equipment_location: equipment.location },
+      `${equipment.name} - ${r.username}`
+    ));
+    sendCalendar(res, `equipment-${equipment.id}.ics`, `${equipment.name} 예약 현황`, events);
+  } catch (error) {
+    console.error('Equipment calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Manager feed: combined schedule of all equipment whose reservations the token owner manages
+// (admin: all active equipment)
+router.get('/feed/:token/manager.ics', verifyFeedToken, async (req, res) => {
+  try {
+    const scopedIds = await getScopedEquipmentIds(req.feedUser, CAPABILITIES.RESERVATION_MANAGE);
+    const equipmentIds = scopedIds || (await Equipment.getAll()).map(e => e.id);
+    if (equipmentIds.length === 0) {
+      return res.status(403).json({ error: '관리 중인 장비가 없습니다.' });
+    }
+
+    const reservations = await Reservation.getByEquipmentIds(equipmentIds);
+    const events = reservations.map(r => toEvent(r, `${r.equipment_name} - ${r.username}`));
+    sendCalendar(res, 'managed-equipment.ics', `담당 장비 예약 (${req.feedUser.username})`, events);
+  } catch (error) {
+    console.error('Manager calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+module.exports = router;
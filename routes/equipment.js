@@ -1,11 +1,116 @@
 const express = require('express');
 const Equipment = require('../models/Equipment');
-const { verifyToken, isAdmin } = require('../middleware/auth');
+const EquipmentCategory = require('../models/EquipmentCategory');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { CAPABILITIES } = require('../services/capabilities');
+const { recordAudit } = require('../services/audit');
+const { archiveEquipment, getPurgeableAt, isPurgeable, withPurgeInfo } = require('../services/archive');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+const publicLimit = rateLimit({ name: 'equipment', windowSeconds: 60, max: 120 });
+
+const { MAX_TAGS, MAX_TAG_LENGTH, MAX_SPECS } = Equipment;
+
+// Comma separated or repeated query parameter → array (null when absent)
+const listParam = (value) => {
+  if (value === undefined || value === '') return null;
+  const items = [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+};
+
+// Validate category_id/tags/specs from request body, falling back to current values
+// Returns { classification } or { error }; classification is null when none of the fields was sent
+const parseClassification = async (body, current = null) => {
+  const { category_id, tags, specs } = body;
+  if (category_id === undefined && tags === undefined && specs === undefined) {
+    return { classification: null };
+  }
+
+  let categoryId = current ? current.category_id : null;
+  if (category_id !== undefined) {
+    categoryId = category_id === null || category_id === '' ? null : parseInt(category_id);
+    if (categoryId !== null && (isNaN(categoryId) || !(await EquipmentCategory.findById(categoryId)))) {
+      return { error: 'Category not found' };
+    }
+  }
+
+  let nextTags = current ? current.tags || [] : [];
+  if (tags !== undefined) {
+    if (!Array.isArray(tags)) {
+      return { error: 'tags must be an array' };
+    }
+    nextTags = Equipment.normalizeTags(tags);
+    if (nextTags.length > MAX_TAGS || nextTags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `태그는 ${MAX_TAGS}개, 각 ${MAX_TAG_LENGTH}자까지 입력할 수 있습니다.` };
+    }
+  }
+
+  let nextSpecs = current ? current.specs || {} : {};
+  if (specs !== undefined) {
+    if (specs === null || typeof specs !== 'object' || Array.isArray(specs)) {
+      return { error: 'specs must be an object' };
+    }
+    const entries = Object.entries(specs);
+    if (entries.length > MAX_SPECS) {
+      return { error: `사양은 ${MAX_SPECS}개까지 입력할 수 있습니다.` };
+    }
+    if (entries.some(([key, value]) => key.trim() === '' || !['string', 'number', 'boolean'].includes(typeof value))) {
+      return { error: 'specs values must be text, number or true/false' };
+    }
+    nextSpecs = specs;
+  }
+
+  return { classification: { categoryId, tags: nextTags, specs: nextSpecs } };
+};
+
+// Parse search query string; returns { filters, sort, order, page, limit } or { error }
+const parseSearch = (query) => {
+  const filters = {};
+  if (query.q && String(query.q).trim() !== '') {
+    filters.q = String(query.q).trim().slice(0, 100);
+  }
+
+  const categoryIds = listParam(query.category);
+  if (categoryIds) {
+    filters.category_ids = categoryIds.map(id => parseInt(id));
+    if (filters.category_ids.some(isNaN)) {
+      return { error: 'category must be category IDs' };
+    }
+  }
+
+  filters.locations = listParam(query.location);
+  const tags = listParam(query.tag);
+  filters.tags = tags ? Equipment.normalizeTags(tags) : null;
+
+  if (query.status) {
+    if (!['available', 'maintenance'].includes(query.status)) {
+      return { error: 'status must be available or maintenance' };
+    }
+    filters.status = query.status;
+  }
+
+  if (query.manager) {
+    filters.manager_id = parseInt(query.manager);
+    if (isNaN(filters.manager_id)) {
+      return { error: 'manager must be a user ID' };
+    }
+  }
+
+  const sort = query.sort || (filters.q ? 'relevance' : 'name');
+  if (!Equipment.SORTS[sort]) {
+    return { error: `sort must be one of ${Object.keys(Equipment.SORTS).join(', ')}` };
+  }
+  const order = query.order === 'desc' ? 'desc' : 'asc';
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+
+  return { filters, sort, order, page, limit };
+};
+
 // Get all equipment (public)
-router.get('/', async (req, res) => {
+router.get('/', publicLimit, async (req, res) => {
   try {
     const equipment = await Equipment.getAll();
     res.json(equipment);
@@ -16,7 +121,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get available equipment (public)
-router.get('/available', async (req, res) => {
+router.get('/available', publicLimit, async (req, res) => {
   try {
     const equipment = await Equipment.getAvailable();
     res.json(equipment);
@@ -26,8 +131,124 @@ router.get('/available', async (req, res) => {
   }
 });
 
+// Search equipment with facet counts (public)
+// Query: q, category (IDs), location, status, tag (all must match), manager (user ID),
+//        sort (relevance|name|location|status|created_at), order (asc|desc), page, limit
+router.get('/search', publicLimit, async (req, res) => {
+  try {
+    const { filters, sort, order, page, limit, error } = parseSearch(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [equipment, total, facets] = await Promise.all([
+      Equipment.search(filters, sort, order, limit, (page - 1) * limit),
+      Equipment.countSearch(filters),
+      Equipment.getFacets(filters)
+    ]);
+
+    res.json({ equipment, total, page, limit, sort, order, facets });
+  } catch (error) {
+    console.error('Search equipment error:', error);
+    res.status(500).json({ error: 'Failed to search equipment' });
+  }
+});
+
+// Get categories with equipment count (public)
+router.get('/categories', publicLimit, async (req, res) => {
+  try {
+    const categories = await EquipmentCategory.getAll();
+    res.json(categories);
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Failed to get categories' });
+  }
+});
+
+// Create category (admin only)
+// Body: { name, description?, sort_order? }
+router.post('/categories', verifyToken, requireCapability(CAPABILITIES.CATEGORY_MANAGE), async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Category name is required' });
+    }
+    if (await EquipmentCategory.findByName(name)) {
+      return res.status(409).json({ error: '이미 있는 분류입니다.' });
+    }
+
+    const categoryId = await EquipmentCategory.create(name, req.body.description || null, parseInt(req.body.sort_order) || 0);
+    const after = await EquipmentCategory.findById(categoryId);
+    await recordAudit(req, 'category_create', 'equipment_category', categoryId, { after, label: name });
+    res.status(201).json({ message: 'Category created successfully', categoryId });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// Update category (admin only)
+router.put('/categories/:categoryId', verifyToken, requireCapability(CAPABILITIES.CATEGORY_MANAGE), async (req, res) => {
+  try {
+    const category = await EquipmentCategory.findById(req.params.categoryId);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const name = req.body.name !== undefined ? String(req.body.name).trim() : category.name;
+    if (!name) {
+      return res.status(400).json({ error: 'Category name is required' });
+    }
+    const existing = await EquipmentCategory.findByName(name);
+    if (existing && existing.id !== category.id) {
+      return res.status(409).json({ error: '이미 있는 분류입니다.' });
+    }
+
+    await EquipmentCategory.update(
+      category.id,
+      name,
+      req.body.description !== undefined ? req.body.description : category.description,
+      req.body.sort_order !== undefined ? parseInt(req.body.sort_order) || 0 : category.sort_order
+    );
+    const after = await EquipmentCategory.findById(category.id);
+    await recordAudit(req, 'category_update', 'equipment_category', category.id, { before: category, after, label: name });
+    res.json({ message: 'Category updated successfully' });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Delete category (admin only); its equipment becomes uncategorized
+router.delete('/categories/:categoryId', verifyToken, requireCapability(CAPABILITIES.CATEGORY_MANAGE), async (req, res) => {
+  try {
+    const category = await EquipmentCategory.findById(req.params.categoryId);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    await EquipmentCategory.delete(category.id);
+    await recordAudit(req, 'category_delete', 'equipment_category', category.id, { before: category, label: category.name });
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+// Get archived equipment with the date each can be purged (admin only)
+router.get('/archived', verifyToken, requireCapability(CAPABILITIES.EQUIPMENT_DELETE), async (req, res) => {
+  try {
+    const equipment = await Equipment.getArchived();
+    res.json(withPurgeInfo(equipment));
+  } catch (error) {
+    console.error('Get archived equipment error:', error);
+    res.status(500).json({ error: 'Failed to get archived equipment' });
+  }
+});
+
 // Get equipment by ID (public)
-router.get('/:id', async (req, res) => {
+router.get('/:id', publicLimit, async (req, res) => {
   try {
     const equipment = await Equipment.findById(req.params.id);
     if (!equipment) {
@@ -41,7 +262,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create equipment (admin only)
-router.post('/', verifyToken, isAdmin, async (req, res) => {
+router.post('/', verifyToken, requireCapability(CAPABILITIES.EQUIPMENT_CREATE), async (req, res) => {
   try {
     const { name, description, location, status, image_url, image_file_url } = req.body;
 
@@ -49,7 +270,17 @@ router.post('/', verifyToken, isAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Equipment name is required' });
     }
 
+    const { classification, error } = await parseClassification(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     const equipmentId = await Equipment.create(name, description, location, status, image_url, null, null, null, image_file_url);
+    if (classification) {
+      await Equipment.updateClassification(equipmentId, classification.categoryId, classification.tags, classification.specs);
+    }
+    const after = await Equipment.findById(equipmentId);
+    await recordAudit(req, 'equipment_create', 'equipment', equipmentId, { after, label: name });
     res.status(201).json({
       message: 'Equipment created successfully',
       equipmentId
@@ -60,8 +291,8 @@ router.post('/', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
-// Update equipment (admin only)
-router.put('/:id', verifyToken, isAdmin, async (req, res) => {
+// Update equipment (admin or its equipment manager)
+router.put('/:id', verifyToken, requireCapability(CAPABILITIES.EQUIPMENT_EDIT, req => req.params.id), async (req, res) => {
   try {
     const { name, description, location, status, image_url, brochure_url, manual_url, quick_guide_url, image_file_url } = req.body;
 
@@ -72,6 +303,11 @@ router.put('/:id', verifyToken, isAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Equipment not found' });
     }
 
+    const { classification, error } = await parseClassification(req.body, equipment);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     const updateParams = {
       id: req.params.id,
       name: name || equipment.name,
@@ -99,6 +335,12 @@ router.put('/:id', verifyToken, isAdmin, async (req, res) => {
       updateParams.quick_guide_url,
       updateParams.image_file_url
     );
+    if (classification) {
+      await Equipment.updateClassification(equipment.id, classification.categoryId, classification.tags, classification.specs);
+    }
+
+    const after = await Equipment.findById(req.params.id);
+    await recordAudit(req, 'equipment_update', 'equipment', equipment.id, { before: equipment, after, label: after.name });
 
     res.json({ message: 'Equipment updated successfully' });
   } catch (error) {
@@ -107,8 +349,8 @@ router.put('/:id', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
-// Update equipment status (admin only)
-router.patch('/:id/status', verifyToken, isAdmin, async (req, res) => {
+// Update equipment status (admin or its equipment manager)
+router.patch('/:id/status', verifyToken, requireCapability(CAPABILITIES.EQUIPMENT_EDIT, req => req.params.id), async (req, res) => {
   try {
     const { status } = req.body;
 
@@ -122,6 +364,11 @@ router.patch('/:id/status', verifyToken, isAdmin, async (req, res) => {
     }
 
     await Equipment.updateStatus(req.params.id, status);
+    await recordAudit(req, 'equipment_status', 'equipment', equipment.id, {
+      before: { status: equipment.status },
+      after: { status },
+      label: equipment.name
+    });
     res.json({ message: 'Equipment status updated successfully' });
   } catch (error) {
     console.error('Update status error:', error);
@@ -129,20 +376,71 @@ router.patch('/:id/status', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
-// Delete equipment (admin only)
-router.delete('/:id', verifyToken, isAdmin, async (req, res) => {
+// Archive equipment (admin only): no longer bookable or listed, reservations/logs stay for history
+router.delete('/:id', verifyToken, requireCapability(CAPABILITIES.EQUIPMENT_DELETE), async (req, res) => {
   try {
     const equipment = await Equipment.findById(req.params.id);
     if (!equipment) {
       return res.status(404).json({ error: 'Equipment not found' });
     }
+    if (equipment.archived_at) {
+      return res.status(400).json({ error: 'Equipment is already archived' });
+    }
 
-    await Equipment.delete(req.params.id);
-    res.json({ message: 'Equipment deleted successfully' });
+    const result = await archiveEquipment(equipment, req.user);
+    await recordAudit(req, 'equipment_archive', 'equipment', equipment.id, {
+      before: equipment,
+      after: { archived: true, cancelled_reservations: result.cancelledReservations },
+      label: equipment.name
+    });
+    res.json({ message: 'Equipment archived successfully', cancelledReservations: result.cancelledReservations });
   } catch (error) {
-    console.error('Delete equipment error:', error);
+    console.error('Archive equipment error:', error);
     res.status(500).json({ error: 'Failed to delete equipment' });
   }
 });
 
+// Restore archived equipment (admin only)
+router.post('/:id/restore', verifyToken, requireCapability(CAPABILITIES.EQUIPMENT_DELETE), async (req, res) => {
+  try {
+    const equipment = await Equipment.findById(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!equipment.archived_at) {
+      return res.status(400).json({ error: 'Equipment is not archived' });
+    }
+
+    await Equipment.restore(equipment.id);
+    await recordAudit(req, 'equipment_restore', 'equipment', equipment.id, { label: equipment.name });
+    res.json({ message: 'Equipment restored successfully' });
+  } catch (error) {
+    console.error('Restore equipment error:', error);
+    res.status(500).json({ error: 'Failed to restore equipment' });
+  }
+});
+
+// Permanently delete archived equipment after the retention period (admin only)
+router.delete('/:id/purge', verifyToken, requireCapability(CAPABILITIES.EQUIPMENT_DELETE), async (req, res) => {
+  try {
+    const equipment = await Equipment.findById(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!equipment.archived_at) {
+      return res.status(400).json({ error: 'Only archived equipment can be purged' });
+    }
+    if (!isPurgeable(equipment)) {
+      return res.status(409).json({ error: '보관 기간이 지나지 않았습니다.', purgeableAt: getPurgeableAt(equipment.archived_at) });
+    }
+
+    await Equipment.purge(equipment.id);
+    await recordAudit(req, 'equipment_purge', 'equipment', equipment.id, { before: equipment, label: equipment.name });
+    res.json({ message: 'Equipment purged successfully' });
+  } catch (error) {
+    console.error('Purge equipment error:', error);
+    res.status(500).json({ error: 'Failed to purge equipment' });
+  }
+});
+
 module.exports = router;
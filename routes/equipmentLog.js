@@ -1,6 +1,7 @@
 const express = require('express');
 const EquipmentLog = require('../models/EquipmentLog');
 const { verifyToken } = require('../middleware/auth');
+const { CAPABILITIES, hasCapability } = require('../services/capabilities');
 
 const router = express.Router();
 
@@ -51,7 +52,7 @@ router.get('/recent', verifyToken, async (req, res) => {
     }
 });
 
-// Update log (author or admin only)
+// Update log (author, admin or equipment manager)
 router.put('/:logId', verifyToken, async (req, res) => {
     try {
         const { content } = req.body;
@@ -68,9 +69,8 @@ router.put('/:logId', verifyToken, async (req, res) => {
         }
 
         const isAuthor = log.user_id === req.user.id;
-        const isAdmin = req.user.user_role === 'admin';
 
-        if (!isAuthor && !isAdmin) {
+        if (!isAuthor && !(await hasCapability(req.user, CAPABILITIES.EQUIPMENT_LOG_MANAGE, log.equipment_id))) {
             return res.status(403).json({ error: '이 이력을 수정할 권한이 없습니다.' });
         }
 
@@ -82,7 +82,7 @@ router.put('/:logId', verifyToken, async (req, res) => {
     }
 });
 
-// Delete log (author or admin only)
+// Delete log (author, admin or equipment manager)
 router.delete('/:logId', verifyToken, async (req, res) => {
     try {
         const logId = req.params.logId;
@@ -94,9 +94,8 @@ router.delete('/:logId', verifyToken, async (req, res) => {
         }
 
         const isAuthor = log.user_id === req.user.id;
-        const isAdmin = req.user.user_role === 'admin';
 
-        if (!isAuthor && !isAdmin) {
+        if (!isAuthor && !(await hasCapability(req.user, CAPABILITIES.EQUIPMENT_LOG_MANAGE, log.equipment_id))) {
             return res.status(403).json({ error: '이 이력을 삭제할 권한이 없습니다.' });
         }
 
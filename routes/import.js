@@ -0,0 +1,119 @@
+const express = require('express');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { FORMATS, readSpreadsheet, buildSpreadsheet, sendSpreadsheet } = require('../services/spreadsheet');
+const { IMPORT_TYPES, validateImport, commitImport } = require('../services/bulkImport');
+const { notifyPermission } = require('../services/notification');
+
+const router = express.Router();
+
+const PREVIEW_ROWS = 20;
+
+// 404 for unknown import types, otherwise the capability of that type
+const requireImportCapability = (req, res, next) => {
+  const importType = IMPORT_TYPES[req.params.type];
+  if (!importType) {
+    return res.status(404).json({ error: `Unknown import type (use ${Object.keys(IMPORT_TYPES).join(', ')})` });
+  }
+  return requireCapability(importType.capability)(req, res, next);
+};
+
+// Decode the uploaded file and read it; returns { sheet } or { error }
+const readUpload = async (body) => {
+  const { file, filename } = body;
+  if (!file || !filename) {
+    return { error: 'file (base64) and filename are required' };
+  }
+  if (!/\.(csv|xlsx)$/i.test(filename)) {
+    return { error: 'CSV 또는 XLSX 파일만 가져올 수 있습니다.' };
+  }
+  try {
+    const buffer = Buffer.from(file.replace(/^data:[^;]+;base64,/, ''), 'base64');
+    return { sheet: await readSpreadsheet(buffer, filename) };
+  } catch (error) {
+    return { error: '파일을 읽을 수 없습니다. 손상되지 않은 CSV 또는 XLSX 파일인지 확인해주세요.' };
+  }
+};
+
+const columnsOf = (keys) => keys.map(key => ({ key, header: key }));
+
+// Download an empty template (header row only)
+router.get('/:type/template', verifyToken, requireImportCapability, async (req, res) => {
+  try {
+    const format = FORMATS[req.query.format] ? req.query.format : 'xlsx';
+    const { templateColumns } = IMPORT_TYPES[req.params.type];
+    await sendSpreadsheet(res, format, `${req.params.type}-template`, columnsOf(templateColumns), []);
+  } catch (error) {
+    console.error('Import template error:', error);
+    res.status(500).json({ error: 'Failed to build template' });
+  }
+});
+
+// Dry run: validate every row without writing anything
+// Body: JSON { file: base64 string, filename: string }
+router.post('/:type/validate', verifyToken, requireImportCapability, async (req, res) => {
+  try {
+    const { sheet, error } = await readUpload(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { errors, records } = await validateImport(req.params.type, sheet, req.user);
+    res.json({
+      valid: errors.length === 0,
+      total: records.length,
+      errors,
+      preview: records.slice(0, PREVIEW_ROWS)
+    });
+  } catch (error) {
+    console.error('Validate import error:', error);
+    res.status(500).json({ error: 'Failed to validate import file' });
+  }
+});
+
+// Validate again and import all rows in one transaction (nothing is written when any row fails)
+// Body: JSON { file: base64 string, filename: string, format?: 'csv' | 'xlsx' (result file) }
+// Response carries the result file as base64; for users it holds the temporary passwords
+router.post('/:type/commit', verifyToken, requireImportCapability, async (req, res) => {
+  try {
+    const { type } = req.params;
+    const format = FORMATS[req.body.format] ? req.body.format : 'xlsx';
+    const { sheet, error } = await readUpload(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { errors, records } = await validateImport(type, sheet, req.user);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: '파일에 오류가 있어 가져오지 않았습니다.', code: 'IMPORT_INVALID', errors });
+    }
+
+    const results = await commitImport(type, records, req.user);
+    await recordAudit(req, 'bulk_import', 'import', null, {
+      after: { type, rows: results.length },
+      label: req.body.filename
+    });
+
+    if (type === 'permissions') {
+      records
+        .filter(record => record.permission_level !== record.previous_level)
+        .forEach(record => notifyPermission('permission_granted', record.equipment_id, record.user_id, record.permission_level));
+    }
+
+    const resultFile = await buildSpreadsheet(format, columnsOf(IMPORT_TYPES[type].resultColumns), results, type);
+    res.status(201).json({
+      message: `${results.length}건을 가져왔습니다.`,
+      created: results.length,
+      resultFile: {
+        filename: `${type}-import-result.${FORMATS[format].extension}`,
+        contentType: FORMATS[format].contentType,
+        data: resultFile.toString('base64')
+      }
+    });
+  } catch (error) {
+    console.error('Commit import error:', error);
+    res.status(500).json({ error: 'Failed to import file' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Reservation = require('../models/Reservation');
+const Equipment = require('../models/Equipment');
+const EquipmentLog = require('../models/EquipmentLog');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { CAPABILITIES } = require('../services/capabilities');
+const { validateRule, expandRule } = require('../services/recurrence');
+const { notifyReservation } = require('../services/notification');
+
+const router = express.Router();
+
+// Middleware: admin or manager of the equipment
+const canManageMaintenance = requireCapability(CAPABILITIES.MAINTENANCE_MANAGE, req => req.params.equipmentId);
+
+// Get upcoming maintenance windows for equipment
+router.get('/equipment/:equipmentId', verifyToken, async (req, res) => {
+    try {
+        const windows = await MaintenanceWindow.getUpcomingByEquipment(req.params.equipmentId);
+        res.json(windows);
+    } catch (error) {
+        console.error('Get maintenance windows error:', error);
+        res.status(500).json({ error: '점검 일정 조회에 실패했습니다.' });
+    }
+});
+
+// Schedule maintenance window (optionally recurring)
+// Body: { start_time, end_time, reason, technician, recurrence?, cancel_overlapping? }
+router.post('/equipment/:equipmentId', verifyToken, canManageMaintenance, async (req, res) => {
+    try {
+        const { start_time, end_time, reason, technician, recurrence, cancel_overlapping } = req.body;
+        const equipmentId = req.params.equipmentId;
+
+        if (!start_time || !end_time) {
+            return res.status(400).json({ error: '점검 시작/종료 시간을 입력해주세요.' });
+        }
+
+        const start = new Date(start_time);
+        const end = new Date(end_time);
+        if (end <= start) {
+            return res.status(400).json({ error: 'End time must be after start time' });
+        }
+
+        if (recurrence) {
+            const ruleError = validateRule(recurrence);
+            if (ruleError) {
+                return res.status(400).json({ error: ruleError });
+            }
+        }
+
+        const equipment = await Equipment.findById(equipmentId);
+        if (!equipment) {
+            return res.status(404).json({ error: 'Equipment not found' });
+        }
+
+        const occurrences = recurrence
+            ? expandRule(recurrence, start, end)
+            : [{ start, end }];
+
+        // Create windows, collecting reservations that overlap any occurrence
+        const windowIds = [];
+        const affected = [];
+        let parentId = null;
+        for (const occurrence of occurrences) {
+            const windowId = await MaintenanceWindow.create(
+                equipmentId, occurrence.start, occurrence.end, reason || null, technician || null,
+                req.user.id, parentId === null ? recurrence || null : null, parentId
+            );
+            if (parentId === null && recurrence) {
+                parentId = windowId;
+            }
+            windowIds.push(windowId);
+
+            const overlapping = await Reservation.getOverlapping(equipmentId, occurrence.start, occurrence.end);
+            affected.push(...overlapping.filter(r => !affected.some(a => a.id === r.id)));
+        }
+
+        const cancelled = [];
+        if (cancel_overlapping) {
+            for (const reservation of affected) {
+                await Reservation.cancel(reservation.id);
+                await EquipmentLog.create(
+                    equipmentId,
+                    req.user.id,
+                    'maintenance_cancel',
+                    `장비 점검으로 예약 취소 (${reservation.username})${reason ? `: ${reason}` : ''}`,
+                    reservation.id
+                );
+                notifyReservation('reservation_cancelled', reservation.id, {
+                    cancelledBy: req.user.username,
+                    reason: reason || '장비 점검'
+                });
+                cancelled.push(reservation.id);
+            }
+        }
+
+        res.status(201).json({
+            message: '점검 일정이 등록되었습니다.',
+            windowIds,
+            affectedReservations: affected.map(r => ({
+                id: r.id,
+                user_id: r.user_id,
+                username: r.username,
+                email: r.email,
+                start_time: r.start_time,
+                end_time: r.end_time,
+                status: cancelled.includes(r.id) ? 'cancelled' : r.status
+            })),
+            cancelled
+        });
+    } catch (error) {
+        console.error('Create maintenance window error:', error);
+        res.status(500).json({ error: '점검 일정 등록에 실패했습니다.' });
+    }
+});
+
+// Delete maintenance window (deleting the first occurrence removes the whole recurring window)
+router.delete('/equipment/:equipmentId/:windowId', verifyToken, canManageMaintenance, async (req, res) => {
+    try {
+        const window = await MaintenanceWindow.findById(req.params.windowId);
+        if (!window || String(window.equipment_id) !== String(req.params.equipmentId)) {
+            return res.status(404).json({ error: '점검 일정을 찾을 수 없습니다.' });
+        }
+
+        await MaintenanceWindow.delete(window.id);
+        res.json({ message: '점검 일정이 삭제되었습니다.' });
+    } catch (error) {
+        console.error('Delete maintenance window error:', error);
+        res.status(500).json({ error: '점검 일정 삭제에 실패했습니다.' });
+    }
+});
+
+module.exports = router;
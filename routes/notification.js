@@ -0,0 +1,116 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { CAPABILITIES } = require('../services/capabilities');
+const { EVENTS } = require('../services/notificationTemplates');
+const { processQueue, sendReminders } = require('../services/notification');
+
+const router = express.Router();
+
+const LOCALES = ['ko', 'en'];
+const QUEUE_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Get my notification preferences
+router.get('/preferences', verifyToken, async (req, res) => {
+    try {
+        const preference = await NotificationPreference.getByUser(req.user.id);
+        res.json({ ...preference, events: EVENTS });
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({ error: '알림 설정 조회에 실패했습니다.' });
+    }
+});
+
+// Update my notification preferences
+// Body: { locale?, email_enabled?, disabled_events? }
+router.put('/preferences', verifyToken, async (req, res) => {
+    try {
+        const { locale, email_enabled, disabled_events } = req.body;
+        const current = await NotificationPreference.getByUser(req.user.id);
+
+        if (locale !== undefined && !LOCALES.includes(locale)) {
+            return res.status(400).json({ error: `locale은 ${LOCALES.join(', ')} 중 하나여야 합니다.` });
+        }
+
+        if (disabled_events !== undefined) {
+            if (!Array.isArray(disabled_events)) {
+                return res.status(400).json({ error: 'disabled_events는 배열이어야 합니다.' });
+            }
+            const unknown = disabled_events.filter(event => !EVENTS.includes(event));
+            if (unknown.length > 0) {
+                return res.status(400).json({ error: `알 수 없는 알림 종류: ${unknown.join(', ')}` });
+            }
+        }
+
+        await NotificationPreference.upsert(
+            req.user.id,
+            locale !== undefined ? locale : current.locale,
+            email_enabled !== undefined ? !!email_enabled : current.email_enabled,
+            disabled_events !== undefined ? disabled_events : current.disabled_events
+        );
+
+        const preference = await NotificationPreference.getByUser(req.user.id);
+        res.json({ message: '알림 설정이 저장되었습니다.', preference });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ error: '알림 설정 저장에 실패했습니다.' });
+    }
+});
+
+// Get mail queue (admin only)
+router.get('/queue', verifyToken, requireCapability(CAPABILITIES.NOTIFICATION_MANAGE), async (req, res) => {
+    try {
+        const { status, limit } = req.query;
+
+        if (status && !QUEUE_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status filter' });
+        }
+
+        const messages = await Notification.getRecent(status || null, Math.min(parseInt(limit) || 50, 500));
+        res.json(messages);
+    } catch (error) {
+        console.error('Get notification queue error:', error);
+        res.status(500).json({ error: '발송 대기열 조회에 실패했습니다.' });
+    }
+});
+
+// Process due messages now (admin only, also usable from a cron job)
+router.post('/queue/process', verifyToken, requireCapability(CAPABILITIES.NOTIFICATION_MANAGE), async (req, res) => {
+    try {
+        const result = await processQueue(Math.min(parseInt(req.body.limit) || 50, 500));
+        res.json(result);
+    } catch (error) {
+        console.error('Process notification queue error:', error);
+        res.status(500).json({ error: '발송 처리에 실패했습니다.' });
+    }
+});
+
+// Requeue failed message (admin only)
+router.post('/queue/:id/retry', verifyToken, requireCapability(CAPABILITIES.NOTIFICATION_MANAGE), async (req, res) => {
+    try {
+        const result = await Notification.retry(req.params.id);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: '재시도할 수 있는 실패 메일이 없습니다.' });
+        }
+
+        const processed = await processQueue();
+        res.json({ message: '재발송을 요청했습니다.', ...processed });
+    } catch (error) {
+        console.error('Retry notification error:', error);
+        res.status(500).json({ error: '재발송 요청에 실패했습니다.' });
+    }
+});
+
+// Queue reminders for reservations starting soon (admin only, also usable from a cron job)
+router.post('/reminders/run', verifyToken, requireCapability(CAPABILITIES.NOTIFICATION_MANAGE), async (req, res) => {
+    try {
+        const queued = await sendReminders();
+        res.json({ message: `${queued}건의 예약 알림을 등록했습니다.`, queued });
+    } catch (error) {
+        console.error('Send reminders error:', error);
+        res.status(500).json({ error: '예약 알림 등록에 실패했습니다.' });
+    }
+});
+
+module.exports = router;
@@ -1,37 +1,38 @@
 const express = require('express');
 const Permission = require('../models/Permission');
 const User = require('../models/User');
-const { verifyToken, isAdmin } = require('../middleware/auth');
+const { verifyToken, requireCapability } = require('../middleware/auth');
 const { get, query } = require('../config/database');
+const { notifyPermission } = require('../services/notification');
+const { recordAudit } = require('../services/audit');
+const { CAPABILITIES, hasCapability, getScopedEquipmentIds } = require('../services/capabilities');
 
 const router = express.Router();
 
 // Middleware to check if user can manage equipment permissions
-const canManageEquipment = async (req, res, next) => {
-    const equipmentId = req.params.equipmentId || req.params.id;
-    const userId = req.user.id;
-    const userRole = req.user.user_role;
-
-    // Admin can manage all
-    if (userRole === 'admin') {
-        return next();
-    }
+const canManageEquipment = requireCapability(CAPABILITIES.PERMISSION_MANAGE, req => req.params.equipmentId);
 
-    // Check if user has manager permission for this equipment
-    const canManage = await Permission.canManageEquipment(equipmentId, userId);
-    if (canManage) {
-        return next();
+// Granting, changing or removing manager level is reserved to permission.grant_manager (admin)
+const canAssignLevel = async (user, level, current = null) => {
+    if (level !== Permission.LEVELS.MANAGER && (!current || current.permission_level !== Permission.LEVELS.MANAGER)) {
+        return true;
     }
+    return await hasCapability(user, CAPABILITIES.PERMISSION_GRANT_MANAGER);
+};
 
-    // Legacy: Equipment manager role can manage their own equipment
-    if (userRole === 'equipment_manager') {
-        const equipment = await get('SELECT manager_id FROM equipment WHERE id = $1', [equipmentId]);
-        if (equipment && equipment.manager_id === userId) {
-            return next();
-        }
+// "user @ equipment" label for audit entries
+const permissionLabel = (permission) => `${permission.username} @ ${permission.equipment_name}`;
+
+// Grant permission and record previous/new state in the audit log
+const auditedGrant = async (req, equipmentId, userId, level) => {
+    const before = await Permission.findOne(equipmentId, userId);
+    await Permission.grant(equipmentId, userId, req.user.id, level);
+    const after = await Permission.findOne(equipmentId, userId);
+    if (after) {
+        await recordAudit(req, 'permission_grant', 'permission', after.id, {
+            before, after, label: permissionLabel(after)
+        });
     }
-
-    return res.status(403).json({ error: '이 장비의 권한을 관리할 수 없습니다.' });
 };
 
 // Get permissions for equipment
@@ -61,20 +62,18 @@ router.post('/equipment/:equipmentId/grant', verifyToken, canManageEquipment, as
     try {
         const { userId, permissionLevel } = req.body;
         const equipmentId = req.params.equipmentId;
-        const granterId = req.user.id;
-        const granterRole = req.user.user_role;
 
         if (!userId) {
             return res.status(400).json({ error: '사용자를 선택해주세요.' });
         }
 
-        // Only admin can grant manager permission
-        if (permissionLevel === 'manager' && granterRole !== 'admin') {
+        const level = permissionLevel || 'normal';
+        if (!(await canAssignLevel(req.user, level, await Permission.hasPermission(equipmentId, userId)))) {
             return res.status(403).json({ error: '장비담당자 권한은 관리자만 부여할 수 있습니다.' });
         }
 
-        const level = permissionLevel || 'normal';
-        await Permission.grant(equipmentId, userId, granterId, level);
+        await auditedGrant(req, equipmentId, userId, level);
+        notifyPermission('permission_granted', equipmentId, userId, level);
         res.json({ message: '권한이 부여되었습니다.' });
     } catch (error) {
         console.error('Grant permission error:', error);
@@ -87,14 +86,19 @@ router.put('/equipment/:equipmentId/update', verifyToken, canManageEquipment, as
     try {
         const { equipmentId } = req.params;
         const { userId, permissionLevel } = req.body;
-        const granterRole = req.user.user_role;
 
-        // Only admin can set manager permission
-        if (permissionLevel === 'manager' && granterRole !== 'admin') {
+        const before = await Permission.findOne(equipmentId, userId);
+        if (!(await canAssignLevel(req.user, permissionLevel, before))) {
             return res.status(403).json({ error: '장비담당자 권한은 관리자만 부여할 수 있습니다.' });
         }
 
         await Permission.updateLevel(equipmentId, userId, permissionLevel);
+        if (before) {
+            const after = await Permission.findOne(equipmentId, userId);
+            await recordAudit(req, 'permission_update', 'permission', before.id, {
+                before, after, label: permissionLabel(before)
+            });
+        }
         res.json({ message: '권한이 수정되었습니다.' });
     } catch (error) {
         console.error('Update permission error:', error);
@@ -107,14 +111,19 @@ router.put('/equipment/:equipmentId/user/:userId', verifyToken, canManageEquipme
     try {
         const { equipmentId, userId } = req.params;
         const { permissionLevel } = req.body;
-        const granterRole = req.user.user_role;
 
-        // Only admin can set manager permission
-        if (permissionLevel === 'manager' && granterRole !== 'admin') {
+        const before = await Permission.findOne(equipmentId, userId);
+        if (!(await canAssignLevel(req.user, permissionLevel, before))) {
             return res.status(403).json({ error: '장비담당자 권한은 관리자만 부여할 수 있습니다.' });
         }
 
         await Permission.updateLevel(equipmentId, userId, permissionLevel);
+        if (before) {
+            const after = await Permission.findOne(equipmentId, userId);
+            await recordAudit(req, 'permission_update', 'permission', before.id, {
+                before, after, label: permissionLabel(before)
+            });
+        }
         res.json({ message: '권한이 수정되었습니다.' });
     } catch (error) {
         console.error('Update permission error:', error);
@@ -126,7 +135,18 @@ router.put('/equipment/:equipmentId/user/:userId', verifyToken, canManageEquipme
 router.delete('/equipment/:equipmentId/revoke/:userId', verifyToken, canManageEquipment, async (req, res) => {
     try {
         const { equipmentId, userId } = req.params;
-        await Permission.revoke(equipmentId, userId);
+        const before = await Permission.findOne(equipmentId, userId);
+        if (!(await canAssignLevel(req.user, null, before))) {
+            return res.status(403).json({ error: '장비담당자 권한은 관리자만 취소할 수 있습니다.' });
+        }
+
+        const result = await Permission.revoke(equipmentId, userId);
+        if (result.changes > 0) {
+            await recordAudit(req, 'permission_revoke', 'permission', before.id, {
+                before, label: permissionLabel(before)
+            });
+            notifyPermission('permission_revoked', equipmentId, userId);
+        }
         res.json({ message: '권한이 취소되었습니다.' });
     } catch (error) {
         console.error('Revoke permission error:', error);
@@ -137,12 +157,11 @@ router.delete('/equipment/:equipmentId/revoke/:userId', verifyToken, canManageEq
 // Check if current user has permission for equipment (with level info)
 router.get('/check/:equipmentId', verifyToken, async (req, res) => {
     try {
-        const userRole = req.user.user_role;
         const equipmentId = req.params.equipmentId;
         const userId = req.user.id;
 
         // Admin always has full permission
-        if (userRole === 'admin') {
+        if (await hasCapability(req.user, CAPABILITIES.RESERVATION_AUTO_CONFIRM)) {
             return res.json({ hasPermission: true, permissionLevel: 'admin', reason: 'admin' });
         }
 
@@ -188,16 +207,11 @@ router.get('/my/managed', verifyToken, async (req, res) => {
 // Get permissions for specific user (admin or equipment manager)
 router.get('/user/:userId', verifyToken, async (req, res) => {
     try {
-        const requesterId = req.user.id;
-        const requesterRole = req.user.user_role;
-
         let permissions = await Permission.getByUser(req.params.userId);
 
-        // 장비담당자면 본인이 관리하는 장비에 대한 권한만 반환
-        if (requesterRole !== 'admin') {
-            const managedEquipment = await Permission.getManagedEquipment(requesterId);
-            const managedIds = managedEquipment.map(e => e.id);
-
+        // 장비담당자면 본인이 관리하는 장비에 대한 권한만 반환 (null: 관리자, 전체)
+        const managedIds = await getScopedEquipmentIds(req.user, CAPABILITIES.PERMISSION_MANAGE);
+        if (managedIds) {
             if (managedIds.length === 0) {
                 return res.status(403).json({ error: '권한이 없습니다.' });
             }
@@ -217,22 +231,17 @@ router.post('/user/:userId/equipment/:equipmentId', verifyToken, async (req, res
     try {
         const { userId, equipmentId } = req.params;
         const { permissionLevel } = req.body;
-        const granterId = req.user.id;
-        const granterRole = req.user.user_role;
 
         // Check if granter can manage this equipment
-        if (granterRole !== 'admin') {
-            const canManage = await Permission.canManageEquipment(equipmentId, granterId);
-            if (!canManage) {
-                return res.status(403).json({ error: '이 장비의 권한을 관리할 수 없습니다.' });
-            }
-            // Non-admin cannot grant manager permission
-            if (permissionLevel === 'manager') {
-                return res.status(403).json({ error: '장비담당자 권한은 관리자만 부여할 수 있습니다.' });
-            }
+        if (!(await hasCapability(req.user, CAPABILITIES.PERMISSION_MANAGE, equipmentId))) {
+            return res.status(403).json({ error: '이 장비의 권한을 관리할 수 없습니다.' });
+        }
+        if (!(await canAssignLevel(req.user, permissionLevel || 'normal', await Permission.hasPermission(equipmentId, userId)))) {
+            return res.status(403).json({ error: '장비담당자 권한은 관리자만 부여할 수 있습니다.' });
         }
 
-        await Permission.grant(equipmentId, userId, granterId, permissionLevel || 'normal');
+        await auditedGrant(req, equipmentId, userId, permissionLevel || 'normal');
+        notifyPermission('permission_granted', equipmentId, userId, permissionLevel || 'normal');
         res.json({ message: '권한이 부여되었습니다.' });
     } catch (error) {
         console.error('Grant permission error:', error);
@@ -244,18 +253,23 @@ router.post('/user/:userId/equipment/:equipmentId', verifyToken, async (req, res
 router.delete('/user/:userId/equipment/:equipmentId', verifyToken, async (req, res) => {
     try {
         const { userId, equipmentId } = req.params;
-        const granterId = req.user.id;
-        const granterRole = req.user.user_role;
 
         // Check if granter can manage this equipment
-        if (granterRole !== 'admin') {
-            const canManage = await Permission.canManageEquipment(equipmentId, granterId);
-            if (!canManage) {
-                return res.status(403).json({ error: '이 장비의 권한을 관리할 수 없습니다.' });
-            }
+        if (!(await hasCapability(req.user, CAPABILITIES.PERMISSION_MANAGE, equipmentId))) {
+            return res.status(403).json({ error: '이 장비의 권한을 관리할 수 없습니다.' });
         }
 
-        await Permission.revoke(equipmentId, userId);
+        const before = await Permission.findOne(equipmentId, userId);
+        if (!(await canAssignLevel(req.user, null, before))) {
+            return res.status(403).json({ error: '장비담당자 권한은 관리자만 취소할 수 있습니다.' });
+        }
+        const result = await Permission.revoke(equipmentId, userId);
+        if (result.changes > 0) {
+            await recordAudit(req, 'permission_revoke', 'permission', before.id, {
+                before, label: permissionLabel(before)
+            });
+            notifyPermission('permission_revoked', equipmentId, userId);
+        }
         res.json({ message: '권한이 취소되었습니다.' });
     } catch (error) {
         console.error('Revoke permission error:', error);
@@ -264,7 +278,7 @@ router.delete('/user/:userId/equipment/:equipmentId', verifyToken, async (req, r
 });
 
 // Get permission summary for admin dashboard
-router.get('/summary', verifyToken, isAdmin, async (req, res) => {
+router.get('/summary', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
     try {
         const userSummary = await query(`
             SELECT u.id, u.username, u.department, u.user_role, u.phone, u.created_at,
@@ -272,6 +286,7 @@ router.get('/summary', verifyToken, isAdmin, async (req, res) => {
                     JOIN equipment e ON ep.equipment_id = e.id 
                     WHERE ep.user_id = u.id) as permission_count
             FROM users u
+            WHERE u.archived_at IS NULL
             ORDER BY u.id ASC
         `);
 
@@ -280,6 +295,7 @@ router.get('/summary', verifyToken, isAdmin, async (req, res) => {
                    (SELECT COUNT(*) FROM equipment_permissions WHERE equipment_id = e.id) as permission_count
             FROM equipment e
             LEFT JOIN users u ON e.manager_id = u.id
+            WHERE e.archived_at IS NULL
             ORDER BY e.name
         `);
 
@@ -0,0 +1,201 @@
+const express = require('express');
+const Reservation = require('../models/Reservation');
+const EquipmentLog = require('../models/EquipmentLog');
+const { verifyToken } = require('../middleware/auth');
+const { CAPABILITIES, getScopedEquipmentIds } = require('../services/capabilities');
+const { FORMATS, sendSpreadsheet } = require('../services/spreadsheet');
+const { STATS_SECTIONS, getStatsEquipmentIds, getStatsSection } = require('../services/stats');
+
+const router = express.Router();
+
+const EXPORT_LIMIT = 50000;
+const RESERVATION_STATUSES = ['pending', 'confirmed', 'cancelled', 'rejected'];
+
+const RESERVATION_COLUMNS = [
+  { key: 'id', header: '예약 번호', type: 'number' },
+  { key: 'equipment_name', header: '장비' },
+  { key: 'equipment_location', header: '위치' },
+  { key: 'username', header: '예약자' },
+  { key: 'email', header: '이메일' },
+  { key: 'department', header: '소속' },
+  { key: 'supervisor', header: '연수책임자' },
+  { key: 'start_time', header: '시작', type: 'date' },
+  { key: 'end_time', header: '종료', type: 'date' },
+  { key: 'hours', header: '예약 시간(h)', type: 'number', numFmt: '0.0' },
+  { key: 'status', header: '상태' },
+  { key: 'purpose', header: '사용 목적' },
+  { key: 'checked_in_at', header: '체크인', type: 'date' },
+  { key: 'checked_out_at', header: '체크아웃', type: 'date' },
+  { key: 'no_show', header: '노쇼' },
+  { key: 'reviewer_name', header: '승인/반려자' },
+  { key: 'reviewed_at', header: '승인/반려 일시', type: 'date' },
+  { key: 'rejection_reason', header: '반려 사유' },
+  { key: 'created_at', header: '신청 일시', type: 'date' }
+];
+
+const EQUIPMENT_LOG_COLUMNS = [
+  { key: 'id', header: 'ID', type: 'number' },
+  { key: 'created_at', header: '일시', type: 'date' },
+  { key: 'equipment_name', header: '장비' },
+  { key: 'username', header: '작성자' },
+  { key: 'department', header: '소속' },
+  { key: 'log_type', header: '종류' },
+  { key: 'reservation_id', header: '예약 번호', type: 'number' },
+  { key: 'content', header: '내용' }
+];
+
+// Pick the output format (csv or xlsx, default xlsx); returns { format } or { error }
+const parseFormat = (value) => {
+  if (!value) return { format: 'xlsx' };
+  return FORMATS[value] ? { format: value } : { error: `format must be one of ${Object.keys(FORMATS).join(', ')}` };
+};
+
+// Validate query parameters: each must be given once (repeated parameters arrive as arrays),
+// id keys must be whole numbers and dates valid
+// Returns { error } or { values } with the id keys parsed to integers
+const parseQuery = (queryParams, idKeys) => {
+  const values = {};
+  for (const [key, value] of Object.entries(queryParams)) {
+    if (typeof value !== 'string') {
+      return { error: `${key} must be given once` };
+    }
+    values[key] = value || undefined;
+  }
+  for (const key of idKeys) {
+    if (values[key] !== undefined) {
+      if (!/^\d{1,9}$/.test(values[key])) {
+        return { error: `${key} must be a number` };
+      }
+      values[key] = parseInt(values[key]);
+    }
+  }
+  for (const key of ['start_date', 'end_date']) {
+    if (values[key] && isNaN(new Date(values[key]).getTime())) {
+      return { error: `${key} is not a valid date` };
+    }
+  }
+  return { values };
+};
+
+// Equipment the caller may export (null: all); 403 when the caller manages none
+const resolveScope = async (req, res, capability) => {
+  const equipmentIds = await getScopedEquipmentIds(req.user, capability);
+  if (equipmentIds && equipmentIds.length === 0) {
+    res.status(403).json({ error: '권한이 없습니다.', code: 'FORBIDDEN', capability });
+    return undefined;
+  }
+  return equipmentIds;
+};
+
+// Export reservations (admin: all equipment, equipment manager: managed equipment)
+// Query: format, start_date, end_date (by start time), equipment_id, user_id, department, status (comma separated)
+router.get('/reservations', verifyToken, async (req, res) => {
+  try {
+    const { values, error: queryError } = parseQuery(req.query, ['equipment_id', 'user_id']);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+
+    const { format, error: formatError } = parseFormat(values.format);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
+    const statuses = values.status ? values.status.split(',').map(s => s.trim()) : null;
+    if (statuses && statuses.some(s => !RESERVATION_STATUSES.includes(s))) {
+      return res.status(400).json({ error: `status must be one of ${RESERVATION_STATUSES.join(', ')}` });
+    }
+
+    const equipmentIds = await resolveScope(req, res, CAPABILITIES.RESERVATION_MANAGE);
+    if (equipmentIds === undefined) return;
+
+    const reservations = await Reservation.search({
+      equipment_ids: equipmentIds,
+      equipment_id: values.equipment_id,
+      user_id: values.user_id,
+      department: values.department,
+      status: statuses,
+      start_date: values.start_date,
+      end_date: values.end_date
+    }, EXPORT_LIMIT);
+
+    const rows = reservations.map(r => ({
+      ...r,
+      hours: (new Date(r.end_time) - new Date(r.start_time)) / (60 * 60 * 1000),
+      no_show: r.no_show ? 'Y' : ''
+    }));
+    await sendSpreadsheet(res, format, 'reservations', RESERVATION_COLUMNS, rows);
+  } catch (error) {
+    console.error('Export reservations error:', error);
+    res.status(500).json({ error: '예약 내보내기에 실패했습니다.' });
+  }
+});
+
+// Export equipment logs (admin: all equipment, equipment manager: managed equipment)
+// Query: format, start_date, end_date, equipment_id, user_id, log_type
+router.get('/equipment-logs', verifyToken, async (req, res) => {
+  try {
+    const { values, error: queryError } = parseQuery(req.query, ['equipment_id', 'user_id']);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+
+    const { format, error: formatError } = parseFormat(values.format);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
+    const equipmentIds = await resolveScope(req, res, CAPABILITIES.EQUIPMENT_LOG_MANAGE);
+    if (equipmentIds === undefined) return;
+
+    const logs = await EquipmentLog.search({
+      equipment_ids: equipmentIds,
+      equipment_id: values.equipment_id,
+      user_id: values.user_id,
+      log_type: values.log_type,
+      start_date: values.start_date,
+      end_date: values.end_date
+    }, EXPORT_LIMIT);
+
+    await sendSpreadsheet(res, format, 'equipment-logs', EQUIPMENT_LOG_COLUMNS, logs);
+  } catch (error) {
+    console.error('Export equipment logs error:', error);
+    res.status(500).json({ error: '장비 이력 내보내기에 실패했습니다.' });
+  }
+});
+
+// Export one section of /stats (stats.view: all equipment, equipment manager: managed equipment)
+// Sections: equipment, users, matrix (user × equipment, all pairs), monthly
+// Query: format, start_date, end_date
+router.get('/stats/:section', verifyToken, async (req, res) => {
+  try {
+    const section = STATS_SECTIONS[req.params.section];
+    if (!section) {
+      return res.status(404).json({ error: `Unknown stats section (use ${Object.keys(STATS_SECTIONS).join(', ')})` });
+    }
+
+    const { values, error: queryError } = parseQuery(req.query, []);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+
+    const { format, error: formatError } = parseFormat(values.format);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
+    const equipmentIds = await getStatsEquipmentIds(req.user);
+    if (equipmentIds && equipmentIds.length === 0) {
+      return res.status(403).json({ error: '권한이 없습니다.', code: 'FORBIDDEN', capability: CAPABILITIES.STATS_VIEW });
+    }
+
+    const { start_date, end_date } = values;
+    const rows = await getStatsSection(req.params.section, { equipmentIds, startDate: start_date, endDate: end_date });
+    await sendSpreadsheet(res, format, section.filename, section.columns, rows);
+  } catch (error) {
+    console.error('Export stats error:', error);
+    res.status(500).json({ error: '통계 내보내기에 실패했습니다.' });
+  }
+});
+
+module.exports = router;
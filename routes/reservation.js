@@ -1,12 +1,57 @@
 const express = require('express');
 const Reservation = require('../models/Reservation');
 const Equipment = require('../models/Equipment');
-const { verifyToken, isAdmin } = require('../middleware/auth');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Invoice = require('../models/Invoice');
+const EquipmentLog = require('../models/EquipmentLog');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { promoteWaitlist } = require('../services/waitlist');
+const { checkBookingPolicy } = require('../services/bookingPolicy');
+const { notifyReservation } = require('../services/notification');
+const { recordAudit } = require('../services/audit');
+const { CAPABILITIES, hasCapability, getScopedEquipmentIds } = require('../services/capabilities');
 
 const router = express.Router();
 
+// Check if user can approve/reject reservations for equipment (admin or equipment manager)
+const canReviewReservation = async (equipmentId, user) =>
+  await hasCapability(user, CAPABILITIES.RESERVATION_APPROVE, equipmentId);
+
+// Check if user may view/change someone's reservation (owner, or admin/manager of its equipment)
+const canManageReservation = async (reservation, user) =>
+  reservation.user_id === user.id || await hasCapability(user, CAPABILITIES.RESERVATION_MANAGE, reservation.equipment_id);
+
+// Resolve target equipment of /:id routes for requireCapability
+const reservationEquipmentId = async (req) => {
+  const reservation = await Reservation.findById(req.params.id);
+  return reservation ? reservation.equipment_id : null;
+};
+
+// Apply the equipment's booking policy; managers/admins may override with a justification (policy_override_reason)
+// Returns null after sending a 400 response, otherwise { overrideReason } (null when nothing was overridden)
+const enforceBookingPolicy = async (req, res, equipmentId, startTime, endTime, excludeReservationId = null) => {
+  const violations = await checkBookingPolicy(equipmentId, req.user, startTime, endTime, excludeReservationId);
+  if (violations.length === 0) {
+    return { overrideReason: null };
+  }
+
+  const reason = typeof req.body.policy_override_reason === 'string' ? req.body.policy_override_reason.trim() : '';
+  const canOverride = await canReviewReservation(equipmentId, req.user);
+  if (canOverride && reason !== '') {
+    return { overrideReason: reason };
+  }
+
+  res.status(400).json({
+    error: '예약 규칙을 위반했습니다.',
+    code: 'POLICY_VIOLATION',
+    violations,
+    canOverride
+  });
+  return null;
+};
+
 // Get all reservations (admin only)
-router.get('/', verifyToken, isAdmin, async (req, res) => {
+router.get('/', verifyToken, requireCapability(CAPABILITIES.RESERVATION_VIEW_ALL), async (req, res) => {
   try {
     const reservations = await Reservation.getAll();
     res.json(reservations);
@@ -16,18 +61,27 @@ router.get('/', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
+// Get overlapping active reservations left from before the overlap constraint (admin only)
+router.get('/overlaps', verifyToken, requireCapability(CAPABILITIES.RESERVATION_VIEW_ALL), async (req, res) => {
+  try {
+    const overlaps = await Reservation.findOverlappingPairs();
+    res.json(overlaps);
+  } catch (error) {
+    console.error('Get reservation overlaps error:', error);
+    res.status(500).json({ error: 'Failed to get overlapping reservations' });
+  }
+});
+
 // Get reservations for equipment managers (limited to their managed equipment)
 router.get('/manager', verifyToken, async (req, res) => {
   try {
-    const Permission = require('../models/Permission');
-    const managedEquipment = await Permission.getManagedEquipment(req.user.id);
-    const equipmentIds = managedEquipment.map(e => e.id);
-
-    if (equipmentIds.length === 0) {
+    // null: all equipment (admin)
+    const equipmentIds = await getScopedEquipmentIds(req.user, CAPABILITIES.RESERVATION_MANAGE);
+    if (equipmentIds && equipmentIds.length === 0) {
       return res.json([]);
     }
 
-    const reservations = await Reservation.getByEquipmentIds(equipmentIds);
+    const reservations = equipmentIds ? await Reservation.getByEquipmentIds(equipmentIds) : await Reservation.getAll();
     res.json(reservations);
   } catch (error) {
     console.error('Get manager reservations error:', error);
@@ -35,6 +89,19 @@ router.get('/manager', verifyToken, async (req, res) => {
   }
 });
 
+// Get pending reservations awaiting approval for the caller's managed equipment
+router.get('/manager/pending', verifyToken, async (req, res) => {
+  try {
+    // null: reviews all equipment (admin)
+    const equipmentIds = await getScopedEquipmentIds(req.user, CAPABILITIES.RESERVATION_APPROVE);
+    const reservations = equipmentIds ? await Reservation.getPending(equipmentIds) : await Reservation.getPending();
+    res.json(reservations);
+  } catch (error) {
+    console.error('Get pending reservations error:', error);
+    res.status(500).json({ error: 'Failed to get pending reservations' });
+  }
+});
+
 // Get current user's reservations
 router.get('/my', verifyToken, async (req, res) => {
   try {
@@ -95,8 +162,8 @@ router.get('/:id', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Reservation not found' });
     }
 
-    // Check if user owns this reservation or is admin
-    if (reservation.user_id !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns this reservation or manages its equipment
+    if (!(await canManageReservation(reservation, req.user))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -165,34 +232,32 @@ router.post('/', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Equipment not found' });
     }
 
-    if (equipment.status !== 'available') {
+    if (!Equipment.isBookable(equipment)) {
       return res.status(400).json({ error: 'Equipment is not available' });
     }
 
+    // Check scheduled maintenance first for a specific message
+    const maintenance = await MaintenanceWindow.findOverlapping(equipment_id, start_time, end_time);
+    if (maintenance.length > 0) {
+      return res.status(409).json({
+        error: '해당 시간에 장비 점검이 예정되어 있습니다.',
+        maintenance: maintenance.map(w => ({ id: w.id, start_time: w.start_time, end_time: w.end_time, reason: w.reason }))
+      });
+    }
+
     // Check for conflicts
     const hasConflict = await Reservation.checkConflict(equipment_id, start_time, end_time);
     if (hasConflict) {
-      return res.status(409).json({ error: 'Time slot is already reserved' });
+      return res.status(409).json({ error: 'Time slot is already reserved', canJoinWaitlist: true });
     }
 
+    // Check booking policy (duration, lead time, quota, allowed hours)
+    const policy = await enforceBookingPolicy(req, res, equipment_id, start_time, end_time);
+    if (!policy) return;
+
     // Determine reservation status based on user permission level
-    const Permission = require('../models/Permission');
-    let initialStatus = 'pending'; // Default: needs approval
-
-    // Admin is always auto-confirmed
-    if (req.user.user_role === 'admin') {
-      initialStatus = 'confirmed';
-    } else {
-      // Check permission level for this equipment
-      const permission = await Permission.hasPermission(equipment_id, req.user.id);
-      if (permission) {
-        // autonomous and manager get auto-confirmed
-        if (permission.permission_level === 'autonomous' || permission.permission_level === 'manager') {
-          initialStatus = 'confirmed';
-        }
-        // normal stays as pending
-      }
-    }
+    const autoConfirm = await hasCapability(req.user, CAPABILITIES.RESERVATION_AUTO_CONFIRM);
+    const initialStatus = await Reservation.determineInitialStatus(equipment_id, req.user.id, autoConfirm);
 
     // Create reservation
     const reservationId = await Reservation.create(
@@ -204,6 +269,12 @@ router.post('/', verifyToken, async (req, res) => {
       initialStatus
     );
 
+    if (policy.overrideReason) {
+      await Reservation.recordPolicyOverride(reservationId, req.user.id, policy.overrideReason);
+    }
+
+    notifyReservation('reservation_created', reservationId);
+
     res.status(201).json({
       message: initialStatus === 'confirmed'
         ? '예약이 확정되었습니다.'
@@ -212,6 +283,10 @@ router.post('/', verifyToken, async (req, res) => {
       status: initialStatus
     });
   } catch (error) {
+    // Lost a race with another booking: the exclusion constraint rejected the insert
+    if (error.code === Reservation.CONFLICT_ERROR) {
+      return res.status(409).json({ error: 'Time slot is already reserved', code: error.code, conflicts: error.conflicts, canJoinWaitlist: true });
+    }
     console.error('Create reservation error:', error);
     res.status(500).json({ error: 'Failed to create reservation' });
   }
@@ -227,11 +302,23 @@ router.put('/:id', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Reservation not found' });
     }
 
-    // Check if user owns this reservation or is admin
-    if (reservation.user_id !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns this reservation or manages its equipment
+    if (!(await canManageReservation(reservation, req.user))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // Only cancelling goes through here; approval and rejection go through PATCH /:id/approve and /:id/reject
+    // so they are reviewed, notified and audited
+    if (status !== undefined && status !== reservation.status && status !== 'cancelled') {
+      return res.status(400).json({ error: '예약 상태는 취소만 변경할 수 있습니다. 승인/반려는 승인·반려 기능을 이용해주세요.' });
+    }
+
+    // Invoiced reservations stay frozen until the invoice is voided
+    const invoiceId = await Invoice.isReservationInvoiced(reservation.id);
+    if (invoiceId) {
+      return res.status(409).json({ error: '청구서가 발행된 예약은 변경할 수 없습니다.', invoiceId });
+    }
+
     // If updating times, check for conflicts
     if (start_time && end_time) {
       const start = new Date(start_time);
@@ -251,6 +338,13 @@ router.put('/:id', verifyToken, async (req, res) => {
       if (hasConflict) {
         return res.status(409).json({ error: 'Time slot is already reserved' });
       }
+
+      const policy = await enforceBookingPolicy(req, res, reservation.equipment_id, start_time, end_time, reservation.id);
+      if (!policy) return;
+
+      if (policy.overrideReason) {
+        await Reservation.recordPolicyOverride(reservation.id, req.user.id, policy.overrideReason);
+      }
     }
 
     await Reservation.update(
@@ -261,8 +355,22 @@ router.put('/:id', verifyToken, async (req, res) => {
       status || reservation.status
     );
 
-    res.json({ message: 'Reservation updated successfully' });
+    if (status === 'cancelled' && reservation.status !== 'cancelled') {
+      notifyReservation('reservation_cancelled', reservation.id, {
+        cancelledBy: reservation.user_id !== req.user.id ? req.user.username : null
+      });
+    }
+
+    // Hand the slot freed by cancelling an active booking to the waitlist
+    const promoted = status === 'cancelled' && ['pending', 'confirmed'].includes(reservation.status)
+      ? await promoteWaitlist(reservation.equipment_id, reservation.start_time, reservation.end_time)
+      : [];
+
+    res.json({ message: 'Reservation updated successfully', waitlistPromoted: promoted.length });
   } catch (error) {
+    if (error.code === Reservation.CONFLICT_ERROR) {
+      return res.status(409).json({ error: 'Time slot is already reserved', code: error.code, conflicts: error.conflicts });
+    }
     console.error('Update reservation error:', error);
     res.status(500).json({ error: 'Failed to update reservation' });
   }
@@ -276,21 +384,200 @@ router.patch('/:id/cancel', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Reservation not found' });
     }
 
-    // Check if user owns this reservation or is admin
-    if (reservation.user_id !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns this reservation or manages its equipment
+    if (!(await canManageReservation(reservation, req.user))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // Invoiced reservations stay frozen until the invoice is voided
+    const invoiceId = await Invoice.isReservationInvoiced(reservation.id);
+    if (invoiceId) {
+      return res.status(409).json({ error: '청구서가 발행된 예약은 변경할 수 없습니다.', invoiceId });
+    }
+
     await Reservation.cancel(req.params.id);
-    res.json({ message: 'Reservation cancelled successfully' });
+
+    if (reservation.status !== 'cancelled') {
+      notifyReservation('reservation_cancelled', reservation.id, {
+        cancelledBy: reservation.user_id !== req.user.id ? req.user.username : null
+      });
+    }
+
+    // Hand the freed slot to the waitlist
+    const promoted = ['pending', 'confirmed'].includes(reservation.status)
+      ? await promoteWaitlist(reservation.equipment_id, reservation.start_time, reservation.end_time)
+      : [];
+
+    res.json({ message: 'Reservation cancelled successfully', waitlistPromoted: promoted.length });
   } catch (error) {
     console.error('Cancel reservation error:', error);
     res.status(500).json({ error: 'Failed to cancel reservation' });
   }
 });
 
-// Restore cancelled reservation (admin only)
-router.patch('/:id/restore', verifyToken, isAdmin, async (req, res) => {
+// Check in to reservation (owner or equipment manager)
+router.patch('/:id/check-in', verifyToken, async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    if (!(await canManageReservation(reservation, req.user))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (reservation.status !== 'confirmed') {
+      return res.status(400).json({ error: 'Only confirmed reservations can be checked in' });
+    }
+
+    if (reservation.checked_in_at) {
+      return res.status(400).json({ error: '이미 체크인된 예약입니다.' });
+    }
+
+    // Check-in window: from grace minutes before start until grace minutes after start
+    const graceMs = Reservation.getCheckInGraceMinutes() * 60 * 1000;
+    const start = new Date(reservation.start_time).getTime();
+    const now = Date.now();
+
+    if (now < start - graceMs) {
+      return res.status(400).json({ error: '아직 체크인할 수 없습니다. 예약 시작 직전에 체크인해주세요.' });
+    }
+
+    if (now > start + graceMs) {
+      await Reservation.markNoShows();
+      return res.status(400).json({ error: '체크인 가능 시간이 지나 노쇼로 처리되었습니다.' });
+    }
+
+    await Reservation.checkIn(req.params.id);
+    res.json({ message: '체크인되었습니다.' });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({ error: 'Failed to check in' });
+  }
+});
+
+// Check out of reservation, optionally leaving a usage remark (owner or equipment manager)
+router.patch('/:id/check-out', verifyToken, async (req, res) => {
+  try {
+    const { remark } = req.body;
+
+    // Validate before checking out so a bad remark never leaves a half-done check-out
+    if (remark !== undefined && remark !== null && typeof remark !== 'string') {
+      return res.status(400).json({ error: 'remark must be a string' });
+    }
+
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    if (!(await canManageReservation(reservation, req.user))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!reservation.checked_in_at) {
+      return res.status(400).json({ error: '체크인하지 않은 예약입니다.' });
+    }
+
+    const result = await Reservation.checkOut(req.params.id);
+    if (result.changes === 0) {
+      return res.status(400).json({ error: '이미 체크아웃된 예약입니다.' });
+    }
+
+    let logId = null;
+    if (remark && remark.trim() !== '') {
+      logId = await EquipmentLog.create(reservation.equipment_id, req.user.id, 'usage_remark', remark.trim(), reservation.id);
+    }
+
+    res.json({ message: '체크아웃되었습니다.', logId });
+  } catch (error) {
+    console.error('Check-out error:', error);
+    res.status(500).json({ error: 'Failed to check out' });
+  }
+});
+
+// Mark overdue check-ins as no-shows (admin only, e.g. from a scheduled job)
+router.post('/no-shows/sweep', verifyToken, requireCapability(CAPABILITIES.RESERVATION_MANAGE), async (req, res) => {
+  try {
+    const result = await Reservation.markNoShows();
+    res.json({ message: 'No-show sweep completed', marked: result.changes });
+  } catch (error) {
+    console.error('No-show sweep error:', error);
+    res.status(500).json({ error: 'Failed to mark no-shows' });
+  }
+});
+
+// Approve pending reservation (admin or equipment manager)
+router.patch('/:id/approve', verifyToken, async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    if (!(await canReviewReservation(reservation.equipment_id, req.user))) {
+      return res.status(403).json({ error: '이 장비의 예약을 승인할 권한이 없습니다.' });
+    }
+
+    if (reservation.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending reservations can be approved' });
+    }
+
+    const result = await Reservation.approve(req.params.id, req.user.id);
+    if (result.changes === 0) {
+      return res.status(409).json({ error: 'Reservation was already reviewed' });
+    }
+
+    notifyReservation('reservation_confirmed', reservation.id);
+
+    res.json({ message: '예약이 승인되었습니다.', status: 'confirmed' });
+  } catch (error) {
+    console.error('Approve reservation error:', error);
+    res.status(500).json({ error: 'Failed to approve reservation' });
+  }
+});
+
+// Reject pending reservation with reason (admin or equipment manager)
+router.patch('/:id/reject', verifyToken, async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (reason === '') {
+      return res.status(400).json({ error: '반려 사유를 입력해주세요.' });
+    }
+
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    if (!(await canReviewReservation(reservation.equipment_id, req.user))) {
+      return res.status(403).json({ error: '이 장비의 예약을 반려할 권한이 없습니다.' });
+    }
+
+    if (reservation.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending reservations can be rejected' });
+    }
+
+    const result = await Reservation.reject(req.params.id, req.user.id, reason);
+    if (result.changes === 0) {
+      return res.status(409).json({ error: 'Reservation was already reviewed' });
+    }
+
+    notifyReservation('reservation_rejected', reservation.id, { reason });
+
+    const promoted = await promoteWaitlist(reservation.equipment_id, reservation.start_time, reservation.end_time);
+
+    res.json({ message: '예약이 반려되었습니다.', status: 'rejected', waitlistPromoted: promoted.length });
+  } catch (error) {
+    console.error('Reject reservation error:', error);
+    res.status(500).json({ error: 'Failed to reject reservation' });
+  }
+});
+
+// Restore cancelled reservation (admin or equipment manager)
+router.patch('/:id/restore', verifyToken, requireCapability(CAPABILITIES.RESERVATION_MANAGE, reservationEquipmentId), async (req, res) => {
   try {
     const reservation = await Reservation.findById(req.params.id);
     if (!reservation) {
@@ -301,6 +588,11 @@ router.patch('/:id/restore', verifyToken, isAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Only cancelled reservations can be restored' });
     }
 
+    const equipment = await Equipment.findById(reservation.equipment_id);
+    if (equipment.archived_at) {
+      return res.status(400).json({ error: 'Cannot restore - equipment is archived' });
+    }
+
     // Check for conflicts before restoring
     const hasConflict = await Reservation.checkConflict(
       reservation.equipment_id,
@@ -321,22 +613,37 @@ router.patch('/:id/restore', verifyToken, isAdmin, async (req, res) => {
       'confirmed'
     );
 
+    notifyReservation('reservation_restored', reservation.id);
+
     res.json({ message: 'Reservation restored successfully' });
   } catch (error) {
+    if (error.code === Reservation.CONFLICT_ERROR) {
+      return res.status(409).json({ error: 'Cannot restore - time slot is now occupied by another reservation', code: error.code, conflicts: error.conflicts });
+    }
     console.error('Restore reservation error:', error);
     res.status(500).json({ error: 'Failed to restore reservation' });
   }
 });
 
 // Delete reservation (admin only)
-router.delete('/:id', verifyToken, isAdmin, async (req, res) => {
+router.delete('/:id', verifyToken, requireCapability(CAPABILITIES.RESERVATION_DELETE), async (req, res) => {
   try {
     const reservation = await Reservation.findById(req.params.id);
     if (!reservation) {
       return res.status(404).json({ error: 'Reservation not found' });
     }
 
+    // Invoiced reservations stay frozen until the invoice is voided
+    const invoiceId = await Invoice.isReservationInvoiced(reservation.id);
+    if (invoiceId) {
+      return res.status(409).json({ error: '청구서가 발행된 예약은 변경할 수 없습니다.', invoiceId });
+    }
+
     await Reservation.delete(req.params.id);
+    await recordAudit(req, 'reservation_delete', 'reservation', reservation.id, {
+      before: reservation,
+      label: `${reservation.username} / ${reservation.equipment_name}`
+    });
     res.json({ message: 'Reservation deleted successfully' });
   } catch (error) {
     console.error('Delete reservation error:', error);
@@ -0,0 +1,370 @@
+const express = require('express');
+const Reservation = require('../models/Reservation');
+const ReservationSeries = require('../models/ReservationSeries');
+const Equipment = require('../models/Equipment');
+const Invoice = require('../models/Invoice');
+const { verifyToken } = require('../middleware/auth');
+const { validateRule, expandRule, getLocalDay } = require('../services/recurrence');
+const { promoteWaitlist } = require('../services/waitlist');
+const { checkBookingPolicy } = require('../services/bookingPolicy');
+const { notifyReservation } = require('../services/notification');
+const { CAPABILITIES, hasCapability } = require('../services/capabilities');
+
+const router = express.Router();
+
+// Edit/cancel scopes: 이 회차만 / 이 회차와 이후 / 전체 반복
+const SCOPES = ['this', 'following', 'all'];
+
+// Pick the occurrences affected by a scoped edit or cancel
+const selectOccurrences = (occurrences, target, scope) => {
+  if (scope === 'this') {
+    return [target];
+  }
+
+  const active = occurrences.filter(o => !['cancelled', 'rejected'].includes(o.status));
+  if (scope === 'following') {
+    return active.filter(o => new Date(o.start_time) >= new Date(target.start_time));
+  }
+
+  // Whole series: every occurrence that has not started yet (plus the target itself)
+  const now = new Date();
+  return active.filter(o => o.id === target.id || new Date(o.start_time) >= now);
+};
+
+// Owner, or admin/manager of the series' equipment
+const canManageSeries = async (series, user) =>
+  series.user_id === user.id || await hasCapability(user, CAPABILITIES.RESERVATION_MANAGE, series.equipment_id);
+
+// Load series and target occurrence, checking ownership
+const loadOccurrence = async (req, res) => {
+  const series = await ReservationSeries.findById(req.params.id);
+  if (!series) {
+    res.status(404).json({ error: 'Reservation series not found' });
+    return null;
+  }
+
+  if (!(await canManageSeries(series, req.user))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  const occurrences = await Reservation.getBySeriesId(series.id);
+  const target = occurrences.find(o => String(o.id) === String(req.params.reservationId));
+  if (!target) {
+    res.status(404).json({ error: 'Reservation is not part of this series' });
+    return null;
+  }
+
+  return { series, occurrences, target };
+};
+
+// Get current user's reservation series
+router.get('/my', verifyToken, async (req, res) => {
+  try {
+    const series = await ReservationSeries.getByUserId(req.user.id);
+    res.json(series);
+  } catch (error) {
+    console.error('Get user series error:', error);
+    res.status(500).json({ error: 'Failed to get reservation series' });
+  }
+});
+
+// Get series with its occurrences
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const series = await ReservationSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Reservation series not found' });
+    }
+
+    if (!(await canManageSeries(series, req.user))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const occurrences = await Reservation.getBySeriesId(series.id);
+    res.json({ ...series, occurrences });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Failed to get reservation series' });
+  }
+});
+
+// Create recurring reservation series
+// Body: { equipment_id, start_time, end_time, purpose, recurrence: { frequency, interval, weekdays, until, count } }
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { equipment_id, start_time, end_time, purpose, recurrence } = req.body;
+
+    if (!equipment_id || !start_time || !end_time || !recurrence) {
+      return res.status(400).json({ error: 'Equipment ID, start time, end time, and recurrence are required' });
+    }
+
+    const ruleError = validateRule(recurrence);
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+
+    const start = new Date(start_time);
+    const end = new Date(end_time);
+
+    if (start < new Date()) {
+      return res.status(400).json({ error: 'Cannot create reservation in the past' });
+    }
+
+    if (end <= start) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+
+    const equipment = await Equipment.findById(equipment_id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+
+    if (!Equipment.isBookable(equipment)) {
+      return res.status(400).json({ error: 'Equipment is not available' });
+    }
+
+    const occurrences = expandRule(recurrence, start, end);
+    if (occurrences.length === 0) {
+      return res.status(400).json({ error: '반복 규칙에 해당하는 날짜가 없습니다.' });
+    }
+
+    // Check each occurrence before creating anything
+    const available = [];
+    const conflicts = [];
+    const policyViolations = [];
+    for (const occurrence of occurrences) {
+      const hasConflict = await Reservation.checkConflict(equipment_id, occurrence.start, occurrence.end);
+      if (hasConflict) {
+        conflicts.push({ date: occurrence.date, start_time: occurrence.start, end_time: occurrence.end });
+        continue;
+      }
+
+      // Occurrences accepted so far count towards the weekly quota like existing bookings
+      const violations = await checkBookingPolicy(equipment_id, req.user, occurrence.start, occurrence.end, null, available);
+      if (violations.length > 0) {
+        policyViolations.push({ date: occurrence.date, violations });
+        continue;
+      }
+
+      available.push(occurrence);
+    }
+
+    if (available.length === 0) {
+      return res.status(409).json({ error: 'No occurrence can be booked', conflicts, policyViolations });
+    }
+
+    const autoConfirm = await hasCapability(req.user, CAPABILITIES.RESERVATION_AUTO_CONFIRM);
+    const status = await Reservation.determineInitialStatus(equipment_id, req.user.id, autoConfirm);
+    const seriesId = await ReservationSeries.create(equipment_id, req.user.id, recurrence, start, end, purpose || '');
+
+    const created = [];
+    for (const occurrence of available) {
+      try {
+        const reservationId = await Reservation.create(
+          equipment_id,
+          req.user.id,
+          occurrence.start,
+          occurrence.end,
+          purpose || '',
+          status,
+          seriesId
+        );
+        created.push({ reservationId, date: occurrence.date });
+      } catch (error) {
+        // Booked by someone else since the check above
+        if (error.code !== Reservation.CONFLICT_ERROR) throw error;
+        conflicts.push({ date: occurrence.date, start_time: occurrence.start, end_time: occurrence.end, reservations: error.conflicts });
+      }
+    }
+
+    res.status(201).json({
+      message: conflicts.length + policyViolations.length > 0
+        ? `${created.length}건의 반복 예약이 등록되었습니다. ${conflicts.length + policyViolations.length}건은 기존 예약과 겹치거나 예약 규칙에 맞지 않아 제외되었습니다.`
+        : `${created.length}건의 반복 예약이 등록되었습니다.`,
+      seriesId,
+      status,
+      created,
+      conflicts,
+      policyViolations
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({ error: 'Failed to create reservation series' });
+  }
+});
+
+// Edit occurrence(s) of a series
+// Body: { scope: 'this' | 'following' | 'all', start_time?, end_time?, purpose?, policy_override_reason? }
+// New times are given for the target occurrence; the same shift is applied to the other affected occurrences
+router.put('/:id/occurrences/:reservationId', verifyToken, async (req, res) => {
+  try {
+    const { scope = 'this', start_time, end_time, purpose } = req.body;
+
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'Scope must be one of: this, following, all' });
+    }
+
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+    const { series, occurrences, target } = loaded;
+
+    let shiftStart = 0;
+    let shiftEnd = 0;
+    if (start_time && end_time) {
+      if (new Date(end_time) <= new Date(start_time)) {
+        return res.status(400).json({ error: 'End time must be after start time' });
+      }
+      shiftStart = new Date(start_time) - new Date(target.start_time);
+      shiftEnd = new Date(end_time) - new Date(target.end_time);
+    }
+
+    // Individually edited occurrences keep their own times in series-wide edits
+    const affected = selectOccurrences(occurrences, target, scope)
+      .filter(o => o.id === target.id || !o.is_series_exception);
+
+    // Shifted occurrences must follow the booking policy; managers/admins may override with a justification
+    // (policy_override_reason), as for single reservations
+    const overrideReason = typeof req.body.policy_override_reason === 'string' ? req.body.policy_override_reason.trim() : '';
+    const canOverride = await hasCapability(req.user, CAPABILITIES.RESERVATION_APPROVE, series.equipment_id);
+
+    const updated = [];
+    const conflicts = [];
+    const policyViolations = [];
+    const frozen = [];
+    for (const occurrence of affected) {
+      // Invoiced occurrences stay frozen until the invoice is voided
+      const invoiceId = await Invoice.isReservationInvoiced(occurrence.id);
+      if (invoiceId) {
+        frozen.push({ reservationId: occurrence.id, invoiceId });
+        continue;
+      }
+
+      const newStart = new Date(new Date(occurrence.start_time).getTime() + shiftStart);
+      const newEnd = new Date(new Date(occurrence.end_time).getTime() + shiftEnd);
+
+      let overridden = false;
+      if (shiftStart !== 0 || shiftEnd !== 0) {
+        const hasConflict = await Reservation.checkConflict(series.equipment_id, newStart, newEnd, occurrence.id);
+        if (hasConflict) {
+          conflicts.push({ reservationId: occurrence.id, date: getLocalDay(newStart).date });
+          continue;
+        }
+
+        const violations = await checkBookingPolicy(series.equipment_id, req.user, newStart, newEnd, occurrence.id);
+        if (violations.length > 0) {
+          if (!canOverride || overrideReason === '') {
+            policyViolations.push({ reservationId: occurrence.id, date: getLocalDay(newStart).date, violations });
+            continue;
+          }
+          overridden = true;
+        }
+      }
+
+      try {
+        await Reservation.update(
+          occurrence.id,
+          newStart,
+          newEnd,
+          purpose !== undefined ? purpose : occurrence.purpose,
+          occurrence.status
+        );
+      } catch (error) {
+        if (error.code !== Reservation.CONFLICT_ERROR) throw error;
+        conflicts.push({ reservationId: occurrence.id, date: getLocalDay(newStart).date, reservations: error.conflicts });
+        continue;
+      }
+      if (overridden) {
+        await Reservation.recordPolicyOverride(occurrence.id, req.user.id, overrideReason);
+      }
+      updated.push(occurrence.id);
+    }
+
+    if (scope === 'this' && updated.length > 0) {
+      await Reservation.markSeriesException(target.id);
+    }
+
+    if (scope === 'all' && purpose !== undefined) {
+      await ReservationSeries.updatePurpose(series.id, purpose);
+    }
+
+    for (const reservationId of updated) {
+      notifyReservation('reservation_updated', reservationId, {
+        changedBy: series.user_id !== req.user.id ? req.user.username : null
+      });
+    }
+
+    if (updated.length === 0 && conflicts.length > 0) {
+      return res.status(409).json({ error: 'Time slot is already reserved', conflicts, policyViolations, frozen });
+    }
+    if (updated.length === 0 && policyViolations.length > 0) {
+      return res.status(400).json({
+        error: '예약 규칙을 위반했습니다.',
+        code: 'POLICY_VIOLATION',
+        policyViolations,
+        canOverride,
+        frozen
+      });
+    }
+    if (updated.length === 0 && frozen.length > 0) {
+      return res.status(409).json({ error: '청구서가 발행된 예약은 변경할 수 없습니다.', frozen });
+    }
+
+    res.json({ message: 'Reservation series updated successfully', updated, conflicts, policyViolations, frozen });
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({ error: 'Failed to update reservation series' });
+  }
+});
+
+// Cancel occurrence(s) of a series
+// Body: { scope: 'this' | 'following' | 'all' }
+router.patch('/:id/occurrences/:reservationId/cancel', verifyToken, async (req, res) => {
+  try {
+    const { scope = 'this' } = req.body;
+
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'Scope must be one of: this, following, all' });
+    }
+
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+    const { occurrences, target } = loaded;
+
+    const affected = selectOccurrences(occurrences, target, scope)
+      .filter(o => !['cancelled', 'rejected'].includes(o.status));
+
+    const cancelled = [];
+    const frozen = [];
+    for (const occurrence of affected) {
+      // Invoiced occurrences stay frozen until the invoice is voided
+      const invoiceId = await Invoice.isReservationInvoiced(occurrence.id);
+      if (invoiceId) {
+        frozen.push({ reservationId: occurrence.id, invoiceId });
+        continue;
+      }
+
+      await Reservation.cancel(occurrence.id);
+      notifyReservation('reservation_cancelled', occurrence.id, {
+        cancelledBy: occurrence.user_id !== req.user.id ? req.user.username : null
+      });
+      await promoteWaitlist(occurrence.equipment_id, occurrence.start_time, occurrence.end_time);
+      cancelled.push(occurrence.id);
+    }
+
+    if (cancelled.length === 0 && frozen.length > 0) {
+      return res.status(409).json({ error: '청구서가 발행된 예약은 변경할 수 없습니다.', frozen });
+    }
+
+    res.json({
+      message: 'Reservation series cancelled successfully',
+      cancelled,
+      frozen
+    });
+  } catch (error) {
+    console.error('Cancel series error:', error);
+    res.status(500).json({ error: 'Failed to cancel reservation series' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require('express');
+const User = require('../models/User');
+const AppSetting = require('../models/AppSetting');
+const RecoveryCode = require('../models/RecoveryCode');
+const Session = require('../models/Session');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { CAPABILITIES } = require('../services/capabilities');
+const { recordAudit, getClientIp } = require('../services/audit');
+const { finishLogin } = require('../services/session');
+const { checkLoginAllowed, recordLoginFailure } = require('../services/loginProtection');
+const {
+  CHALLENGE_PURPOSES,
+  isTwoFactorRequired,
+  readChallenge,
+  startEnrollment,
+  activateTwoFactor,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactor');
+
+const router = express.Router();
+
+// Resolve login challenge token to user; sends 401 and returns null when invalid
+const userFromChallenge = async (req, res, purpose) => {
+  const userId = req.body.challengeToken ? readChallenge(req.body.challengeToken, purpose) : null;
+  const user = userId ? await User.findByIdWithPassword(userId) : null;
+  if (!user || user.archived_at) {
+    res.status(401).json({ error: '인증 시간이 만료되었습니다. 다시 로그인해주세요.', code: 'INVALID_CHALLENGE' });
+    return null;
+  }
+  return user;
+};
+
+// Apply login lockout to second-step attempts too; sends 429 and returns false when blocked
+const checkAttemptAllowed = async (req, res, user) => {
+  const blocked = await checkLoginAllowed(user.email, getClientIp(req));
+  if (blocked) {
+    res.set('Retry-After', String(blocked.retryAfter));
+    res.status(429).json({
+      error: '잠시 후 다시 시도해주세요.',
+      code: blocked.reason === 'locked' ? 'LOGIN_LOCKED' : 'LOGIN_DELAYED',
+      retryAfter: blocked.retryAfter
+    });
+    return false;
+  }
+  return true;
+};
+
+// Complete login with TOTP or recovery code
+// Body: { challengeToken, code? , recoveryCode? }
+router.post('/login', async (req, res) => {
+  try {
+    const user = await userFromChallenge(req, res, CHALLENGE_PURPOSES.VERIFY);
+    if (!user) return;
+
+    if (!(await checkAttemptAllowed(req, res, user))) return;
+
+    const result = await verifySecondFactor(user, req.body);
+    if (!result) {
+      const failure = await recordLoginFailure(user.email, getClientIp(req));
+      return res.status(401).json({ error: '인증 코드가 올바르지 않습니다.', retryAfter: failure.retryAfter });
+    }
+
+    const { status, body } = await finishLogin(user, req);
+    if (result.method === 'recovery_code') {
+      body.remainingRecoveryCodes = await RecoveryCode.countRemaining(user.id);
+    }
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Start mandatory enrollment during login
+// Body: { challengeToken }
+router.post('/login/enroll', async (req, res) => {
+  try {
+    const user = await userFromChallenge(req, res, CHALLENGE_PURPOSES.ENROLL);
+    if (!user) return;
+
+    res.json(await startEnrollment(user));
+  } catch (error) {
+    console.error('Two-factor login enroll error:', error);
+    res.status(500).json({ error: '2단계 인증 등록에 실패했습니다.' });
+  }
+});
+
+// Finish mandatory enrollment during login and sign in
+// Body: { challengeToken, code }
+router.post('/login/activate', async (req, res) => {
+  try {
+    const user = await userFromChallenge(req, res, CHALLENGE_PURPOSES.ENROLL);
+    if (!user) return;
+
+    if (!(await checkAttemptAllowed(req, res, user))) return;
+
+    const recoveryCodes = await activateTwoFactor(user, req.body.code);
+    if (!recoveryCodes) {
+      const failure = await recordLoginFailure(user.email, getClientIp(req));
+      return res.status(401).json({ error: '인증 코드가 올바르지 않습니다.', retryAfter: failure.retryAfter });
+    }
+
+    // No access token yet: the enrolling user is the audit actor
+    req.user = { id: user.id, username: user.username };
+    await recordAudit(req, 'two_factor_enable', 'user', user.id, { label: user.username });
+
+    const { status, body } = await finishLogin(user, req);
+    res.status(status).json({ ...body, recoveryCodes });
+  } catch (error) {
+    console.error('Two-factor login activate error:', error);
+    res.status(500).json({ error: '2단계 인증 등록에 실패했습니다.' });
+  }
+});
+
+// Get my 2FA status
+router.get('/status', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findByIdWithPassword(req.user.id);
+    res.json({
+      enabled: !!user.totp_enabled,
+      enabledAt: user.totp_enabled_at,
+      required: await isTwoFactorRequired(user),
+      remainingRecoveryCodes: user.totp_enabled ? await RecoveryCode.countRemaining(user.id) : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: '2단계 인증 상태 조회에 실패했습니다.' });
+  }
+});
+
+// Start enrollment: returns secret and otpauth:// provisioning URI
+router.post('/enroll', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findByIdWithPassword(req.user.id);
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: '이미 2단계 인증이 설정되어 있습니다.' });
+    }
+
+    res.json(await startEnrollment(user));
+  } catch (error) {
+    console.error('Two-factor enroll error:', error);
+    res.status(500).json({ error: '2단계 인증 등록에 실패했습니다.' });
+  }
+});
+
+// Verify first code and turn 2FA on; recovery codes are shown only in this response
+// Body: { code }
+router.post('/activate', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findByIdWithPassword(req.user.id);
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: '이미 2단계 인증이 설정되어 있습니다.' });
+    }
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: '먼저 2단계 인증 등록을 시작해주세요.' });
+    }
+
+    const recoveryCodes = await activateTwoFactor(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: '인증 코드가 올바르지 않습니다.' });
+    }
+
+    await recordAudit(req, 'two_factor_enable', 'user', user.id, { label: user.username });
+    res.json({ message: '2단계 인증이 설정되었습니다.', recoveryCodes });
+  } catch (error) {
+    console.error('Two-factor activate error:', error);
+    res.status(500).json({ error: '2단계 인증 설정에 실패했습니다.' });
+  }
+});
+
+// Issue new recovery codes (current code required)
+// Body: { code }
+router.post('/recovery-codes', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findByIdWithPassword(req.user.id);
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({ error: '인증 코드가 올바르지 않습니다.' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+    await recordAudit(req, 'two_factor_recovery_regenerate', 'user', user.id, { label: user.username });
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: '복구 코드 발급에 실패했습니다.' });
+  }
+});
+
+// Turn 2FA off (password and current code or recovery code required)
+// Body: { password, code?, recoveryCode? }
+router.post('/disable', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findByIdWithPassword(req.user.id);
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: '2단계 인증이 설정되어 있지 않습니다.' });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ error: '관리자 설정에 따라 2단계 인증을 해제할 수 없습니다.' });
+    }
+
+    const passwordValid = req.body.password && (await User.verifyPassword(req.body.password, user.password_hash));
+    if (!passwordValid || !(await verifySecondFactor(user, req.body))) {
+      return res.status(401).json({ error: '비밀번호 또는 인증 코드가 올바르지 않습니다.' });
+    }
+
+    await disableTwoFactor(user.id);
+    await recordAudit(req, 'two_factor_disable', 'user', user.id, { label: user.username });
+    res.json({ message: '2단계 인증이 해제되었습니다.' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: '2단계 인증 해제에 실패했습니다.' });
+  }
+});
+
+// Get 2FA policy (admin only)
+router.get('/policy', verifyToken, requireCapability(CAPABILITIES.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const requirePrivileged = await AppSetting.get(AppSetting.KEYS.REQUIRE_2FA_PRIVILEGED, false);
+    res.json({ requirePrivileged: !!requirePrivileged });
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({ error: '설정 조회에 실패했습니다.' });
+  }
+});
+
+// Require 2FA for admin/equipment_manager accounts (admin only)
+// Body: { requirePrivileged }
+router.put('/policy', verifyToken, requireCapability(CAPABILITIES.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const { requirePrivileged } = req.body;
+    if (typeof requirePrivileged !== 'boolean') {
+      return res.status(400).json({ error: 'requirePrivileged must be true or false' });
+    }
+
+    const before = await AppSetting.get(AppSetting.KEYS.REQUIRE_2FA_PRIVILEGED, false);
+    await AppSetting.set(AppSetting.KEYS.REQUIRE_2FA_PRIVILEGED, requirePrivileged, req.user.id);
+    await recordAudit(req, 'setting_update', 'setting', null, {
+      before: { [AppSetting.KEYS.REQUIRE_2FA_PRIVILEGED]: !!before },
+      after: { [AppSetting.KEYS.REQUIRE_2FA_PRIVILEGED]: requirePrivileged },
+      label: AppSetting.KEYS.REQUIRE_2FA_PRIVILEGED
+    });
+
+    res.json({ message: '설정이 저장되었습니다.', requirePrivileged });
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({ error: '설정 저장에 실패했습니다.' });
+  }
+});
+
+// Reset user's 2FA after device loss (admin only); the user is signed out everywhere
+router.post('/users/:id/reset', verifyToken, requireCapability(CAPABILITIES.USER_MANAGE), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await disableTwoFactor(user.id);
+    await Session.revokeAllForUser(user.id, 'two_factor_reset');
+    await recordAudit(req, 'two_factor_reset', 'user', user.id, { label: user.username });
+
+    res.json({ message: '2단계 인증이 초기화되었습니다.' });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ error: '2단계 인증 초기화에 실패했습니다.' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,21 @@
 const express = require('express');
-const { verifyToken, isAdmin } = require('../middleware/auth');
+const { verifyToken, requireCapability } = require('../middleware/auth');
+const { CAPABILITIES } = require('../services/capabilities');
 const { uploadToR2, deleteFromR2, getFromR2 } = require('../services/r2Storage');
 const { run } = require('../config/database');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
-// 파일 업로드 (관리자 전용)
+const proxyLimit = rateLimit({ name: 'upload-proxy', windowSeconds: 60, max: 120 });
+
+// 관리자 또는 해당 장비 담당자 (equipmentId 없는 이미지 업로드는 관리자만)
+const canEditEquipment = requireCapability(CAPABILITIES.EQUIPMENT_EDIT, req => req.body.equipmentId);
+
+// 파일 업로드 (관리자/장비담당자)
 // POST /api/upload
 // Body: JSON { file: base64 string, filename: string, type: 'brochure' | 'manual' | 'quick_guide', equipmentId: number }
-router.post('/', verifyToken, isAdmin, async (req, res) => {
+router.post('/', verifyToken, canEditEquipment, async (req, res) => {
     try {
         const { file, filename, type, equipmentId } = req.body;
 
@@ -68,10 +75,10 @@ router.post('/', verifyToken, isAdmin, async (req, res) => {
     }
 });
 
-// 이미지 업로드 (관리자 전용)
+// 이미지 업로드 (관리자/장비담당자)
 // POST /api/upload/image
 // Body: JSON { file: base64 string, filename: string, equipmentId?: number }
-router.post('/image', verifyToken, isAdmin, async (req, res) => {
+router.post('/image', verifyToken, canEditEquipment, async (req, res) => {
     try {
         const { file, filename, equipmentId } = req.body;
 
@@ -125,10 +132,10 @@ router.post('/image', verifyToken, isAdmin, async (req, res) => {
     }
 });
 
-// 파일 삭제 (관리자 전용)
+// 파일 삭제 (관리자/장비담당자)
 // DELETE /api/upload
 // Body: JSON { equipmentId: number, type: 'brochure' | 'manual' | 'quick_guide' | 'image', fileUrl: string }
-router.delete('/', verifyToken, isAdmin, async (req, res) => {
+router.delete('/', verifyToken, canEditEquipment, async (req, res) => {
     try {
         const { equipmentId, type, fileUrl } = req.body;
 
@@ -176,7 +183,7 @@ router.delete('/', verifyToken, isAdmin, async (req, res) => {
 // GET /api/upload/proxy/*
 // R2에서 이미지를 가져와 클라이언트에 전달 (네트워크 보안 정책 우회용)
 // v1.4.1 - 2026-02-02
-router.get('/proxy/*', async (req, res) => {
+router.get('/proxy/*', proxyLimit, async (req, res) => {
     try {
         // 와일드카드로 전체 경로 캡처 (예: equipment/1/image_xxx.png)
         const filePath = req.params[0];
@@ -0,0 +1,115 @@
+const express = require('express');
+const Waitlist = require('../models/Waitlist');
+const Reservation = require('../models/Reservation');
+const Equipment = require('../models/Equipment');
+const { verifyToken } = require('../middleware/auth');
+const { checkBookingPolicy } = require('../services/bookingPolicy');
+const { CAPABILITIES, hasCapability, getScopedEquipmentIds } = require('../services/capabilities');
+
+const router = express.Router();
+
+// Get current user's waitlist entries
+router.get('/my', verifyToken, async (req, res) => {
+  try {
+    const entries = await Waitlist.getByUserId(req.user.id);
+    res.json(entries);
+  } catch (error) {
+    console.error('Get user waitlist error:', error);
+    res.status(500).json({ error: 'Failed to get waitlist' });
+  }
+});
+
+// Get waiting entries for the caller's managed equipment (admin: all equipment)
+router.get('/manager', verifyToken, async (req, res) => {
+  try {
+    const equipmentIds = await getScopedEquipmentIds(req.user, CAPABILITIES.WAITLIST_MANAGE);
+    const entries = equipmentIds ? await Waitlist.getWaiting(equipmentIds) : await Waitlist.getWaiting();
+    res.json(entries);
+  } catch (error) {
+    console.error('Get manager waitlist error:', error);
+    res.status(500).json({ error: 'Failed to get waitlist' });
+  }
+});
+
+// Join waitlist for a fully booked time slot
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { equipment_id, start_time, end_time, purpose } = req.body;
+
+    if (!equipment_id || !start_time || !end_time) {
+      return res.status(400).json({ error: 'Equipment ID, start time, and end time are required' });
+    }
+
+    const start = new Date(start_time);
+    const end = new Date(end_time);
+
+    if (start < new Date()) {
+      return res.status(400).json({ error: 'Cannot join waitlist for a past time slot' });
+    }
+
+    if (end <= start) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+
+    const equipment = await Equipment.findById(equipment_id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+
+    if (equipment.archived_at) {
+      return res.status(400).json({ error: 'Equipment is not available' });
+    }
+
+    const hasConflict = await Reservation.checkConflict(equipment_id, start_time, end_time);
+    if (!hasConflict) {
+      return res.status(400).json({ error: '예약 가능한 시간입니다. 바로 예약해주세요.' });
+    }
+
+    // A waitlisted request must be bookable under the equipment's rules once the slot frees up
+    const violations = await checkBookingPolicy(equipment_id, req.user, start_time, end_time);
+    if (violations.length > 0) {
+      return res.status(400).json({ error: '예약 규칙을 위반했습니다.', code: 'POLICY_VIOLATION', violations });
+    }
+
+    const existing = await Waitlist.findWaiting(equipment_id, req.user.id, start_time, end_time);
+    if (existing) {
+      return res.status(409).json({ error: '이미 대기 중인 시간입니다.', waitlistId: existing.id });
+    }
+
+    const waitlistId = await Waitlist.create(equipment_id, req.user.id, start_time, end_time, purpose || '');
+    res.status(201).json({
+      message: '대기 목록에 등록되었습니다. 예약이 취소되면 자동으로 예약됩니다.',
+      waitlistId
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ error: 'Failed to join waitlist' });
+  }
+});
+
+// Leave waitlist (owner, equipment manager or admin)
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const entry = await Waitlist.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    if (entry.user_id !== req.user.id &&
+        !(await hasCapability(req.user, CAPABILITIES.WAITLIST_MANAGE, entry.equipment_id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await Waitlist.cancel(entry.id);
+    if (result.changes === 0) {
+      return res.status(400).json({ error: 'Only waiting entries can be removed' });
+    }
+
+    res.json({ message: '대기 목록에서 삭제되었습니다.' });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ error: 'Failed to leave waitlist' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 // Seed script to populate database with test data
 require('dotenv').config();
-const { initDatabase } = require('./config/database');
+const { migrate } = require('./config/migrations');
 const User = require('./models/User');
 const Equipment = require('./models/Equipment');
 const Reservation = require('./models/Reservation');
@@ -9,9 +9,9 @@ const seedDatabase = async () => {
   console.log('🌱 Starting database seeding...\n');
 
   try {
-    // Initialize database
-    await initDatabase();
-    console.log('✓ Database initialized\n');
+    // Bring schema up to date
+    await migrate();
+    console.log('✓ Database migrated\n');
 
     // Create users
     console.log('Creating users...');
@@ -28,7 +28,7 @@ const seedDatabase = async () => {
     // Check if regular user exists
     const existingUser = await User.findByEmail('user@test.com');
     if (!existingUser) {
-      const userId = await User.create('testuser', 'user@test.com', 'user123', 'user');
+      const userId = await User.create('testuser', 'user@test.com', 'user123', 'staff');
       console.log('✓ Regular user created (ID:', userId, ')');
     } else {
       console.log('✓ Regular user already exists');
@@ -43,7 +43,7 @@ const seedDatabase = async () => {
     for (const userData of testUsers) {
       const existing = await User.findByEmail(userData.email);
       if (!existing) {
-        await User.create(userData.username, userData.email, userData.password, 'user');
+        await User.create(userData.username, userData.email, userData.password, 'staff');
         console.log(`✓ User ${userData.username} created`);
       }
     }
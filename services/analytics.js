@@ -0,0 +1,278 @@
+// 이용 분석
+// 소속/연수책임자별: 기간 내 확정 사용 시간, 예약 건수, 취소율, 많이 쓴 장비를 묶음별로 집계하고 바로 앞 같은 길이의 기간과 비교합니다.
+// 장비 가동률: 요일 × 시간대별로 예약 가능한 시간(일반사용자 예약 규칙의 허용 요일/시간대, 점검 일정 제외) 중 확정 예약 비율을 구합니다.
+// 요일과 시간대는 APP_TIMEZONE 기준이며 요일은 0=일요일입니다.
+
+const Stats = require('../models/Stats');
+const BookingPolicy = require('../models/BookingPolicy');
+const Permission = require('../models/Permission');
+const { getLocalDay, getLocalMidnight } = require('./recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const PEAK_CELLS = 5;
+const LATE_CANCELLATION_HOURS = 24;
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 366 * 2;
+const TOP_EQUIPMENT = 3;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * 분석 기간과 비교 기간
+ * start_date, end_date(미포함)가 없으면 오늘까지 최근 30일, 비교 기간은 바로 앞의 같은 길이
+ * @param {{ start_date?: string, end_date?: string }} queryParams - 요청 쿼리
+ * @returns {{ period: { startDate: Date, endDate: Date }, previousPeriod: { startDate: Date, endDate: Date } } | { error: string }}
+ */
+const parsePeriod = (queryParams) => {
+    // Default days are APP_TIMEZONE days, like the heatmap buckets
+    const now = new Date();
+    const endDate = queryParams.end_date ? new Date(queryParams.end_date) : getLocalMidnight(now, 1);
+    const startDate = queryParams.start_date
+        ? new Date(queryParams.start_date)
+        : queryParams.end_date
+            ? new Date(endDate.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS)
+            : getLocalMidnight(now, 1 - DEFAULT_PERIOD_DAYS);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || endDate <= startDate) {
+        return { error: 'start_date and end_date must be valid dates with end_date after start_date' };
+    }
+    if (endDate - startDate > MAX_PERIOD_DAYS * DAY_MS) {
+        return { error: `The period can be at most ${MAX_PERIOD_DAYS} days` };
+    }
+
+    const length = endDate - startDate;
+    return {
+        period: { startDate, endDate },
+        previousPeriod: { startDate: new Date(startDate.getTime() - length), endDate: startDate }
+    };
+};
+
+// pg returns COUNT/SUM as strings; cancellation rate is cancelled / all bookings (%)
+const toMetrics = (row) => {
+    const totalReservations = Number(row ? row.total_reservations : 0);
+    const cancelledCount = Number(row ? row.cancelled_count : 0);
+    return {
+        total_reservations: totalReservations,
+        confirmed_count: Number(row ? row.confirmed_count : 0),
+        cancelled_count: cancelledCount,
+        confirmed_hours: round1(Number(row ? row.confirmed_hours : 0)),
+        cancellation_rate: totalReservations > 0 ? round1(cancelledCount / totalReservations * 100) : 0
+    };
+};
+
+// Current minus previous; confirmed_hours_percent is null when there was no usage before
+const compare = (current, previous) => ({
+    confirmed_hours: round1(current.confirmed_hours - previous.confirmed_hours),
+    confirmed_hours_percent: previous.confirmed_hours > 0
+        ? round1((current.confirmed_hours - previous.confirmed_hours) / previous.confirmed_hours * 100)
+        : null,
+    total_reservations: current.total_reservations - previous.total_reservations,
+    cancellation_rate: round1(current.cancellation_rate - previous.cancellation_rate)
+});
+
+const sumMetrics = (rows) => toMetrics(rows.reduce((sum, row) => ({
+    total_reservations: sum.total_reservations + row.total_reservations,
+    confirmed_count: sum.confirmed_count + row.confirmed_count,
+    cancelled_count: sum.cancelled_count + row.cancelled_count,
+    confirmed_hours: sum.confirmed_hours + row.confirmed_hours
+}), { total_reservations: 0, confirmed_count: 0, cancelled_count: 0, confirmed_hours: 0 }));
+
+/**
+ * 묶음별 이용 분석 (이번 기간 + 비교 기간)
+ * @param {'department'|'supervisor'|'user'} groupBy - 묶는 기준 (user는 연수책임자 한 명의 인턴/학생연구원 목록에 사용)
+ * @param {Object} periods - parsePeriod 결과
+ * @param {string|null} supervisor - 특정 연수책임자(username)의 인턴/학생연구원만 집계
+ * @returns {{ groups: Object[], totals: Object }}
+ */
+const getGroupAnalytics = async (groupBy, { period, previousPeriod }, supervisor = null) => {
+    const currentRows = await Stats.getGroupUsage(groupBy, period, supervisor);
+    const previousRows = await Stats.getGroupUsage(groupBy, previousPeriod, supervisor);
+    const topRows = await Stats.getGroupTopEquipment(groupBy, period, supervisor, TOP_EQUIPMENT);
+
+    const previousByKey = new Map(previousRows.map(row => [String(row.group_key), row]));
+    const topByKey = new Map();
+    topRows.forEach(row => {
+        const key = String(row.group_key);
+        topByKey.set(key, [...(topByKey.get(key) || []), {
+            equipment_id: row.equipment_id,
+            equipment_name: row.equipment_name,
+            reservation_count: Number(row.reservation_count),
+            confirmed_hours: round1(Number(row.confirmed_hours))
+        }]);
+    });
+
+    const groups = currentRows.map(row => {
+        const { group_key, member_count, active_users, total_reservations, confirmed_count, cancelled_count, confirmed_hours, ...details } = row;
+        const current = toMetrics(row);
+        const previous = toMetrics(previousByKey.get(String(group_key)));
+        return {
+            group: group_key,
+            ...details,
+            member_count: Number(member_count),
+            active_users: Number(active_users),
+            ...current,
+            previous,
+            change: compare(current, previous),
+            top_equipment: topByKey.get(String(group_key)) || []
+        };
+    });
+
+    const currentTotals = sumMetrics(groups);
+    const previousTotals = sumMetrics(previousRows.map(toMetrics));
+    return {
+        groups,
+        totals: { ...currentTotals, previous: previousTotals, change: compare(currentTotals, previousTotals) }
+    };
+};
+
+// One-hour slots covering [start, end) with their local weekday and hour
+// Slot i starts at first + i hours, so an instant maps to its slot by arithmetic
+const buildHourSlots = (start, end) => {
+    const first = Math.floor(start / HOUR_MS) * HOUR_MS;
+    const slots = [];
+    for (let t = first; t < end; t += HOUR_MS) {
+        const local = getLocalDay(new Date(t));
+        slots.push({
+            start: Math.max(t, start),
+            end: Math.min(t + HOUR_MS, end),
+            weekday: local.weekday,
+            hour: Math.floor(local.minutes / 60)
+        });
+    }
+    return { first, slots };
+};
+
+// Hours regular users may book: allowed weekdays and start/end hour of the policy (no policy = always)
+const isBookableSlot = (policy, slot) => {
+    if (!policy) {
+        return true;
+    }
+    if (policy.allowed_weekdays && policy.allowed_weekdays.length > 0 && !policy.allowed_weekdays.includes(slot.weekday)) {
+        return false;
+    }
+    const startHour = policy.allowed_start_hour ?? 0;
+    const endHour = policy.allowed_end_hour ?? 24;
+    return slot.hour >= startHour && slot.hour < endHour;
+};
+
+// Merge overlapping intervals (sorted by start) so blocked time is not subtracted twice
+const mergeIntervals = (intervals) => intervals.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+    } else {
+        merged.push({ ...interval });
+    }
+    return merged;
+}, []);
+
+// Add the overlap of an interval with each slot it touches to totals[slot]
+const addToSlots = (totals, { first, slots }, interval) => {
+    const from = Math.max(0, Math.floor((interval.start - first) / HOUR_MS));
+    const to = Math.min(slots.length - 1, Math.floor((interval.end - 1 - first) / HOUR_MS));
+    for (let i = from; i <= to; i++) {
+        totals[i] += Math.max(0, Math.min(slots[i].end, interval.end) - Math.max(slots[i].start, interval.start));
+    }
+};
+
+const emptyGrid = () => Array.from({ length: 7 }, () => new Array(24).fill(0));
+const toHours = (ms) => round1(ms / HOUR_MS);
+const percent = (part, whole) => (whole > 0 ? round1(part / whole * 100) : null);
+const hoursOrNull = (value) => (value === null || value === undefined ? null : round1(Number(value)));
+
+// Weekday × hour totals of one equipment: bookable time minus blocked time, and booked time within it
+const buildHeatmap = (hourSlots, policy, intervals) => {
+    const blocked = new Array(hourSlots.slots.length).fill(0);
+    const booked = new Array(hourSlots.slots.length).fill(0);
+    mergeIntervals(intervals.filter(i => i.kind === 'blocked')).forEach(i => addToSlots(blocked, hourSlots, i));
+    intervals.filter(i => i.kind === 'booked').forEach(i => addToSlots(booked, hourSlots, i));
+
+    const bookableGrid = emptyGrid();
+    const bookedGrid = emptyGrid();
+    hourSlots.slots.forEach((slot, i) => {
+        if (!isBookableSlot(policy, slot)) {
+            return;
+        }
+        const available = Math.max(0, slot.end - slot.start - blocked[i]);
+        bookableGrid[slot.weekday][slot.hour] += available;
+        bookedGrid[slot.weekday][slot.hour] += Math.min(booked[i], available);
+    });
+    return { bookableGrid, bookedGrid };
+};
+
+/**
+ * 장비 가동률 (요일 × 시간대)과 예약 습관
+ * @param {Array<{ id: number, name: string, location: string }>} equipmentList - 분석할 장비
+ * @param {{ startDate: Date, endDate: Date }} period - 분석 기간 (parsePeriod의 period)
+ * @returns {Object[]} - 장비별 { bookable_hours, booked_hours, utilization, heatmap, peak_hours, bookable_window, timings }
+ */
+const getUtilization = async (equipmentList, period) => {
+    if (equipmentList.length === 0) {
+        return [];
+    }
+
+    const equipmentIds = equipmentList.map(e => e.id);
+    const hourSlots = buildHourSlots(period.startDate.getTime(), period.endDate.getTime());
+    const intervalRows = await Stats.getUtilizationIntervals(equipmentIds, period);
+    const timingRows = await Stats.getBookingTimings(equipmentIds, period, LATE_CANCELLATION_HOURS);
+    const timingsById = new Map(timingRows.map(row => [row.equipment_id, row]));
+
+    const results = [];
+    for (const equipment of equipmentList) {
+        const policy = await BookingPolicy.findApplicable(equipment.id, Permission.LEVELS.NORMAL);
+        const intervals = intervalRows
+            .filter(row => row.equipment_id === equipment.id)
+            .map(row => ({ kind: row.kind, start: new Date(row.start_time).getTime(), end: new Date(row.end_time).getTime() }));
+        const { bookableGrid, bookedGrid } = buildHeatmap(hourSlots, policy, intervals);
+
+        const cells = [];
+        bookableGrid.forEach((hours, weekday) => hours.forEach((bookableMs, hour) => {
+            if (bookableMs > 0) {
+                cells.push({ weekday, hour, bookableMs, bookedMs: bookedGrid[weekday][hour] });
+            }
+        }));
+        const bookableMs = cells.reduce((sum, cell) => sum + cell.bookableMs, 0);
+        const bookedMs = cells.reduce((sum, cell) => sum + cell.bookedMs, 0);
+        const timing = timingsById.get(equipment.id) || {};
+
+        results.push({
+            equipment_id: equipment.id,
+            equipment_name: equipment.name,
+            location: equipment.location,
+            bookable_hours: toHours(bookableMs),
+            booked_hours: toHours(bookedMs),
+            utilization: percent(bookedMs, bookableMs),
+            // [weekday][hour]; utilization is null for hours that cannot be booked
+            heatmap: {
+                utilization: bookableGrid.map((hours, weekday) => hours.map((ms, hour) => percent(bookedGrid[weekday][hour], ms))),
+                booked_hours: bookedGrid.map(hours => hours.map(toHours)),
+                bookable_hours: bookableGrid.map(hours => hours.map(toHours))
+            },
+            peak_hours: cells
+                .map(cell => ({ weekday: cell.weekday, hour: cell.hour, utilization: percent(cell.bookedMs, cell.bookableMs) }))
+                .sort((a, b) => b.utilization - a.utilization || a.weekday - b.weekday || a.hour - b.hour)
+                .slice(0, PEAK_CELLS),
+            bookable_window: policy
+                ? { weekdays: policy.allowed_weekdays, start_hour: policy.allowed_start_hour, end_hour: policy.allowed_end_hour }
+                : null,
+            timings: {
+                confirmed_count: Number(timing.confirmed_count || 0),
+                avg_lead_hours: hoursOrNull(timing.avg_lead_hours),
+                median_lead_hours: hoursOrNull(timing.median_lead_hours),
+                avg_booking_hours: hoursOrNull(timing.avg_booking_hours),
+                cancelled_count: Number(timing.cancelled_count || 0),
+                avg_cancellation_lead_hours: hoursOrNull(timing.avg_cancellation_lead_hours),
+                late_cancellation_count: Number(timing.late_cancellation_count || 0)
+            }
+        });
+    }
+    return results;
+};
+
+module.exports = {
+    LATE_CANCELLATION_HOURS,
+    parsePeriod,
+    getGroupAnalytics,
+    getUtilization,
+};
@@ -0,0 +1,86 @@
+// 사용자/장비 보관(archive)
+// 삭제 대신 보관 처리해 지난 예약·장비 이력·통계에서 이름이 계속 보이도록 합니다.
+// 보관된 계정은 로그인할 수 없고 캘린더 피드도 막히며, 보관된 장비는 예약할 수 없으며 둘 다 기본 목록에서 빠집니다.
+// 보관 기간(ARCHIVE_RETENTION_DAYS)이 지난 뒤에만 영구 삭제(purge)할 수 있습니다.
+
+const User = require('../models/User');
+const Equipment = require('../models/Equipment');
+const Reservation = require('../models/Reservation');
+const Session = require('../models/Session');
+const Waitlist = require('../models/Waitlist');
+const { notifyReservation } = require('./notification');
+const { promoteWaitlist } = require('./waitlist');
+
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS) || 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 영구 삭제가 가능해지는 시각
+ * @param {Date|string} archivedAt - 보관 처리 시각
+ * @returns {Date}
+ */
+const getPurgeableAt = (archivedAt) => new Date(new Date(archivedAt).getTime() + ARCHIVE_RETENTION_DAYS * DAY_MS);
+
+/**
+ * 보관 기간이 지났는지 확인
+ * @param {{ archived_at: Date|null }} record - users 또는 equipment 행
+ * @returns {boolean}
+ */
+const isPurgeable = (record) => !!record.archived_at && getPurgeableAt(record.archived_at) <= new Date();
+
+/**
+ * 사용자 보관: 로그인 세션 종료, 앞으로의 예약과 대기 요청 취소 (비워진 시간은 대기열 승격)
+ * @param {Object} user - users 행
+ * @param {number} archivedBy - 처리한 관리자 ID
+ * @returns {{ cancelledReservations: number }}
+ */
+const archiveUser = async (user, archivedBy) => {
+    await User.archive(user.id, archivedBy);
+    await Session.revokeAllForUser(user.id, 'account_archived');
+    await Waitlist.cancelWaitingByUser(user.id);
+
+    const cancelled = await Reservation.cancelUpcomingByUser(user.id);
+    for (const reservation of cancelled) {
+        await promoteWaitlist(reservation.equipment_id, reservation.start_time, reservation.end_time);
+    }
+
+    return { cancelledReservations: cancelled.length };
+};
+
+/**
+ * 장비 보관: 앞으로의 예약과 대기 요청 취소, 예약자에게 취소 알림
+ * @param {Object} equipment - equipment 행
+ * @param {{ id: number, username: string }} actor - 처리한 관리자 (req.user)
+ * @returns {{ cancelledReservations: number }}
+ */
+const archiveEquipment = async (equipment, actor) => {
+    await Equipment.archive(equipment.id, actor.id);
+    await Waitlist.cancelWaitingByEquipment(equipment.id);
+
+    const cancelled = await Reservation.cancelUpcomingByEquipment(equipment.id);
+    for (const reservation of cancelled) {
+        notifyReservation('reservation_cancelled', reservation.id, { cancelledBy: actor.username });
+    }
+
+    return { cancelledReservations: cancelled.length };
+};
+
+/**
+ * 보관 목록 행에 영구 삭제 가능 시각 추가
+ * @param {Object[]} rows - getArchived 결과
+ * @returns {Object[]}
+ */
+const withPurgeInfo = (rows) => rows.map(row => ({
+    ...row,
+    purgeable_at: getPurgeableAt(row.archived_at),
+    purgeable: isPurgeable(row)
+}));
+
+module.exports = {
+    ARCHIVE_RETENTION_DAYS,
+    getPurgeableAt,
+    isPurgeable,
+    archiveUser,
+    archiveEquipment,
+    withPurgeInfo,
+};
@@ -0,0 +1,63 @@
+// 감사 로그 기록
+// 관리/권한 변경 작업마다 누가(actor), 무엇을(action, target), 어떻게 바꿨는지(before/after), 어디서(IP) 기록합니다.
+
+const AuditLog = require('../models/AuditLog');
+
+// Fields that must never be copied into snapshots
+const SECRET_FIELDS = ['password', 'password_hash'];
+
+/**
+ * 요청한 클라이언트 IP
+ * X-Forwarded-For는 클라이언트가 조작할 수 있으므로 직접 읽지 않고,
+ * 'trust proxy' 설정(TRUST_PROXY)에 따라 신뢰하는 프록시 바로 앞의 주소인 req.ip를 사용합니다.
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+/**
+ * 스냅샷에서 비밀 필드 제거
+ * @param {Object|null} data - DB 행
+ * @returns {Object|null}
+ */
+const snapshot = (data) => {
+    if (!data) {
+        return null;
+    }
+    const copy = { ...data };
+    for (const field of SECRET_FIELDS) {
+        delete copy[field];
+    }
+    return copy;
+};
+
+/**
+ * 감사 로그 기록 (실패해도 요청은 계속 진행하고 오류만 기록)
+ * @param {Object} req - Express request (req.user가 actor)
+ * @param {string} action - 예: 'permission_grant', 'user_update'
+ * @param {string} targetType - 'user' | 'equipment' | 'permission' | 'reservation'
+ * @param {number} targetId - 대상 ID
+ * @param {Object} changes - { before, after, label }
+ */
+const recordAudit = async (req, action, targetType, targetId, { before = null, after = null, label = null } = {}) => {
+    try {
+        await AuditLog.create({
+            actorId: req.user?.id,
+            actorUsername: req.user?.username,
+            action,
+            targetType,
+            targetId,
+            targetLabel: label,
+            before: snapshot(before),
+            after: snapshot(after),
+            ip: getClientIp(req),
+        });
+    } catch (error) {
+        console.error(`Audit log error (${action}, ${targetType} ${targetId}):`, error);
+    }
+};
+
+module.exports = {
+    getClientIp,
+    recordAudit,
+};
@@ -0,0 +1,140 @@
+// 빈 시간 찾기
+// 여러 장비의 예약/점검 일정을 모아 원하는 길이의 빈 시간대를 찾고, 이른 시간 순으로 정렬합니다.
+// 하루 중 시간대(earliest~latest)와 요일은 APP_TIMEZONE 기준입니다.
+
+const Reservation = require('../models/Reservation');
+const Permission = require('../models/Permission');
+const { getLocalDay, getLocalMidnight } = require('./recurrence');
+const { checkBookingPolicy } = require('./bookingPolicy');
+const { CAPABILITIES, hasCapability } = require('./capabilities');
+
+const MINUTE_MS = 60 * 1000;
+const MAX_POLICY_CHECKS = 100;
+
+/**
+ * 사용자가 예약할 수 있는 장비 (Permission.getByUser 기준, 관리자는 전체)
+ * @param {{ id: number, user_role: string }} user - 사용자
+ * @returns {number[]|null} - 장비 ID 목록, 전체 장비면 null
+ */
+const getBookableEquipmentIds = async (user) => {
+    if (await hasCapability(user, CAPABILITIES.RESERVATION_AUTO_CONFIRM)) {
+        return null;
+    }
+    const permissions = await Permission.getByUser(user.id);
+    return permissions.map(p => p.equipment_id);
+};
+
+// Free pieces of [start, end) not covered by busy intervals (sorted by start, may overlap)
+const subtractBusy = (start, end, busy) => {
+    const pieces = [];
+    let cursor = start;
+    for (const interval of busy) {
+        if (interval.end <= cursor) continue;
+        if (interval.start >= end) break;
+        if (interval.start > cursor) {
+            pieces.push({ start: cursor, end: interval.start });
+        }
+        cursor = Math.max(cursor, interval.end);
+        if (cursor >= end) break;
+    }
+    if (cursor < end) {
+        pieces.push({ start: cursor, end });
+    }
+    return pieces;
+};
+
+/**
+ * 빈 시간 검색
+ * 장비별·날짜별 빈 구간마다 가장 이른 시작 시각 하나를 후보로 삼고,
+ * 시작 시각 → 빈 구간에 꼭 맞는 정도 → 장비 이름 순으로 정렬한 뒤 예약 규칙을 통과한 것만 반환합니다.
+ * @param {Object} user - { id, user_role } (예약 규칙 적용 대상)
+ * @param {Array<Object>} equipmentList - equipment 행 목록
+ * @param {Object} options - { start: Date, end: Date, durationMinutes, earliestMinutes, latestMinutes, weekdays, stepMinutes, limit }
+ * @returns {Array<Object>} - { rank, equipment_id, equipment_name, location, start_time, end_time, free_minutes }
+ */
+const findFreeSlots = async (user, equipmentList, options) => {
+    const {
+        durationMinutes,
+        earliestMinutes = 0,
+        latestMinutes = 24 * 60,
+        weekdays = null,
+        stepMinutes = 30,
+        limit = 10,
+    } = options;
+    const durationMs = durationMinutes * MINUTE_MS;
+    const stepMs = stepMinutes * MINUTE_MS;
+    const from = Math.max(options.start.getTime(), Date.now());
+    const until = options.end.getTime();
+
+    if (equipmentList.length === 0 || until - from < durationMs) {
+        return [];
+    }
+
+    const busyRows = await Reservation.getBusyIntervals(equipmentList.map(e => e.id), new Date(from), new Date(until));
+    const busyByEquipment = new Map(equipmentList.map(e => [e.id, []]));
+    for (const row of busyRows) {
+        busyByEquipment.get(row.equipment_id).push({
+            start: new Date(row.start_time).getTime(),
+            end: new Date(row.end_time).getTime(),
+        });
+    }
+
+    const candidates = [];
+    // Each day starts at its own local midnight (days are 23 or 25 hours long across DST changes)
+    for (let day = getLocalMidnight(new Date(from)).getTime(); day < until; day = getLocalMidnight(new Date(day), 1).getTime()) {
+        if (weekdays && !weekdays.includes(getLocalDay(new Date(day)).weekday)) {
+            continue;
+        }
+
+        const segmentStart = Math.max(day + earliestMinutes * MINUTE_MS, from);
+        const segmentEnd = Math.min(day + latestMinutes * MINUTE_MS, until);
+        if (segmentEnd - segmentStart < durationMs) {
+            continue;
+        }
+
+        for (const equipment of equipmentList) {
+            for (const piece of subtractBusy(segmentStart, segmentEnd, busyByEquipment.get(equipment.id))) {
+                // Start on a step boundary counted from local midnight (e.g. :00 / :30)
+                const start = day + Math.ceil((piece.start - day) / stepMs) * stepMs;
+                if (start + durationMs <= piece.end) {
+                    candidates.push({ equipment, start, freeMs: piece.end - piece.start });
+                }
+            }
+        }
+    }
+
+    candidates.sort((a, b) =>
+        a.start - b.start ||
+        a.freeMs - b.freeMs ||
+        a.equipment.name.localeCompare(b.equipment.name));
+
+    const slots = [];
+    for (const candidate of candidates.slice(0, MAX_POLICY_CHECKS)) {
+        const start = new Date(candidate.start);
+        const end = new Date(candidate.start + durationMs);
+        const violations = await checkBookingPolicy(candidate.equipment.id, user, start, end);
+        if (violations.length > 0) {
+            continue;
+        }
+
+        slots.push({
+            rank: slots.length + 1,
+            equipment_id: candidate.equipment.id,
+            equipment_name: candidate.equipment.name,
+            location: candidate.equipment.location,
+            start_time: start.toISOString(),
+            end_time: end.toISOString(),
+            free_minutes: Math.round(candidate.freeMs / MINUTE_MS),
+        });
+        if (slots.length >= limit) {
+            break;
+        }
+    }
+
+    return slots;
+};
+
+module.exports = {
+    getBookableEquipmentIds,
+    findFreeSlots,
+};
@@ -0,0 +1,109 @@
+// 장비 사용료 정산
+// 예약별 사용 시간에 요금(장비 × 신분)을 적용해 소속 또는 연수책임자 단위 청구서로 묶습니다.
+
+const EquipmentRate = require('../models/EquipmentRate');
+
+const DEFAULT_ROLE = EquipmentRate.DEFAULT_ROLE;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * 예약자 신분에 맞는 요금 찾기 (신분별 요금이 없으면 장비 기본 요금)
+ * @param {Array<Object>} rates - equipment_rates 행 목록
+ * @param {number} equipmentId - 장비 ID
+ * @param {string} userRole - 예약자 신분
+ * @returns {Object|null}
+ */
+const findRate = (rates, equipmentId, userRole) =>
+    rates.find(r => r.equipment_id === equipmentId && r.user_role === userRole) ||
+    rates.find(r => r.equipment_id === equipmentId && r.user_role === DEFAULT_ROLE) ||
+    null;
+
+/**
+ * 예약 1건의 청구 금액 계산
+ * 사용 시간은 rounding_minutes 단위로 올림하고, 최소 청구액보다 적으면 최소 청구액을 적용합니다.
+ * @param {Object} reservation - start_time, end_time
+ * @param {Object} rate - hourly_rate, minimum_charge, rounding_minutes
+ * @returns {{ billedHours: number, hourlyRate: number, amount: number }}
+ */
+const priceReservation = (reservation, rate) => {
+    let minutes = (new Date(reservation.end_time) - new Date(reservation.start_time)) / 60000;
+    const rounding = Number(rate.rounding_minutes) || 0;
+    if (rounding > 0) {
+        minutes = Math.ceil(minutes / rounding) * rounding;
+    }
+
+    const billedHours = roundMoney(minutes / 60);
+    const hourlyRate = Number(rate.hourly_rate);
+    const amount = roundMoney(Math.max(billedHours * hourlyRate, Number(rate.minimum_charge) || 0));
+
+    return { billedHours, hourlyRate, amount };
+};
+
+/**
+ * 청구 대상 예약을 청구서 단위로 집계
+ * @param {Array<Object>} reservations - Invoice.getBillableReservations 결과
+ * @param {Array<Object>} rates - equipment_rates 행 목록
+ * @param {Object} options - { startDate, endDate, groupBy: 'department' | 'supervisor' }
+ * @returns {{ invoices: Array<Object>, unrated: Array<Object> }} - 청구서 목록, 요금 미설정 예약
+ */
+const computeInvoices = (reservations, rates, { startDate, endDate, groupBy = 'department' }) => {
+    const groups = new Map();
+    const unrated = [];
+
+    for (const reservation of reservations) {
+        const rate = findRate(rates, reservation.equipment_id, reservation.user_role);
+        if (!rate) {
+            unrated.push({
+                reservationId: reservation.id,
+                equipmentId: reservation.equipment_id,
+                equipmentName: reservation.equipment_name,
+                username: reservation.username
+            });
+            continue;
+        }
+
+        const groupKey = reservation[groupBy] || '(미지정)';
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, {
+                periodStart: startDate,
+                periodEnd: endDate,
+                groupType: groupBy,
+                groupKey,
+                totalHours: 0,
+                totalAmount: 0,
+                lines: []
+            });
+        }
+
+        const invoice = groups.get(groupKey);
+        const { billedHours, hourlyRate, amount } = priceReservation(reservation, rate);
+        invoice.lines.push({
+            reservationId: reservation.id,
+            equipmentId: reservation.equipment_id,
+            equipmentName: reservation.equipment_name,
+            userId: reservation.user_id,
+            username: reservation.username,
+            department: reservation.department,
+            supervisor: reservation.supervisor,
+            userRole: reservation.user_role,
+            startTime: reservation.start_time,
+            endTime: reservation.end_time,
+            billedHours,
+            hourlyRate,
+            amount
+        });
+        invoice.totalHours = roundMoney(invoice.totalHours + billedHours);
+        invoice.totalAmount = roundMoney(invoice.totalAmount + amount);
+    }
+
+    return {
+        invoices: [...groups.values()].sort((a, b) => String(a.groupKey).localeCompare(String(b.groupKey))),
+        unrated
+    };
+};
+
+module.exports = {
+    priceReservation,
+    computeInvoices,
+};
@@ -0,0 +1,166 @@
+// 장비별 예약 규칙 검사
+// 최소/최대 사용 시간, 예약 가능 기간, 최소 사전 예약 시간, 주간 사용 한도, 허용 요일/시간대를 확인합니다.
+// 요일과 시간대는 APP_TIMEZONE 기준입니다.
+
+const BookingPolicy = require('../models/BookingPolicy');
+const Permission = require('../models/Permission');
+const Reservation = require('../models/Reservation');
+const { getLocalDay } = require('./recurrence');
+const { CAPABILITIES, hasCapability } = require('./capabilities');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * 예약 시작 시각이 속한 주(월요일 00:00 ~ 다음 월요일 00:00)
+ * @param {Date} start - 예약 시작 시각
+ * @returns {{ weekStart: Date, weekEnd: Date }}
+ */
+const getWeekRange = (start) => {
+    const local = getLocalDay(start);
+    const daysSinceMonday = (local.weekday + 6) % 7;
+    const weekStart = new Date(start.getTime() - daysSinceMonday * DAY_MS - local.minutes * 60000);
+    weekStart.setSeconds(0, 0);
+    return { weekStart, weekEnd: new Date(weekStart.getTime() + 7 * DAY_MS) };
+};
+
+/**
+ * 규칙 검사 (DB 조회 없음)
+ * @param {Object} policy - booking_policies 행
+ * @param {Object} booking - { start: Date, end: Date, now: Date, weeklyHours: number } (weeklyHours: 이 예약을 제외한 같은 주 사용 시간)
+ * @returns {Array<{ rule: string, message: string, limit: *, actual: * }>} - 위반 목록
+ */
+const evaluatePolicy = (policy, { start, end, now, weeklyHours = 0 }) => {
+    const violations = [];
+    const durationMinutes = (end - start) / 60000;
+
+    if (isSet(policy.min_duration_minutes) && durationMinutes < policy.min_duration_minutes) {
+        violations.push({
+            rule: 'min_duration',
+            message: `최소 ${policy.min_duration_minutes}분 이상 예약해야 합니다.`,
+            limit: policy.min_duration_minutes,
+            actual: durationMinutes
+        });
+    }
+
+    if (isSet(policy.max_duration_minutes) && durationMinutes > policy.max_duration_minutes) {
+        violations.push({
+            rule: 'max_duration',
+            message: `한 번에 최대 ${policy.max_duration_minutes}분까지 예약할 수 있습니다.`,
+            limit: policy.max_duration_minutes,
+            actual: durationMinutes
+        });
+    }
+
+    if (isSet(policy.max_advance_days) && start - now > policy.max_advance_days * DAY_MS) {
+        violations.push({
+            rule: 'max_advance',
+            message: `최대 ${policy.max_advance_days}일 이후까지만 예약할 수 있습니다.`,
+            limit: policy.max_advance_days,
+            actual: Math.ceil((start - now) / DAY_MS)
+        });
+    }
+
+    if (isSet(policy.min_notice_minutes) && start - now < policy.min_notice_minutes * 60000) {
+        violations.push({
+            rule: 'min_notice',
+            message: `예약은 시작 ${policy.min_notice_minutes}분 전까지 해야 합니다.`,
+            limit: policy.min_notice_minutes,
+            actual: Math.floor((start - now) / 60000)
+        });
+    }
+
+    if (isSet(policy.weekly_quota_hours)) {
+        const totalHours = Math.round((weeklyHours + durationMinutes / 60) * 100) / 100;
+        if (totalHours > Number(policy.weekly_quota_hours)) {
+            violations.push({
+                rule: 'weekly_quota',
+                message: `주간 사용 한도(${Number(policy.weekly_quota_hours)}시간)를 초과합니다.`,
+                limit: Number(policy.weekly_quota_hours),
+                actual: totalHours
+            });
+        }
+    }
+
+    const localStart = getLocalDay(start);
+
+    if (policy.allowed_weekdays && policy.allowed_weekdays.length > 0 &&
+        !policy.allowed_weekdays.includes(localStart.weekday)) {
+        violations.push({
+            rule: 'allowed_weekdays',
+            message: `예약 가능한 요일이 아닙니다. (가능: ${policy.allowed_weekdays.map(d => WEEKDAY_LABELS[d]).join(', ')})`,
+            limit: policy.allowed_weekdays,
+            actual: localStart.weekday
+        });
+    }
+
+    if (isSet(policy.allowed_start_hour) || isSet(policy.allowed_end_hour)) {
+        const startHour = isSet(policy.allowed_start_hour) ? policy.allowed_start_hour : 0;
+        const endHour = isSet(policy.allowed_end_hour) ? policy.allowed_end_hour : 24;
+        const localEnd = getLocalDay(end);
+
+        // End exactly at midnight of the next day counts as 24:00 of the start day
+        const endsAtMidnight = localEnd.minutes === 0 && end - start <= DAY_MS &&
+            localEnd.date !== localStart.date;
+        const endMinutes = endsAtMidnight ? 24 * 60 : localEnd.minutes;
+        const sameDay = localEnd.date === localStart.date || endsAtMidnight;
+
+        if (!sameDay || localStart.minutes < startHour * 60 || endMinutes > endHour * 60) {
+            violations.push({
+                rule: 'allowed_hours',
+                message: `${startHour}시~${endHour}시 사이에만 예약할 수 있습니다.`,
+                limit: [startHour, endHour],
+                actual: [localStart.minutes / 60, endMinutes / 60]
+            });
+        }
+    }
+
+    return violations;
+};
+
+/**
+ * 예약자에게 적용되는 규칙으로 예약 검사
+ * 규칙 면제 권한(policy.exempt)이 있으면 적용받지 않으며, 권한이 없는 사용자는 일반사용자(normal) 규칙을 적용받습니다.
+ * @param {number} equipmentId - 장비 ID
+ * @param {Object} user - { id, user_role }
+ * @param {Date|string} startTime - 예약 시작
+ * @param {Date|string} endTime - 예약 종료
+ * @param {number|null} excludeReservationId - 수정 중인 예약 (주간 한도 계산에서 제외)
+ * @param {Array<{ start: Date, end: Date }>} pendingBookings - 같은 요청에서 먼저 통과한 예약 (반복 예약 등, 아직 DB에 없지만 주간 한도에 포함)
+ * @returns {Array<Object>} - 위반 목록 (없으면 빈 배열)
+ */
+const checkBookingPolicy = async (equipmentId, user, startTime, endTime, excludeReservationId = null, pendingBookings = []) => {
+    if (await hasCapability(user, CAPABILITIES.POLICY_EXEMPT)) {
+        return [];
+    }
+
+    const permission = await Permission.hasPermission(equipmentId, user.id);
+    const level = permission ? permission.permission_level : Permission.LEVELS.NORMAL;
+    const policy = await BookingPolicy.findApplicable(equipmentId, level);
+    if (!policy) {
+        return [];
+    }
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    let weeklyHours = 0;
+    if (isSet(policy.weekly_quota_hours)) {
+        const { weekStart, weekEnd } = getWeekRange(start);
+        weeklyHours = await Reservation.getUserHoursInRange(user.id, equipmentId, weekStart, weekEnd, excludeReservationId);
+        for (const booking of pendingBookings) {
+            if (booking.start >= weekStart && booking.start < weekEnd) {
+                weeklyHours += (booking.end - booking.start) / (60 * 60 * 1000);
+            }
+        }
+    }
+
+    return evaluatePolicy(policy, { start, end, now: new Date(), weeklyHours });
+};
+
+module.exports = {
+    evaluatePolicy,
+    checkBookingPolicy,
+};
@@ -0,0 +1,438 @@
+// 사용자 / 장비 / 장비 사용 권한 일괄 등록
+// 파일 전체를 먼저 검사해 행 단위 오류를 돌려주고(dry-run), 오류가 없을 때만 한 트랜잭션으로 등록합니다.
+// 사용자 등록 시 만든 임시 비밀번호는 결과 파일로만 전달되며, 첫 로그인에서 바꾸도록 설정됩니다.
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Equipment = require('../models/Equipment');
+const EquipmentCategory = require('../models/EquipmentCategory');
+const Permission = require('../models/Permission');
+const { validatePassword } = require('./password');
+const { CAPABILITIES, hasCapability } = require('./capabilities');
+
+const MAX_ROWS = 2000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SUPERVISED_ROLES = ['intern', 'student'];
+
+// Accepted header names per field (English or the Korean labels used on screen)
+const USER_COLUMNS = {
+    username: ['username', 'name', '이름'],
+    email: ['email', '이메일'],
+    department: ['department', '소속', '부서'],
+    phone: ['phone', '연락처', '전화번호'],
+    user_role: ['user_role', 'role', '신분'],
+    supervisor: ['supervisor', '연수책임자'],
+};
+
+const EQUIPMENT_COLUMNS = {
+    name: ['name', '장비명', '이름'],
+    description: ['description', '설명'],
+    location: ['location', '위치'],
+    status: ['status', '상태'],
+    category: ['category', '분류'],
+    tags: ['tags', '태그'],
+    specs: ['specs', '사양'],
+};
+
+const PERMISSION_COLUMNS = {
+    user: ['user', 'email', 'username', '사용자', '이메일', '이름'],
+    equipment: ['equipment', '장비', '장비명'],
+    permission_level: ['permission_level', 'level', '권한'],
+};
+
+const ROLE_ALIASES = {
+    인턴: 'intern',
+    학생연구원: 'student',
+    학생: 'student',
+    직원: 'staff',
+    장비담당자: 'equipment_manager',
+    관리자: 'admin',
+};
+
+const STATUS_ALIASES = {
+    사용가능: 'available',
+    점검중: 'maintenance',
+};
+
+const LEVEL_ALIASES = {
+    일반: 'normal',
+    일반사용자: 'normal',
+    자율: 'autonomous',
+    자율사용자: 'autonomous',
+    담당: 'manager',
+    장비담당자: 'manager',
+};
+
+// Header → column index for each field (null when the file has no such column)
+const mapColumns = (headers, columns) => {
+    const normalized = headers.map(header => header.toLowerCase().replace(/\s+/g, ''));
+    return Object.fromEntries(Object.entries(columns).map(([field, aliases]) => {
+        const index = normalized.findIndex(header => aliases.includes(header));
+        return [field, index >= 0 ? index : null];
+    }));
+};
+
+const cellOf = (row, index) => (index === null ? '' : row.cells[index] || '');
+
+// Code or on-screen label → code (null when unknown)
+const fromAlias = (value, codes, aliases) => {
+    const compact = value.replace(/\s+/g, '');
+    if (codes.includes(compact.toLowerCase())) {
+        return compact.toLowerCase();
+    }
+    return aliases[compact] || null;
+};
+
+// Check required headers; returns file-level errors
+const missingColumns = (columnIndex, required, columns) => required
+    .filter(field => columnIndex[field] === null)
+    .map(field => ({ row: null, column: field, message: `'${columns[field][0]}' 열이 없습니다. (${columns[field].join(', ')})` }));
+
+/**
+ * 임시 비밀번호 생성 (비밀번호 규칙을 만족하는 12자)
+ * @returns {string}
+ */
+const generateTemporaryPassword = () => {
+    let password;
+    do {
+        password = crypto.randomBytes(9).toString('base64').replace(/[+/]/g, '');
+    } while (validatePassword(password) !== null);
+    return password;
+};
+
+// "배율=x1000; 진공도=1e-6 Torr" (or "key: value") → specs object
+const parseSpecs = (text) => {
+    const specs = {};
+    for (const part of text.split(/[;\n]/).map(p => p.trim()).filter(Boolean)) {
+        const match = part.match(/^([^=:]+)[=:](.*)$/);
+        if (!match || match[1].trim() === '') {
+            return null;
+        }
+        specs[match[1].trim()] = match[2].trim();
+    }
+    return specs;
+};
+
+const validateUsers = async ({ headers, rows }) => {
+    const columnIndex = mapColumns(headers, USER_COLUMNS);
+    const errors = missingColumns(columnIndex, ['username', 'email', 'department', 'user_role'], USER_COLUMNS);
+    if (errors.length > 0) {
+        return { errors, records: [] };
+    }
+
+    const records = rows.map(row => ({
+        rowNumber: row.rowNumber,
+        username: cellOf(row, columnIndex.username),
+        email: cellOf(row, columnIndex.email),
+        department: cellOf(row, columnIndex.department),
+        phone: cellOf(row, columnIndex.phone) || null,
+        user_role: fromAlias(cellOf(row, columnIndex.user_role), User.ROLES, ROLE_ALIASES),
+        role_text: cellOf(row, columnIndex.user_role),
+        supervisor: cellOf(row, columnIndex.supervisor) || null
+    }));
+
+    const existing = await User.findExisting(records.map(r => r.email), records.map(r => r.username));
+    const takenEmails = new Set(existing.map(u => u.email.toLowerCase()));
+    const takenNames = new Set(existing.map(u => u.username.toLowerCase()));
+    const seenEmails = new Set();
+    const seenNames = new Set();
+
+    for (const record of records) {
+        const error = (column, message) => errors.push({ row: record.rowNumber, column, message });
+        const email = record.email.toLowerCase();
+        const username = record.username.toLowerCase();
+
+        if (!record.username) {
+            error('username', '이름은 필수입니다.');
+        } else if (takenNames.has(username)) {
+            error('username', '이미 사용 중인 이름입니다.');
+        } else if (seenNames.has(username)) {
+            error('username', '파일 안에 같은 이름이 있습니다.');
+        }
+
+        if (!EMAIL_PATTERN.test(record.email)) {
+            error('email', '이메일 형식이 올바르지 않습니다.');
+        } else if (takenEmails.has(email)) {
+            error('email', '이미 등록된 이메일입니다.');
+        } else if (seenEmails.has(email)) {
+            error('email', '파일 안에 같은 이메일이 있습니다.');
+        }
+
+        if (!record.department) {
+            error('department', '소속은 필수입니다.');
+        } else if (record.department.length > 50) {
+            error('department', '소속은 50자까지 입력할 수 있습니다.');
+        }
+
+        if (record.phone && record.phone.length > 20) {
+            error('phone', '연락처는 20자까지 입력할 수 있습니다.');
+        }
+
+        if (!record.user_role) {
+            error('user_role', record.role_text ? `유효하지 않은 신분입니다: ${record.role_text}` : '신분은 필수입니다.');
+        } else if (SUPERVISED_ROLES.includes(record.user_role) && !record.supervisor) {
+            error('supervisor', '인턴/학생연구원은 연수책임자를 입력해야 합니다.');
+        }
+
+        seenEmails.add(email);
+        seenNames.add(username);
+    }
+
+    return { errors, records };
+};
+
+const commitUsers = async (records) => {
+    const users = records.map(record => ({ ...record, password: generateTemporaryPassword() }));
+    const ids = await User.importMany(users);
+    return users.map((user, index) => ({
+        row: user.rowNumber,
+        id: ids[index],
+        username: user.username,
+        email: user.email,
+        user_role: user.user_role,
+        temporary_password: user.password
+    }));
+};
+
+const validateEquipment = async ({ headers, rows }) => {
+    const columnIndex = mapColumns(headers, EQUIPMENT_COLUMNS);
+    const errors = missingColumns(columnIndex, ['name'], EQUIPMENT_COLUMNS);
+    if (errors.length > 0) {
+        return { errors, records: [] };
+    }
+
+    const categories = new Map((await EquipmentCategory.getAll()).map(c => [c.name, c.id]));
+    const names = rows.map(row => cellOf(row, columnIndex.name));
+    const existing = new Set((await Equipment.findByNames(names)).map(e => e.name));
+    const seen = new Set();
+    const records = [];
+
+    for (const row of rows) {
+        const error = (column, message) => errors.push({ row: row.rowNumber, column, message });
+        const name = cellOf(row, columnIndex.name);
+        const statusText = cellOf(row, columnIndex.status);
+        const categoryName = cellOf(row, columnIndex.category);
+        const tags = Equipment.normalizeTags(cellOf(row, columnIndex.tags).split(/[,;]/));
+        const specsText = cellOf(row, columnIndex.specs);
+        const specs = specsText ? parseSpecs(specsText) : {};
+
+        if (!name) {
+            error('name', '장비명은 필수입니다.');
+        } else if (existing.has(name)) {
+            error('name', '이미 등록된 장비입니다.');
+        } else if (seen.has(name)) {
+            error('name', '파일 안에 같은 장비명이 있습니다.');
+        }
+        seen.add(name);
+
+        const status = statusText ? fromAlias(statusText, ['available', 'maintenance'], STATUS_ALIASES) : 'available';
+        if (!status) {
+            error('status', `유효하지 않은 상태입니다: ${statusText}`);
+        }
+
+        if (categoryName && !categories.has(categoryName)) {
+            error('category', `등록되지 않은 분류입니다: ${categoryName}`);
+        }
+
+        if (tags.length > Equipment.MAX_TAGS || tags.some(tag => tag.length > Equipment.MAX_TAG_LENGTH)) {
+            error('tags', `태그는 ${Equipment.MAX_TAGS}개, 각 ${Equipment.MAX_TAG_LENGTH}자까지 입력할 수 있습니다.`);
+        }
+
+        if (!specs) {
+            error('specs', '사양은 "항목=값; 항목=값" 형식으로 입력해주세요.');
+        } else if (Object.keys(specs).length > Equipment.MAX_SPECS) {
+            error('specs', `사양은 ${Equipment.MAX_SPECS}개까지 입력할 수 있습니다.`);
+        }
+
+        records.push({
+            rowNumber: row.rowNumber,
+            name,
+            description: cellOf(row, columnIndex.description) || null,
+            location: cellOf(row, columnIndex.location) || null,
+            status,
+            category_id: categoryName ? categories.get(categoryName) || null : null,
+            tags,
+            specs: specs || {}
+        });
+    }
+
+    return { errors, records };
+};
+
+const commitEquipment = async (records) => {
+    const ids = await Equipment.importMany(records);
+    return records.map((record, index) => ({
+        row: record.rowNumber,
+        id: ids[index],
+        name: record.name,
+        location: record.location,
+        status: record.status
+    }));
+};
+
+// Long layout (user, equipment, level per row) or matrix (users down, one column per equipment, level in cells)
+const permissionEntries = (headers, rows) => {
+    const columnIndex = mapColumns(headers, PERMISSION_COLUMNS);
+    if (columnIndex.equipment !== null && columnIndex.permission_level !== null && columnIndex.user !== null) {
+        return {
+            entries: rows.map(row => ({
+                rowNumber: row.rowNumber,
+                user: cellOf(row, columnIndex.user),
+                equipment: cellOf(row, columnIndex.equipment),
+                level: cellOf(row, columnIndex.permission_level)
+            }))
+        };
+    }
+
+    if (headers.length < 2) {
+        return { error: '사용자 열과 장비 열이 필요합니다. (user, equipment, level 형식 또는 사용자 × 장비 표)' };
+    }
+    const entries = [];
+    for (const row of rows) {
+        headers.slice(1).forEach((equipment, offset) => {
+            const level = row.cells[offset + 1] || '';
+            if (level !== '') {
+                entries.push({ rowNumber: row.rowNumber, user: row.cells[0] || '', equipment, level });
+            }
+        });
+    }
+    return { entries };
+};
+
+const validatePermissions = async ({ headers, rows }, actor) => {
+    const { entries, error: layoutError } = permissionEntries(headers, rows);
+    if (layoutError) {
+        return { errors: [{ row: null, column: null, message: layoutError }], records: [] };
+    }
+
+    const users = await User.findExisting(entries.map(e => e.user), entries.map(e => e.user));
+    const userByKey = new Map();
+    users.forEach(user => {
+        userByKey.set(user.email.toLowerCase(), user);
+        userByKey.set(user.username.toLowerCase(), user);
+    });
+    const equipmentByName = new Map((await Equipment.findByNames(entries.map(e => e.equipment))).map(e => [e.name, e]));
+    const canGrantManager = await hasCapability(actor, CAPABILITIES.PERMISSION_GRANT_MANAGER);
+    const levels = Object.values(Permission.LEVELS);
+
+    const errors = [];
+    const records = [];
+    const seen = new Set();
+    for (const entry of entries) {
+        const error = (column, message) => errors.push({ row: entry.rowNumber, column, message });
+        const user = userByKey.get(entry.user.toLowerCase());
+        const equipment = equipmentByName.get(entry.equipment);
+        const level = fromAlias(entry.level, levels, LEVEL_ALIASES);
+
+        if (!user || user.archived_at) {
+            error('user', `등록되지 않은 사용자입니다: ${entry.user}`);
+        }
+        if (!equipment) {
+            error('equipment', `등록되지 않은 장비입니다: ${entry.equipment}`);
+        }
+        if (!level) {
+            error('permission_level', `유효하지 않은 권한입니다: ${entry.level} (${levels.join(', ')})`);
+        }
+        if (!user || !equipment || !level) {
+            continue;
+        }
+
+        const key = `${user.id}:${equipment.id}`;
+        if (seen.has(key)) {
+            error('equipment', '같은 사용자 × 장비가 두 번 들어 있습니다.');
+            continue;
+        }
+        seen.add(key);
+
+        const current = await Permission.hasPermission(equipment.id, user.id);
+        const touchesManager = level === Permission.LEVELS.MANAGER ||
+            (current && current.permission_level === Permission.LEVELS.MANAGER);
+        if (touchesManager && !canGrantManager) {
+            error('permission_level', '장비담당자 권한은 관리자만 부여할 수 있습니다.');
+            continue;
+        }
+
+        records.push({
+            rowNumber: entry.rowNumber,
+            user_id: user.id,
+            username: user.username,
+            email: user.email,
+            equipment_id: equipment.id,
+            equipment_name: equipment.name,
+            permission_level: level,
+            previous_level: current ? current.permission_level : null
+        });
+    }
+
+    return { errors, records };
+};
+
+const commitPermissions = async (records, actor) => {
+    await Permission.importMany(records, actor.id);
+    return records.map(record => ({
+        row: record.rowNumber,
+        username: record.username,
+        email: record.email,
+        equipment: record.equipment_name,
+        permission_level: record.permission_level,
+        previous_level: record.previous_level
+    }));
+};
+
+// Import types: capability, validation/commit and the columns of the template and result files
+const IMPORT_TYPES = {
+    users: {
+        capability: CAPABILITIES.USER_MANAGE,
+        validate: validateUsers,
+        commit: commitUsers,
+        templateColumns: ['username', 'email', 'department', 'phone', 'user_role', 'supervisor'],
+        resultColumns: ['row', 'id', 'username', 'email', 'user_role', 'temporary_password'],
+    },
+    equipment: {
+        capability: CAPABILITIES.EQUIPMENT_CREATE,
+        validate: validateEquipment,
+        commit: commitEquipment,
+        templateColumns: ['name', 'description', 'location', 'status', 'category', 'tags', 'specs'],
+        resultColumns: ['row', 'id', 'name', 'location', 'status'],
+    },
+    permissions: {
+        capability: CAPABILITIES.PERMISSION_MANAGE,
+        validate: validatePermissions,
+        commit: commitPermissions,
+        templateColumns: ['user', 'equipment', 'permission_level'],
+        resultColumns: ['row', 'username', 'email', 'equipment', 'permission_level', 'previous_level'],
+    },
+};
+
+/**
+ * 파일 검사 (dry-run)
+ * @param {string} type - 'users' | 'equipment' | 'permissions'
+ * @param {{ headers: string[], rows: Object[] }} sheet - readSpreadsheet 결과
+ * @param {Object} actor - 요청한 사용자 (req.user)
+ * @returns {{ errors: Array<{ row: number|null, column: string|null, message: string }>, records: Object[] }}
+ */
+const validateImport = async (type, sheet, actor) => {
+    if (sheet.rows.length === 0) {
+        return { errors: [{ row: null, column: null, message: '등록할 행이 없습니다.' }], records: [] };
+    }
+    if (sheet.rows.length > MAX_ROWS) {
+        return { errors: [{ row: null, column: null, message: `한 번에 ${MAX_ROWS}행까지 가져올 수 있습니다.` }], records: [] };
+    }
+    return await IMPORT_TYPES[type].validate(sheet, actor);
+};
+
+/**
+ * 검사를 통과한 행 등록 (한 트랜잭션)
+ * @param {string} type - 가져오기 종류
+ * @param {Object[]} records - validateImport의 records
+ * @param {Object} actor - 요청한 사용자
+ * @returns {Object[]} - 결과 파일 행
+ */
+const commitImport = async (type, records, actor) => await IMPORT_TYPES[type].commit(records, actor);
+
+module.exports = {
+    IMPORT_TYPES,
+    MAX_ROWS,
+    validateImport,
+    commitImport,
+};
@@ -0,0 +1,125 @@
+// 권한(capability) 모델
+// 모든 권한 검사는 이 파일의 정의를 기준으로 합니다. 신분(user_role)별 전역 권한과,
+// 장비담당자에게 담당 장비 범위로만 주어지는 권한(EQUIPMENT_SCOPED)으로 나뉩니다.
+
+const Permission = require('../models/Permission');
+const { query, get } = require('../config/database');
+
+const CAPABILITIES = {
+    USER_MANAGE: 'user.manage',                     // 사용자 조회/수정/삭제, 가입 승인, 잠금 해제
+    SETTINGS_MANAGE: 'settings.manage',             // 시스템 설정 (2FA 필수 여부 등)
+    AUDIT_VIEW: 'audit.view',                       // 감사 로그 조회/내보내기
+    STATS_VIEW: 'stats.view',                       // 전체 통계
+    BILLING_MANAGE: 'billing.manage',               // 요금/청구서
+    NOTIFICATION_MANAGE: 'notification.manage',     // 메일 발송 대기열, 예약 알림 실행
+    EQUIPMENT_CREATE: 'equipment.create',           // 장비 등록
+    EQUIPMENT_DELETE: 'equipment.delete',           // 장비 삭제
+    EQUIPMENT_EDIT: 'equipment.edit',               // 장비 정보/상태/파일/분류 수정
+    CATEGORY_MANAGE: 'category.manage',             // 장비 분류 목록 관리
+    RESERVATION_VIEW_ALL: 'reservation.view_all',   // 전체 예약 목록
+    RESERVATION_APPROVE: 'reservation.approve',     // 승인/반려, 예약 규칙 예외 승인
+    RESERVATION_MANAGE: 'reservation.manage',       // 다른 사람 예약 수정/취소/복구, 노쇼 처리
+    RESERVATION_DELETE: 'reservation.delete',       // 예약 영구 삭제
+    RESERVATION_AUTO_CONFIRM: 'reservation.auto_confirm', // 모든 장비에서 승인 없이 확정
+    PERMISSION_MANAGE: 'permission.manage',         // 장비 사용 권한 부여/변경/취소
+    PERMISSION_GRANT_MANAGER: 'permission.grant_manager', // 장비담당자 권한 부여
+    MAINTENANCE_MANAGE: 'maintenance.manage',       // 점검 일정
+    POLICY_MANAGE: 'policy.manage',                 // 장비별 예약 규칙
+    POLICY_EXEMPT: 'policy.exempt',                 // 예약 규칙을 적용받지 않음
+    WAITLIST_MANAGE: 'waitlist.manage',             // 대기열 관리
+    EQUIPMENT_LOG_MANAGE: 'equipment_log.manage',   // 다른 사람이 쓴 장비 이력 수정/삭제
+};
+
+// Global capabilities per user_role
+const ROLE_CAPABILITIES = {
+    admin: Object.values(CAPABILITIES),
+    equipment_manager: [],
+    staff: [],
+    intern: [],
+    student: [],
+};
+
+// Capabilities an equipment manager holds for the equipment they manage
+const EQUIPMENT_SCOPED = [
+    CAPABILITIES.EQUIPMENT_EDIT,
+    CAPABILITIES.RESERVATION_APPROVE,
+    CAPABILITIES.RESERVATION_MANAGE,
+    CAPABILITIES.PERMISSION_MANAGE,
+    CAPABILITIES.MAINTENANCE_MANAGE,
+    CAPABILITIES.POLICY_MANAGE,
+    CAPABILITIES.WAITLIST_MANAGE,
+    CAPABILITIES.EQUIPMENT_LOG_MANAGE,
+];
+
+/**
+ * 신분에 주어진 전역 권한 목록
+ * @param {string} userRole - user_role
+ * @returns {string[]}
+ */
+const getRoleCapabilities = (userRole) => ROLE_CAPABILITIES[userRole] || [];
+
+/**
+ * 장비 담당 여부 (장비담당자 권한, 또는 장비담당자 신분 + equipment.manager_id 지정)
+ * @param {number} equipmentId - 장비 ID
+ * @param {{ id: number, user_role: string }} user - 사용자
+ * @returns {boolean}
+ */
+const managesEquipment = async (equipmentId, user) => {
+    if (await Permission.canManageEquipment(equipmentId, user.id)) {
+        return true;
+    }
+    if (user.user_role === 'equipment_manager') {
+        const equipment = await get('SELECT manager_id FROM equipment WHERE id = $1', [equipmentId]);
+        return !!equipment && equipment.manager_id === user.id;
+    }
+    return false;
+};
+
+/**
+ * 권한 확인
+ * @param {{ id: number, user_role: string }} user - 사용자 (req.user)
+ * @param {string} capability - CAPABILITIES 값
+ * @param {number} equipmentId - 장비 범위 권한일 때 대상 장비 (없으면 전역 권한만 확인)
+ * @returns {boolean}
+ */
+const hasCapability = async (user, capability, equipmentId = null) => {
+    if (!user) {
+        return false;
+    }
+    if (getRoleCapabilities(user.user_role).includes(capability)) {
+        return true;
+    }
+    if (equipmentId && EQUIPMENT_SCOPED.includes(capability)) {
+        return await managesEquipment(equipmentId, user);
+    }
+    return false;
+};
+
+/**
+ * 권한이 미치는 장비 범위
+ * @param {{ id: number, user_role: string }} user - 사용자
+ * @param {string} capability - CAPABILITIES 값
+ * @returns {number[]|null} - 전역 권한이면 null (모든 장비), 아니면 담당 장비 ID 목록
+ */
+const getScopedEquipmentIds = async (user, capability) => {
+    if (getRoleCapabilities(user.user_role).includes(capability)) {
+        return null;
+    }
+    if (!EQUIPMENT_SCOPED.includes(capability)) {
+        return [];
+    }
+    const rows = await query(`
+        SELECT equipment_id as id FROM equipment_permissions WHERE user_id = $1 AND permission_level = 'manager'
+        UNION
+        SELECT id FROM equipment WHERE manager_id = $1 AND $2 = 'equipment_manager'
+    `, [user.id, user.user_role]);
+    return rows.map(row => row.id);
+};
+
+module.exports = {
+    CAPABILITIES,
+    EQUIPMENT_SCOPED,
+    getRoleCapabilities,
+    hasCapability,
+    getScopedEquipmentIds,
+};
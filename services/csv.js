@@ -0,0 +1,61 @@
+// CSV 생성 (Excel에서 한글이 깨지지 않도록 UTF-8 BOM 포함)
+
+const BOM = '\uFEFF';
+
+/**
+ * 셀 텍스트로 변환 (=, +, -, @, 탭, CR로 시작하는 텍스트는 '를 붙여 스프레드시트가 수식으로 실행하지 않게 함)
+ * @param {*} value - 셀 값
+ * @returns {string}
+ */
+const safeCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    const text = String(value);
+    return /^[=+\-@\t\r]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+};
+
+/**
+ * 값 하나를 CSV 필드로 변환 (쉼표, 따옴표, 줄바꿈 포함 시 따옴표 처리)
+ * @param {*} value - 필드 값
+ * @returns {string}
+ */
+const escapeField = (value) => {
+    const text = safeCell(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 행 목록을 CSV 문자열로 변환
+ * @param {Array<{ key: string, header: string }>} columns - 출력할 컬럼
+ * @param {Array<Object>} rows - 데이터 행
+ * @returns {string} - BOM이 포함된 CSV
+ */
+const toCsv = (columns, rows) => {
+    const lines = [columns.map(c => escapeField(c.header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(c => escapeField(row[c.key])).join(','));
+    }
+    return BOM + lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * CSV 파일 다운로드 응답
+ * @param {Object} res - Express response
+ * @param {string} filename - 파일명
+ * @param {string} csv - CSV 본문
+ */
+const sendCsv = (res, filename, csv) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+};
+
+module.exports = {
+    safeCell,
+    toCsv,
+    sendCsv,
+};
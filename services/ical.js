@@ -0,0 +1,114 @@
+// iCalendar (RFC 5545) 피드 생성
+// 시각은 모두 UTC(…Z)로 기록하고, 캘린더 앱 표시용으로 X-WR-TIMEZONE을 함께 제공합니다.
+
+const PRODUCT_ID = '-//Equipment Reservation System//KO';
+
+// 예약 상태 → iCalendar STATUS
+const STATUS_MAP = {
+    pending: 'TENTATIVE',
+    confirmed: 'CONFIRMED',
+    cancelled: 'CANCELLED',
+    rejected: 'CANCELLED',
+};
+
+/**
+ * TEXT 값 이스케이프 (\ ; , 줄바꿈)
+ * @param {string} value - 원본 문자열
+ * @returns {string}
+ */
+const escapeText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * 75 옥텟 단위 줄 접기 (한글 등 멀티바이트 문자를 자르지 않도록 문자 단위로 계산)
+ * @param {string} line - 콘텐츠 라인
+ * @returns {string}
+ */
+const foldLine = (line) => {
+    const chunks = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74; // 이어지는 줄은 앞의 공백 1옥텟 포함
+        if (bytes + size > limit) {
+            chunks.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+};
+
+/**
+ * Date → UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ * @param {Date|string} value - 시각
+ * @returns {string}
+ */
+const formatDateTime = (value) => new Date(value).toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * 예약 목록으로 VCALENDAR 문서 생성
+ * @param {string} calendarName - 캘린더 이름 (X-WR-CALNAME)
+ * @param {Array<Object>} events - { uid, start, end, summary, description, location, status, createdAt }
+ * @returns {string} - text/calendar 본문
+ */
+const buildCalendar = (calendarName, events) => {
+    const stamp = formatDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendarName)}`,
+        `X-WR-TIMEZONE:${process.env.APP_TIMEZONE || 'Asia/Seoul'}`,
+    ];
+
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatDateTime(event.start)}`,
+            `DTEND:${formatDateTime(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.location) {
+            lines.push(`LOCATION:${escapeText(event.location)}`);
+        }
+        if (event.createdAt) {
+            lines.push(`CREATED:${formatDateTime(event.createdAt)}`);
+        }
+        lines.push(`STATUS:${STATUS_MAP[event.status] || 'CONFIRMED'}`, 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * 예약 ID 기반의 고정 UID (피드를 다시 받아도 같은 이벤트로 인식)
+ * @param {number} reservationId - 예약 ID
+ * @returns {string}
+ */
+const reservationUid = (reservationId) =>
+    `reservation-${reservationId}@${process.env.ICAL_UID_DOMAIN || 'equipment-reservation'}`;
+
+module.exports = {
+    buildCalendar,
+    reservationUid,
+};
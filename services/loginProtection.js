@@ -0,0 +1,115 @@
+// 로그인 무차별 대입 방지
+// 계정(이메일)과 IP별 실패 횟수를 DB에 기록하므로 여러 서버리스 인스턴스에서도 같은 기준이 적용됩니다.
+// 실패가 쌓일수록 다음 시도까지 기다려야 하는 시간이 늘고, 기준 횟수에 도달하면 일정 시간 잠깁니다.
+
+const LoginAttempt = require('../models/LoginAttempt');
+
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_FAILURES = {
+    [LoginAttempt.TYPES.ACCOUNT]: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+    [LoginAttempt.TYPES.IP]: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+};
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * 실패 횟수에 따른 대기 시간 (2번째 실패부터 1, 2, 4, ... 초, 최대 60초)
+ * @param {number} failedCount - 윈도우 내 실패 횟수
+ * @returns {number} - 초
+ */
+const delaySeconds = (failedCount) => {
+    if (failedCount < 2) {
+        return 0;
+    }
+    return Math.min(Math.pow(2, failedCount - 2), MAX_DELAY_SECONDS);
+};
+
+/**
+ * 하나의 키(계정 또는 IP)에 대해 지금 로그인을 시도할 수 있는지 확인
+ * @param {Object|null} row - login_attempts 행
+ * @param {Date} now - 현재 시각
+ * @returns {{ reason: string, retryAfter: number }|null} - 막혀 있으면 사유와 남은 초
+ */
+const checkRow = (row, now) => {
+    if (!row) {
+        return null;
+    }
+
+    if (row.locked_until && new Date(row.locked_until) > now) {
+        return { reason: 'locked', retryAfter: Math.ceil((new Date(row.locked_until) - now) / 1000) };
+    }
+
+    const windowStart = new Date(now.getTime() - WINDOW_MINUTES * 60 * 1000);
+    if (new Date(row.first_failed_at) < windowStart) {
+        return null;
+    }
+
+    const nextAllowed = new Date(new Date(row.last_failed_at).getTime() + delaySeconds(row.failed_count) * 1000);
+    if (nextAllowed > now) {
+        return { reason: 'delay', retryAfter: Math.ceil((nextAllowed - now) / 1000) };
+    }
+
+    return null;
+};
+
+// Longest wait wins, and a lockout wins over a delay
+const strictest = (blocks) => blocks
+    .filter(Boolean)
+    .sort((a, b) => (a.reason === 'locked') - (b.reason === 'locked') || a.retryAfter - b.retryAfter)
+    .pop() || null;
+
+const accountKey = (email) => String(email).trim().toLowerCase();
+
+/**
+ * 로그인 시도 가능 여부 (계정/IP 중 하나라도 막혀 있으면 거부)
+ * @param {string} email - 입력한 이메일 (존재하지 않는 계정도 같은 방식으로 추적)
+ * @param {string} ip - 요청 IP
+ * @returns {{ reason: string, retryAfter: number }|null} - 거부 사유, 허용이면 null
+ */
+const checkLoginAllowed = async (email, ip) => {
+    const now = new Date();
+    const [accountRow, ipRow] = await Promise.all([
+        LoginAttempt.find(LoginAttempt.TYPES.ACCOUNT, accountKey(email)),
+        ip ? LoginAttempt.find(LoginAttempt.TYPES.IP, ip) : null,
+    ]);
+
+    return strictest([checkRow(accountRow, now), checkRow(ipRow, now)]);
+};
+
+/**
+ * 로그인 실패 기록
+ * @param {string} email - 입력한 이메일
+ * @param {string} ip - 요청 IP
+ * @returns {{ locked: boolean, retryAfter: number }} - 이번 실패로 잠겼는지, 다음 시도까지 남은 초
+ */
+const recordLoginFailure = async (email, ip) => {
+    const rows = await Promise.all([
+        LoginAttempt.recordFailure(LoginAttempt.TYPES.ACCOUNT, accountKey(email), WINDOW_MINUTES,
+            MAX_FAILURES[LoginAttempt.TYPES.ACCOUNT], LOCKOUT_MINUTES),
+        ip
+            ? LoginAttempt.recordFailure(LoginAttempt.TYPES.IP, ip, WINDOW_MINUTES,
+                MAX_FAILURES[LoginAttempt.TYPES.IP], LOCKOUT_MINUTES)
+            : null,
+    ]);
+
+    const now = new Date();
+    const block = strictest(rows.map(row => checkRow(row, now)));
+
+    return { locked: block?.reason === 'locked', retryAfter: block ? block.retryAfter : 0 };
+};
+
+/**
+ * 로그인 성공 시 계정 실패 기록 초기화 (IP 기록은 유지)
+ * @param {string} email - 로그인한 이메일
+ */
+const clearLoginFailures = async (email) => {
+    await LoginAttempt.clear(LoginAttempt.TYPES.ACCOUNT, accountKey(email));
+};
+
+module.exports = {
+    WINDOW_MINUTES,
+    accountKey,
+    checkLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+};
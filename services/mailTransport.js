@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 메일 발송 transport (MAIL_TRANSPORT 환경 변수로 선택)
+// - smtp: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, MAIL_FROM
+// - file: MAIL_FILE_PATH (기본: 임시 디렉토리의 mail-outbox.jsonl)에 한 줄씩 기록 (로컬 테스트용)
+// - console: 콘솔 출력 (기본값)
+
+let smtpTransporter = null;
+
+const getSmtpTransporter = () => {
+    if (!smtpTransporter) {
+        const nodemailer = require('nodemailer');
+        smtpTransporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined,
+        });
+    }
+    return smtpTransporter;
+};
+
+const transports = {
+    smtp: async (message) => {
+        if (!process.env.SMTP_HOST) {
+            throw new Error('SMTP_HOST is not configured');
+        }
+        await getSmtpTransporter().sendMail({
+            from: process.env.MAIL_FROM || process.env.SMTP_USER,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+        });
+    },
+
+    file: async (message) => {
+        const filePath = process.env.MAIL_FILE_PATH || path.join(os.tmpdir(), 'mail-outbox.jsonl');
+        const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n';
+        await fs.promises.appendFile(filePath, line, 'utf8');
+    },
+
+    console: async (message) => {
+        console.log(`📧 [mail] to=${message.to} subject=${message.subject}\n${message.text}`);
+    },
+};
+
+/**
+ * 설정된 transport로 메일 발송 (실패 시 예외 발생)
+ * @param {{ to: string, subject: string, text: string }} message - 메일 내용
+ */
+const sendMail = async (message) => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+    await transport(message);
+};
+
+module.exports = {
+    sendMail,
+};
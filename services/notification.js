@@ -0,0 +1,174 @@
+// 알림 발송
+// 요청 처리 중에는 큐(notification_queue)에 넣기만 하고, 실제 발송은 비동기로 처리하며 실패 시 재시도합니다.
+// 메일 서버 장애가 API 요청 실패로 이어지지 않도록 모든 오류는 기록만 합니다.
+
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const Reservation = require('../models/Reservation');
+const Permission = require('../models/Permission');
+const Equipment = require('../models/Equipment');
+const { renderTemplate, SECURITY_EVENTS } = require('./notificationTemplates');
+const { sendMail } = require('./mailTransport');
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_SECONDS = 60;
+
+/**
+ * 큐 처리: 발송 시각이 된 메일을 보내고, 실패하면 지수 백오프로 재시도 예약
+ * @param {number} limit - 한 번에 처리할 최대 건수
+ * @returns {{ sent: number, failed: number }}
+ */
+const processQueue = async (limit = 20) => {
+    let sent = 0;
+    let failed = 0;
+
+    await Notification.releaseStale();
+    const messages = await Notification.claimDue(limit);
+
+    for (const message of messages) {
+        try {
+            await sendMail({ to: message.to_email, subject: message.subject, text: message.body });
+            await Notification.markSent(message.id);
+            sent++;
+        } catch (error) {
+            const giveUp = message.attempts >= MAX_ATTEMPTS;
+            const delay = BASE_RETRY_SECONDS * Math.pow(2, message.attempts - 1);
+            await Notification.markFailed(message.id, error.message, delay, giveUp);
+            console.error(`Mail send failed (id=${message.id}, attempt ${message.attempts}):`, error.message);
+            failed++;
+        }
+    }
+
+    return { sent, failed };
+};
+
+// Process the queue after the current request without delaying its response
+const scheduleProcessing = () => {
+    setImmediate(() => {
+        processQueue().catch(error => console.error('Notification queue error:', error));
+    });
+};
+
+/**
+ * 사용자에게 알림 (수신 설정 확인 → 템플릿 렌더링 → 큐 등록, 보안 메일은 수신 설정과 무관하게 발송)
+ * @param {string} event - 템플릿 이벤트 이름
+ * @param {number} userId - 수신자
+ * @param {Object} data - 템플릿 데이터 (username은 자동으로 채워짐)
+ */
+const notifyUser = async (event, userId, data = {}) => {
+    try {
+        const user = await User.findById(userId);
+        if (!user || !user.email || user.archived_at) {
+            return;
+        }
+
+        const preference = await NotificationPreference.getByUser(userId);
+        const optedOut = !preference.email_enabled || (preference.disabled_events || []).includes(event);
+        if (optedOut && !SECURITY_EVENTS.includes(event)) {
+            return;
+        }
+
+        const { subject, text } = renderTemplate(event, preference.locale, { username: user.username, ...data });
+        await Notification.enqueue(user.id, user.email, event, subject, text);
+        scheduleProcessing();
+    } catch (error) {
+        console.error(`Notification error (${event}, user ${userId}):`, error);
+    }
+};
+
+/**
+ * 예약자에게 예약 관련 알림
+ * @param {string} event - reservation_* 이벤트
+ * @param {number} reservationId - 예약 ID
+ * @param {Object} extra - 추가 템플릿 데이터 (reason, cancelledBy 등)
+ */
+const notifyReservation = async (event, reservationId, extra = {}) => {
+    try {
+        const reservation = await Reservation.findById(reservationId);
+        if (!reservation) {
+            return;
+        }
+
+        await notifyUser(event, reservation.user_id, {
+            equipmentName: reservation.equipment_name,
+            location: reservation.equipment_location,
+            startTime: reservation.start_time,
+            endTime: reservation.end_time,
+            purpose: reservation.purpose,
+            status: reservation.status,
+            reason: reservation.rejection_reason,
+            ...extra
+        });
+
+        // Pending bookings also go to the equipment managers for review
+        if (event === 'reservation_created' && reservation.status === 'pending') {
+            const permissions = await Permission.getByEquipment(reservation.equipment_id);
+            const managers = permissions.filter(p => p.permission_level === Permission.LEVELS.MANAGER);
+            for (const manager of managers) {
+                await notifyUser('reservation_review_requested', manager.user_id, {
+                    requesterName: reservation.username,
+                    equipmentName: reservation.equipment_name,
+                    startTime: reservation.start_time,
+                    endTime: reservation.end_time,
+                    purpose: reservation.purpose
+                });
+            }
+        }
+    } catch (error) {
+        console.error(`Reservation notification error (${event}, reservation ${reservationId}):`, error);
+    }
+};
+
+/**
+ * 장비 사용 권한 부여/취소 알림
+ * @param {string} event - 'permission_granted' | 'permission_revoked'
+ * @param {number} equipmentId - 장비 ID
+ * @param {number} userId - 대상 사용자
+ * @param {string} level - 부여된 권한 레벨 (부여 시)
+ */
+const notifyPermission = async (event, equipmentId, userId, level = null) => {
+    try {
+        const equipment = await Equipment.findById(equipmentId);
+        if (!equipment) {
+            return;
+        }
+        await notifyUser(event, userId, { equipmentName: equipment.name, level });
+    } catch (error) {
+        console.error(`Permission notification error (${event}, equipment ${equipmentId}):`, error);
+    }
+};
+
+/**
+ * 곧 시작하는 예약 알림 (REMINDER_LEAD_MINUTES, 기본 60분 전)
+ * @returns {number} - 등록한 알림 수
+ */
+const sendReminders = async () => {
+    const leadMinutes = parseInt(process.env.REMINDER_LEAD_MINUTES) || 60;
+    const reservations = await Reservation.getDueReminders(leadMinutes);
+
+    let queued = 0;
+    for (const reservation of reservations) {
+        const result = await Reservation.markReminderSent(reservation.id);
+        if (result.changes === 0) {
+            continue; // another instance already handled it
+        }
+        await notifyUser('reservation_reminder', reservation.user_id, {
+            equipmentName: reservation.equipment_name,
+            location: reservation.equipment_location,
+            startTime: reservation.start_time,
+            endTime: reservation.end_time
+        });
+        queued++;
+    }
+
+    return queued;
+};
+
+module.exports = {
+    notifyUser,
+    notifyReservation,
+    notifyPermission,
+    processQueue,
+    sendReminders,
+};
@@ -0,0 +1,228 @@
+// 알림 메일 템플릿 (한국어 / 영어)
+
+const LEVEL_NAMES = {
+    ko: { normal: '일반사용자', autonomous: '자율사용자', manager: '장비담당자' },
+    en: { normal: 'Normal user', autonomous: 'Autonomous user', manager: 'Equipment manager' },
+};
+
+/**
+ * 예약 시간 표시 (APP_TIMEZONE 기준)
+ * @param {Date|string} start - 시작
+ * @param {Date|string} end - 종료
+ * @param {string} locale - 'ko' | 'en'
+ * @returns {string}
+ */
+const formatRange = (start, end, locale) => {
+    const format = new Intl.DateTimeFormat(locale === 'en' ? 'en-US' : 'ko-KR', {
+        timeZone: process.env.APP_TIMEZONE || 'Asia/Seoul',
+        dateStyle: 'medium',
+        timeStyle: 'short',
+    });
+    return `${format.format(new Date(start))} ~ ${format.format(new Date(end))}`;
+};
+
+const templates = {
+    reservation_created: {
+        ko: (d) => ({
+            subject: d.status === 'pending'
+                ? `[장비예약] ${d.equipmentName} 예약 신청 (승인 대기)`
+                : `[장비예약] ${d.equipmentName} 예약 확정`,
+            text: `${d.username}님,\n\n${d.equipmentName} 예약이 ${d.status === 'pending' ? '등록되었습니다. 장비담당자 승인 후 확정됩니다.' : '확정되었습니다.'}\n\n일시: ${formatRange(d.startTime, d.endTime, 'ko')}\n목적: ${d.purpose || '-'}`,
+        }),
+        en: (d) => ({
+            subject: d.status === 'pending'
+                ? `[Equipment] Reservation request for ${d.equipmentName} (pending approval)`
+                : `[Equipment] Reservation confirmed: ${d.equipmentName}`,
+            text: `Hello ${d.username},\n\nYour reservation for ${d.equipmentName} ${d.status === 'pending' ? 'has been submitted and is waiting for manager approval.' : 'is confirmed.'}\n\nTime: ${formatRange(d.startTime, d.endTime, 'en')}\nPurpose: ${d.purpose || '-'}`,
+        }),
+    },
+
+    reservation_review_requested: {
+        ko: (d) => ({
+            subject: `[장비예약] ${d.equipmentName} 예약 승인 요청`,
+            text: `${d.requesterName}님이 ${d.equipmentName} 예약을 신청했습니다.\n\n일시: ${formatRange(d.startTime, d.endTime, 'ko')}\n목적: ${d.purpose || '-'}\n\n승인 대기 목록에서 확인해주세요.`,
+        }),
+        en: (d) => ({
+            subject: `[Equipment] Approval requested for ${d.equipmentName}`,
+            text: `${d.requesterName} requested a reservation for ${d.equipmentName}.\n\nTime: ${formatRange(d.startTime, d.endTime, 'en')}\nPurpose: ${d.purpose || '-'}\n\nPlease review it in the pending queue.`,
+        }),
+    },
+
+    reservation_confirmed: {
+        ko: (d) => ({
+            subject: `[장비예약] ${d.equipmentName} 예약 승인`,
+            text: `${d.username}님,\n\n${d.equipmentName} 예약이 승인되었습니다.\n\n일시: ${formatRange(d.startTime, d.endTime, 'ko')}`,
+        }),
+        en: (d) => ({
+            subject: `[Equipment] Reservation approved: ${d.equipmentName}`,
+            text: `Hello ${d.username},\n\nYour reservation for ${d.equipmentName} has been approved.\n\nTime: ${formatRange(d.startTime, d.endTime, 'en')}`,
+        }),
+    },
+
+    reservation_rejected: {
+        ko: (d) => ({
+            subject: `[장비예약] ${d.equipmentName} 예약 반려`,
+            text: `${d.username}님,\n\n${d.equipmentName} 예약이 반려되었습니다.\n\n일시: ${formatRange(d.startTime, d.endTime, 'ko')}\n사유: ${d.reason || '-'}`,
+        }),
+        en: (d) => ({
+            subject: `[Equipment] Reservation rejected: ${d.equipmentName}`,
+            text: `Hello ${d.username},\n\nYour reservation for ${d.equipmentName} was rejected.\n\nTime: ${formatRange(d.startTime, d.endTime, 'en')}\nReason: ${d.reason || '-'}`,
+        }),
+    },
+
+    reservation_cancelled: {
+        ko: (d) => ({
+            subject: `[장비예약] ${d.equipmentName} 예약 취소`,
+            text: `${d.username}님,\n\n${d.equipmentName} 예약이 ${d.cancelledBy ? `${d.cancelledBy}님에 의해 ` : ''}취소되었습니다.\n\n일시: ${formatRange(d.startTime, d.endTime, 'ko')}${d.reason ? `\n사유: ${d.reason}` : ''}`,
+        }),
+        en: (d) => ({
+            subject: `[Equipment] Reservation cancelled: ${d.equipmentName}`,
+            text: `Hello ${d.username},\n\nYour reservation for ${d.equipmentName} was cancelled${d.cancelledBy ? ` by ${d.cancelledBy}` : ''}.\n\nTime: ${formatRange(d.startTime, d.endTime, 'en')}${d.reason ? `\nReason: ${d.reason}` : ''}`,
+        }),
+    },
+
+    reservation_updated: {
+        ko: (d) => ({
+            subject: `[장비예약] ${d.equipmentName} 예약 변경`,
+            text: `${d.username}님,\n\n${d.equipmentName} 예약이 ${d.changedBy ? `${d.changedBy}님에 의해 ` : ''}변경되었습니다.\n\n일시: ${formatRange(d.startTime, d.endTime, 'ko')}\n목적: ${d.purpose || '-'}`,
+        }),
+        en: (d) => ({
+            subject: `[Equipment] Reservation changed: ${d.equipmentName}`,
+            text: `Hello ${d.username},\n\nYour reservation for ${d.equipmentName} was changed${d.changedBy ? ` by ${d.changedBy}` : ''}.\n\nTime: ${formatRange(d.startTime, d.endTime, 'en')}\nPurpose: ${d.purpose || '-'}`,
+        }),
+    },
+
+    reservation_restored: {
+        ko: (d) => ({
+            subject: `[장비예약] ${d.equipmentName} 예약 복구`,
+            text: `${d.username}님,\n\n취소되었던 ${d.equipmentName} 예약이 복구되었습니다.\n\n일시: ${formatRange(d.startTime, d.endTime, 'ko')}`,
+        }),
+        en: (d) => ({
+            subject: `[Equipment] Reservation restored: ${d.equipmentName}`,
+            text: `Hello ${d.username},\n\nYour cancelled reservation for ${d.equipmentName} has been restored.\n\nTime: ${formatRange(d.startTime, d.endTime, 'en')}`,
+        }),
+    },
+
+    reservation_reminder: {
+        ko: (d) => ({
+            subject: `[장비예약] ${d.equipmentName} 예약 시작 알림`,
+            text: `${d.username}님,\n\n곧 ${d.equipmentName} 예약이 시작됩니다.\n\n일시: ${formatRange(d.startTime, d.endTime, 'ko')}\n장소: ${d.location || '-'}`,
+        }),
+        en: (d) => ({
+            subject: `[Equipment] Upcoming reservation: ${d.equipmentName}`,
+            text: `Hello ${d.username},\n\nYour reservation for ${d.equipmentName} starts soon.\n\nTime: ${formatRange(d.startTime, d.endTime, 'en')}\nLocation: ${d.location || '-'}`,
+        }),
+    },
+
+    permission_granted: {
+        ko: (d) => ({
+            subject: `[장비예약] ${d.equipmentName} 사용 권한 부여`,
+            text: `${d.username}님,\n\n${d.equipmentName} 사용 권한(${LEVEL_NAMES.ko[d.level] || d.level})이 부여되었습니다.`,
+        }),
+        en: (d) => ({
+            subject: `[Equipment] Access granted: ${d.equipmentName}`,
+            text: `Hello ${d.username},\n\nYou have been granted access to ${d.equipmentName} (${LEVEL_NAMES.en[d.level] || d.level}).`,
+        }),
+    },
+
+    permission_revoked: {
+        ko: (d) => ({
+            subject: `[장비예약] ${d.equipmentName} 사용 권한 취소`,
+            text: `${d.username}님,\n\n${d.equipmentName} 사용 권한이 취소되었습니다.`,
+        }),
+        en: (d) => ({
+            subject: `[Equipment] Access revoked: ${d.equipmentName}`,
+            text: `Hello ${d.username},\n\nYour access to ${d.equipmentName} has been revoked.`,
+        }),
+    },
+
+    password_reset: {
+        ko: (d) => ({
+            subject: '[장비예약] 비밀번호 재설정 안내',
+            text: `${d.username}님,\n\n${d.forced ? '관리자 요청으로 비밀번호를 재설정해야 합니다.' : '비밀번호 재설정이 요청되었습니다.'} 아래 링크에서 새 비밀번호를 설정해주세요.\n\n${d.resetUrl}\n\n링크는 ${d.expiresMinutes}분 동안 한 번만 사용할 수 있습니다. 본인이 요청하지 않았다면 이 메일을 무시하세요.`,
+        }),
+        en: (d) => ({
+            subject: '[Equipment] Password reset',
+            text: `Hello ${d.username},\n\n${d.forced ? 'An administrator requires you to reset your password.' : 'A password reset was requested for your account.'} Set a new password here:\n\n${d.resetUrl}\n\nThe link can be used once within ${d.expiresMinutes} minutes. If you did not request this, ignore this email.`,
+        }),
+    },
+
+    password_changed: {
+        ko: (d) => ({
+            subject: '[장비예약] 비밀번호 변경 완료',
+            text: `${d.username}님,\n\n비밀번호가 변경되어 모든 기기에서 로그아웃되었습니다. 본인이 변경하지 않았다면 관리자에게 즉시 알려주세요.`,
+        }),
+        en: (d) => ({
+            subject: '[Equipment] Password changed',
+            text: `Hello ${d.username},\n\nYour password was changed and all sessions were signed out. If this wasn't you, contact an administrator immediately.`,
+        }),
+    },
+
+    email_verification: {
+        ko: (d) => ({
+            subject: '[장비예약] 이메일 인증',
+            text: `${d.username}님,\n\n아래 링크에서 이메일 주소를 인증해주세요. 인증과 관리자 승인이 끝나면 로그인할 수 있습니다.\n\n${d.verifyUrl}\n\n링크는 ${d.expiresHours}시간 동안 유효합니다.`,
+        }),
+        en: (d) => ({
+            subject: '[Equipment] Verify your email',
+            text: `Hello ${d.username},\n\nPlease verify your email address using the link below. You can log in once your email is verified and an administrator approves your account.\n\n${d.verifyUrl}\n\nThe link is valid for ${d.expiresHours} hours.`,
+        }),
+    },
+
+    account_approved: {
+        ko: (d) => ({
+            subject: '[장비예약] 가입 승인',
+            text: `${d.username}님,\n\n계정이 승인되었습니다. 이제 로그인할 수 있습니다.`,
+        }),
+        en: (d) => ({
+            subject: '[Equipment] Account approved',
+            text: `Hello ${d.username},\n\nYour account has been approved. You can now log in.`,
+        }),
+    },
+
+    account_rejected: {
+        ko: (d) => ({
+            subject: '[장비예약] 가입 반려',
+            text: `${d.username}님,\n\n가입 신청이 반려되었습니다.\n사유: ${d.reason || '-'}`,
+        }),
+        en: (d) => ({
+            subject: '[Equipment] Registration rejected',
+            text: `Hello ${d.username},\n\nYour registration was rejected.\nReason: ${d.reason || '-'}`,
+        }),
+    },
+
+    account_review_requested: {
+        ko: (d) => ({
+            subject: `[장비예약] 가입 승인 요청: ${d.applicantName}`,
+            text: `${d.applicantName}(${d.applicantEmail}, ${d.department || '-'})님이 ${d.requestedRole} 신분으로 가입을 신청했습니다.${d.supervisor ? `\n연수책임자: ${d.supervisor}` : ''}\n\n가입 승인 대기 목록에서 확인해주세요.`,
+        }),
+        en: (d) => ({
+            subject: `[Equipment] Registration pending: ${d.applicantName}`,
+            text: `${d.applicantName} (${d.applicantEmail}, ${d.department || '-'}) registered as ${d.requestedRole}.${d.supervisor ? `\nSupervisor: ${d.supervisor}` : ''}\n\nPlease review it in the pending registrations list.`,
+        }),
+    },
+};
+
+// Account security mail is always sent regardless of user preferences
+const SECURITY_EVENTS = ['password_reset', 'password_changed', 'email_verification', 'account_approved', 'account_rejected'];
+
+/**
+ * 템플릿 렌더링
+ * @param {string} event - 이벤트 이름
+ * @param {string} locale - 'ko' | 'en' (없으면 ko)
+ * @param {Object} data - 템플릿 데이터
+ * @returns {{ subject: string, text: string }}
+ */
+const renderTemplate = (event, locale, data) => {
+    const template = templates[event];
+    if (!template) {
+        throw new Error(`Unknown notification event: ${event}`);
+    }
+    return (template[locale] || template.ko)(data);
+};
+
+module.exports = {
+    EVENTS: Object.keys(templates).filter(event => !SECURITY_EVENTS.includes(event)),
+    SECURITY_EVENTS,
+    renderTemplate,
+};
@@ -0,0 +1,37 @@
+// 비밀번호 규칙 (회원가입, 비밀번호 변경/재설정에서 공통으로 사용)
+
+const MIN_LENGTH = 8;
+const MAX_BYTES = 72; // bcrypt ignores bytes beyond 72
+
+/**
+ * 비밀번호 강도 검사
+ * @param {string} password - 새 비밀번호
+ * @param {{ email?: string, username?: string }} user - 이메일/이름과 같은 비밀번호 방지용
+ * @returns {string|null} - 규칙 위반 시 오류 메시지, 통과하면 null
+ */
+const validatePassword = (password, user = {}) => {
+    if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+        return `비밀번호는 ${MIN_LENGTH}자 이상이어야 합니다.`;
+    }
+
+    if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) {
+        return '비밀번호가 너무 깁니다.';
+    }
+
+    if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+        return '비밀번호는 영문자와 숫자를 모두 포함해야 합니다.';
+    }
+
+    const lowered = password.toLowerCase();
+    const emailName = user.email ? user.email.split('@')[0].toLowerCase() : null;
+    if ((emailName && lowered === emailName) || (user.username && lowered === user.username.toLowerCase())) {
+        return '이메일이나 이름과 같은 비밀번호는 사용할 수 없습니다.';
+    }
+
+    return null;
+};
+
+module.exports = {
+    MIN_LENGTH,
+    validatePassword,
+};
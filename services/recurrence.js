@@ -0,0 +1,184 @@
+// 반복 예약 규칙 전개 (daily / weekly)
+// 요일과 종료일은 APP_TIMEZONE(기본 Asia/Seoul) 기준으로 판단합니다.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_OCCURRENCES = 200;
+// 반복 간격 상한 (daily: 일, weekly: 주)과 첫 예약 이후 전개할 최대 기간(일)
+const MAX_INTERVALS = { daily: 365, weekly: 52 };
+const MAX_HORIZON_DAYS = 730;
+const FREQUENCIES = ['daily', 'weekly'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const getTimeZone = () => process.env.APP_TIMEZONE || 'Asia/Seoul';
+
+/**
+ * 주어진 시각의 현지 날짜, 요일, 자정 이후 경과 분
+ * @param {Date} date - 기준 시각
+ * @returns {{ date: string, weekday: number, minutes: number }} - YYYY-MM-DD, 요일 (0=일요일), 분
+ */
+const getLocalDay = (date) => {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone: getTimeZone(),
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const part = (type) => parts.find(p => p.type === type).value;
+
+    return {
+        date: `${part('year')}-${part('month')}-${part('day')}`,
+        weekday: WEEKDAY_NAMES.indexOf(part('weekday')),
+        minutes: Number(part('hour')) * 60 + Number(part('minute')),
+    };
+};
+
+/**
+ * 현지 날짜와 자정 이후 경과 분을 실제 시각으로 변환 (일광 절약 시간 전환일도 같은 벽시계 시각 유지)
+ * @param {string} date - YYYY-MM-DD (APP_TIMEZONE 기준)
+ * @param {number} minutes - 자정 이후 경과 분
+ * @returns {Date}
+ */
+const fromLocalTime = (date, minutes) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day) + minutes * MINUTE_MS;
+
+    // 벽시계 시각에서 그 시점의 UTC 오프셋을 빼고, 오프셋이 바뀌는 경계를 위해 한 번 더 보정
+    let time = wallClock;
+    for (let pass = 0; pass < 2; pass++) {
+        const local = getLocalDay(new Date(time));
+        const [y, m, d] = local.date.split('-').map(Number);
+        const offset = Date.UTC(y, m - 1, d) + local.minutes * MINUTE_MS - Math.floor(time / MINUTE_MS) * MINUTE_MS;
+        time = wallClock - offset;
+    }
+    return new Date(time);
+};
+
+/**
+ * 주어진 시각이 속한 현지 날짜(APP_TIMEZONE)에서 days일 뒤의 자정
+ * @param {Date} date - 기준 시각
+ * @param {number} days - 더할 일수 (음수 가능)
+ * @returns {Date}
+ */
+const getLocalMidnight = (date, days = 0) => {
+    const [year, month, day] = getLocalDay(date).date.split('-').map(Number);
+    return fromLocalTime(new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10), 0);
+};
+
+/**
+ * 반복 규칙 검증
+ * @param {Object} rule - { frequency, interval, weekdays, until, count }
+ * @returns {string|null} - 오류 메시지 또는 null
+ */
+const validateRule = (rule) => {
+    if (!rule || !FREQUENCIES.includes(rule.frequency)) {
+        return '반복 주기는 daily 또는 weekly여야 합니다.';
+    }
+
+    const maxInterval = MAX_INTERVALS[rule.frequency];
+    if (rule.interval !== undefined &&
+        (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > maxInterval)) {
+        return `반복 간격은 1~${maxInterval} 사이의 정수여야 합니다.`;
+    }
+
+    if (rule.weekdays !== undefined) {
+        if (rule.frequency !== 'weekly') {
+            return '요일 지정은 weekly 반복에서만 사용할 수 있습니다.';
+        }
+        if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0 ||
+            !rule.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+            return '요일은 0(일)~6(토) 사이의 정수 배열이어야 합니다.';
+        }
+    }
+
+    if (!rule.until && !rule.count) {
+        return '종료일(until) 또는 반복 횟수(count)를 지정해야 합니다.';
+    }
+
+    if (rule.until) {
+        const match = typeof rule.until === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(rule.until);
+        const until = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        if (!until || until.toISOString().slice(0, 10) !== rule.until) {
+            return '종료일은 YYYY-MM-DD 형식의 올바른 날짜여야 합니다.';
+        }
+        if (until.getTime() > Date.now() + MAX_HORIZON_DAYS * DAY_MS) {
+            return `종료일은 ${MAX_HORIZON_DAYS}일 이내여야 합니다.`;
+        }
+    }
+
+    if (rule.count !== undefined && rule.count !== null &&
+        (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+        return `반복 횟수는 1~${MAX_OCCURRENCES} 사이여야 합니다.`;
+    }
+
+    return null;
+};
+
+/**
+ * 반복 규칙을 개별 예약 시간으로 전개
+ * 첫 예약(startTime~endTime)의 현지 날짜부터 간격만큼 건너뛰며 규칙에 맞는 날짜를 수집하고,
+ * 각 날짜에 첫 예약과 같은 현지 시각으로 예약을 만듭니다. 첫 예약 이후 MAX_HORIZON_DAYS일까지만 전개합니다.
+ * @param {Object} rule - { frequency, interval, weekdays, until, count }
+ * @param {string|Date} startTime - 첫 예약 시작 시각
+ * @param {string|Date} endTime - 첫 예약 종료 시각
+ * @returns {Array<{ date: string, start: Date, end: Date }>} - 전개된 예약 목록
+ */
+const expandRule = (rule, startTime, endTime) => {
+    const start = new Date(startTime);
+    const duration = new Date(endTime) - start;
+    const interval = rule.interval || 1;
+    const first = getLocalDay(start);
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const [year, month, date] = first.date.split('-').map(Number);
+    const seconds = start.getTime() % MINUTE_MS;
+
+    // 첫 예약 날짜로부터 day일 뒤의 예약 추가 (종료일이나 최대 기간을 넘으면 false)
+    const occurrences = [];
+    const addOccurrence = (day) => {
+        const localDate = new Date(Date.UTC(year, month - 1, date + day)).toISOString().slice(0, 10);
+        if (day > MAX_HORIZON_DAYS || (rule.until && localDate > rule.until)) {
+            return false;
+        }
+        const occurrenceStart = new Date(fromLocalTime(localDate, first.minutes).getTime() + seconds);
+        occurrences.push({
+            date: localDate,
+            start: occurrenceStart,
+            end: new Date(occurrenceStart.getTime() + duration),
+        });
+        return true;
+    };
+
+    if (rule.frequency === 'daily') {
+        for (let day = 0; occurrences.length < limit && addOccurrence(day); day += interval);
+        return occurrences;
+    }
+
+    // 주 단위 간격은 첫 예약이 속한 주(일요일 시작)를 0주차로 계산
+    const weekdays = rule.weekdays && rule.weekdays.length > 0
+        ? [...new Set(rule.weekdays)].sort((a, b) => a - b)
+        : [first.weekday];
+    for (let week = 0; occurrences.length < limit; week += interval) {
+        for (const weekday of weekdays) {
+            const day = week * 7 + weekday - first.weekday;
+            if (day < 0) {
+                continue;
+            }
+            if (occurrences.length >= limit || !addOccurrence(day)) {
+                return occurrences;
+            }
+        }
+    }
+    return occurrences;
+};
+
+module.exports = {
+    MAX_OCCURRENCES,
+    getLocalDay,
+    getLocalMidnight,
+    validateRule,
+    expandRule,
+};
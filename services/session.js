@@ -0,0 +1,135 @@
+// 로그인 세션 / 토큰 발급
+// 액세스 토큰(JWT)은 짧게 유지하고, 서버에 저장된 세션의 refresh 토큰으로 갱신합니다.
+// refresh 토큰은 사용할 때마다 교체되며, 이미 교체된 토큰이 다시 쓰이면 탈취로 보고 세션을 폐기합니다.
+
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { getClientIp } = require('./audit');
+const { getRoleCapabilities } = require('./capabilities');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 14;
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+/**
+ * 액세스 토큰 발급 (sid: 세션 ID, verifyToken에서 세션 상태 확인에 사용)
+ * @param {Object} user - users 행
+ * @param {number} sessionId - 세션 ID
+ * @returns {string}
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        user_role: user.user_role,
+        department: user.department,
+        sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+/**
+ * 로그인 성공 시 세션 생성
+ * @param {Object} user - users 행
+ * @param {Object} req - Express request (User-Agent, IP 기록)
+ * @returns {{ token: string, refreshToken: string, expiresIn: string }}
+ */
+const startSession = async (user, req) => {
+    const session = await Session.create(user.id, REFRESH_TOKEN_DAYS, req.headers['user-agent'] || null, getClientIp(req));
+    return {
+        token: signAccessToken(user, session.id),
+        refreshToken: session.refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+};
+
+/**
+ * 로그인 완료 응답 (세션 생성 + 사용자 정보, 전역 권한 목록)
+ * @param {Object} user - users 행
+ * @param {Object} req - Express request
+ * @returns {Object}
+ */
+const buildLoginResponse = async (user, req) => {
+    const { token, refreshToken, expiresIn } = await startSession(user, req);
+    return {
+        message: '로그인 성공',
+        token,
+        refreshToken,
+        expiresIn,
+        user: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            user_role: user.user_role,
+            department: user.department,
+            phone: user.phone,
+            supervisor: user.supervisor
+        },
+        capabilities: getRoleCapabilities(user.user_role)
+    };
+};
+
+/**
+ * 로그인 마지막 단계 (2단계 인증을 마친 뒤에만 호출)
+ * 관리자가 비밀번호 재설정을 요구한 계정은 세션 대신 재설정 토큰을 받습니다.
+ * @param {Object} user - users 행
+ * @param {Object} req - Express request
+ * @returns {{ status: number, body: Object }}
+ */
+const finishLogin = async (user, req) => {
+    if (user.must_reset_password) {
+        const resetToken = await PasswordResetToken.create(user.id, RESET_TOKEN_MINUTES, 'forced', getClientIp(req));
+        return {
+            status: 403,
+            body: { error: '비밀번호를 재설정해야 합니다.', code: 'PASSWORD_RESET_REQUIRED', resetToken }
+        };
+    }
+    return { status: 200, body: await buildLoginResponse(user, req) };
+};
+
+/**
+ * refresh 토큰으로 새 토큰 쌍 발급 (현재 사용자 정보로 다시 서명)
+ * @param {string} refreshToken - 클라이언트가 보관한 refresh 토큰
+ * @returns {{ token: string, refreshToken: string, expiresIn: string }|null} - 유효하지 않으면 null
+ */
+const refreshSession = async (refreshToken) => {
+    const session = await Session.findByRefreshToken(refreshToken);
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        return null;
+    }
+
+    // A rotated-out token was presented again: assume it leaked and end the session
+    if (!session.is_current) {
+        await Session.revoke(session.id, 'refresh_token_reuse');
+        console.warn(`Refresh token reuse detected, session ${session.id} revoked`);
+        return null;
+    }
+
+    const user = await User.findById(session.user_id);
+    if (!user) {
+        return null;
+    }
+
+    const nextRefreshToken = await Session.rotate(session.id, refreshToken, REFRESH_TOKEN_DAYS);
+    if (!nextRefreshToken) {
+        return null;
+    }
+
+    return {
+        token: signAccessToken(user, session.id),
+        refreshToken: nextRefreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+};
+
+module.exports = {
+    startSession,
+    RESET_TOKEN_MINUTES,
+    buildLoginResponse,
+    finishLogin,
+    refreshSession,
+};
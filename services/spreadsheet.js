@@ -0,0 +1,229 @@
+// CSV / Excel 파일 읽기·쓰기
+// 가져오기는 CSV(UTF-8 또는 엑셀 기본 저장 형식인 EUC-KR)와 XLSX의 첫 번째 시트를 읽고,
+// 내보내기는 엑셀에서 한글이 깨지지 않도록 UTF-8 BOM을 붙인 CSV 또는 XLSX로 만듭니다.
+
+const ExcelJS = require('exceljs');
+const { safeCell, toCsv } = require('./csv');
+const { getLocalDay } = require('./recurrence');
+
+const FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+/**
+ * CSV 텍스트를 행 배열로 (RFC 4180: 따옴표 안의 쉼표·줄바꿈, "" 이스케이프)
+ * @param {string} text - CSV 내용
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Excel saves Korean CSV as EUC-KR (CP949) unless "CSV UTF-8" is chosen
+const decodeCsv = (buffer) => {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return new TextDecoder('euc-kr').decode(buffer);
+    }
+};
+
+// XLSX cell value → text (rich text, hyperlinks, formulas and dates included)
+const cellText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object') {
+        if (value.richText) {
+            return value.richText.map(part => part.text).join('');
+        }
+        if (value.text !== undefined) {
+            return cellText(value.text);
+        }
+        if (value.result !== undefined) {
+            return cellText(value.result);
+        }
+        return '';
+    }
+    return String(value);
+};
+
+const readXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+        return [];
+    }
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const values = [];
+        for (let col = 1; col <= row.cellCount; col++) {
+            values.push(cellText(row.getCell(col).value));
+        }
+        rows[rowNumber - 1] = values;
+    });
+    return Array.from(rows, row => row || []);
+};
+
+/**
+ * 업로드된 파일을 머리글 + 데이터 행으로 읽기
+ * 빈 행은 건너뛰고, 각 행에는 파일 기준 행 번호(머리글 = 1)를 붙입니다.
+ * @param {Buffer} buffer - 파일 내용
+ * @param {string} filename - 확장자로 형식 판단 (.csv / .xlsx)
+ * @returns {{ headers: string[], rows: Array<{ rowNumber: number, cells: string[] }> }}
+ */
+const readSpreadsheet = async (buffer, filename) => {
+    const extension = String(filename).toLowerCase().split('.').pop();
+    let table;
+    if (extension === 'csv') {
+        table = parseCsv(decodeCsv(buffer).replace(/^\uFEFF/, ''));
+    } else if (extension === 'xlsx') {
+        table = await readXlsx(buffer);
+    } else {
+        throw new Error('CSV 또는 XLSX 파일만 가져올 수 있습니다.');
+    }
+
+    const [headerRow = [], ...dataRows] = table;
+    const headers = headerRow.map(header => String(header).trim());
+    const rows = dataRows
+        .map((cells, index) => ({ rowNumber: index + 2, cells: cells.map(cell => String(cell).trim()) }))
+        .filter(row => row.cells.some(cell => cell !== ''));
+
+    return { headers, rows };
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Wall-clock text in APP_TIMEZONE
+const formatDateTime = (date) => {
+    const local = getLocalDay(date);
+    return `${local.date} ${pad(Math.floor(local.minutes / 60))}:${pad(local.minutes % 60)}`;
+};
+
+// ExcelJS writes dates as UTC, so shift them to keep the APP_TIMEZONE wall-clock time
+const toExcelDate = (date) => {
+    const local = getLocalDay(date);
+    const [year, month, day] = local.date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) + local.minutes * 60 * 1000 + date.getTime() % (60 * 1000));
+};
+
+// Typed value of a cell: 'number' columns hold numbers (pg returns COUNT/SUM as strings), 'date' columns Dates
+const typedValue = (column, value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (column.type === 'number') {
+        const number = Number(value);
+        return isNaN(number) ? null : number;
+    }
+    if (column.type === 'date' || value instanceof Date) {
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    return value;
+};
+
+/**
+ * 행 목록을 CSV/XLSX 파일로
+ * XLSX에는 'number' 열은 숫자, 'date' 열은 날짜 셀로 들어가고, CSV에는 날짜가 "YYYY-MM-DD HH:mm"으로 들어갑니다 (둘 다 APP_TIMEZONE 기준).
+ * @param {'csv'|'xlsx'} format - 파일 형식
+ * @param {Array<{ key: string, header: string, type?: 'number'|'date', numFmt?: string }>} columns - 열 정의 (순서대로)
+ * @param {Object[]} rows - 데이터
+ * @param {string} sheetName - XLSX 시트 이름
+ * @returns {Buffer}
+ */
+const buildSpreadsheet = async (format, columns, rows, sheetName = 'Sheet1') => {
+    if (format === 'csv') {
+        const csvRows = rows.map(row => Object.fromEntries(columns.map(column => {
+            const value = typedValue(column, row[column.key]);
+            return [column.key, value instanceof Date ? formatDateTime(value) : value];
+        })));
+        return Buffer.from(toCsv(columns, csvRows), 'utf8');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+    sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: Math.max(column.type === 'date' ? 18 : 12, column.header.length + 4),
+        style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : column.numFmt ? { numFmt: column.numFmt } : {}
+    }));
+    rows.forEach(row => {
+        sheet.addRow(Object.fromEntries(columns.map(column => {
+            const value = typedValue(column, row[column.key]);
+            if (value instanceof Date) {
+                return [column.key, toExcelDate(value)];
+            }
+            return [column.key, typeof value === 'number' ? value : safeCell(value)];
+        })));
+    });
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * CSV/XLSX 파일 다운로드 응답
+ * @param {Object} res - Express response
+ * @param {'csv'|'xlsx'} format - 파일 형식
+ * @param {string} basename - 확장자를 뺀 파일명
+ * @param {Array<Object>} columns - 열 정의 (buildSpreadsheet 참고)
+ * @param {Object[]} rows - 데이터
+ */
+const sendSpreadsheet = async (res, format, basename, columns, rows) => {
+    const file = await buildSpreadsheet(format, columns, rows, basename);
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}.${FORMATS[format].extension}"`);
+    res.send(file);
+};
+
+module.exports = {
+    FORMATS,
+    readSpreadsheet,
+    buildSpreadsheet,
+    sendSpreadsheet,
+};
@@ -0,0 +1,132 @@
+// 이용 통계 (/stats, /stats/manager, 통계 내보내기)
+// 관리자(stats.view)는 전체 장비, 장비담당자는 담당 장비의 예약만 집계합니다.
+
+const Stats = require('../models/Stats');
+const Reservation = require('../models/Reservation');
+const { CAPABILITIES, hasCapability, getScopedEquipmentIds } = require('./capabilities');
+
+const MATRIX_LIMIT = 20;
+
+const USAGE_RATE_COLUMNS = [
+    { key: 'total_reservations', header: '전체 예약', type: 'number' },
+    { key: 'confirmed_count', header: '확정', type: 'number' },
+    { key: 'cancelled_count', header: '취소', type: 'number' },
+    { key: 'total_hours', header: '예약 시간(h)', type: 'number', numFmt: '0.0' },
+    { key: 'actual_hours', header: '실사용 시간(h)', type: 'number', numFmt: '0.0' },
+    { key: 'utilization', header: '실사용률(%)', type: 'number', numFmt: '0.0' },
+    { key: 'no_show_count', header: '노쇼', type: 'number' },
+    { key: 'no_show_rate', header: '노쇼율(%)', type: 'number', numFmt: '0.0' },
+];
+
+// Export sections of /stats: file name and columns
+const STATS_SECTIONS = {
+    equipment: {
+        filename: 'equipment-usage',
+        columns: [
+            { key: 'id', header: '장비 ID', type: 'number' },
+            { key: 'equipment_name', header: '장비' },
+            ...USAGE_RATE_COLUMNS,
+        ],
+    },
+    users: {
+        filename: 'user-usage',
+        columns: [
+            { key: 'id', header: '사용자 ID', type: 'number' },
+            { key: 'username', header: '이름' },
+            { key: 'email', header: '이메일' },
+            { key: 'department', header: '소속' },
+            ...USAGE_RATE_COLUMNS,
+        ],
+    },
+    matrix: {
+        filename: 'user-equipment-usage',
+        columns: [
+            { key: 'username', header: '사용자' },
+            { key: 'equipment_name', header: '장비' },
+            { key: 'reservation_count', header: '예약 수', type: 'number' },
+            { key: 'total_hours', header: '예약 시간(h)', type: 'number', numFmt: '0.0' },
+        ],
+    },
+    monthly: {
+        filename: 'monthly-trends',
+        columns: [
+            { key: 'month', header: '월' },
+            { key: 'count', header: '예약 수', type: 'number' },
+            { key: 'total_hours', header: '예약 시간(h)', type: 'number', numFmt: '0.0' },
+        ],
+    },
+};
+
+/**
+ * 통계 행에 실사용률(실사용 / 예약 시간)과 노쇼율(시작된 확정 예약 중 노쇼 비율, %) 추가
+ * @param {Object[]} rows - 사용량 집계 행
+ * @returns {Object[]}
+ */
+const withUsageRates = (rows) => (rows || []).map(row => {
+    const totalHours = Number(row.total_hours);
+    const dueCount = Number(row.due_count);
+    return {
+        ...row,
+        utilization: totalHours > 0 ? Math.round(Number(row.actual_hours) / totalHours * 1000) / 10 : 0,
+        no_show_rate: dueCount > 0 ? Math.round(Number(row.no_show_count) / dueCount * 1000) / 10 : 0
+    };
+});
+
+/**
+ * 통계 범위: 전체 통계 권한이면 null(모든 장비), 아니면 예약을 관리하는 담당 장비 ID 목록
+ * @param {{ id: number, user_role: string }} user - 사용자
+ * @returns {number[]|null}
+ */
+const getStatsEquipmentIds = async (user) => {
+    if (await hasCapability(user, CAPABILITIES.STATS_VIEW)) {
+        return null;
+    }
+    return await getScopedEquipmentIds(user, CAPABILITIES.RESERVATION_MANAGE);
+};
+
+/**
+ * 통계 항목 모두 조회 (사용자 × 장비는 상위 MATRIX_LIMIT개)
+ * @param {{ equipmentIds: number[]|null, startDate?: string, endDate?: string }} scope - 장비 범위와 기간
+ * @returns {{ equipmentStats: Object[], userStats: Object[], userEquipmentStats: Object[], monthlyStats: Object[] }}
+ */
+const getUsageStats = async (scope) => {
+    // Bring no-show flags up to date before counting
+    await Reservation.markNoShows();
+
+    return {
+        equipmentStats: withUsageRates(await Stats.getEquipmentUsage(scope)),
+        userStats: withUsageRates(await Stats.getUserUsage(scope)),
+        userEquipmentStats: await Stats.getUserEquipmentMatrix(scope, MATRIX_LIMIT),
+        monthlyStats: await Stats.getMonthlyTrends(scope)
+    };
+};
+
+/**
+ * 통계 항목 하나 조회 (내보내기용, 사용자 × 장비는 전체)
+ * @param {string} section - STATS_SECTIONS 키
+ * @param {Object} scope - getUsageStats 참고
+ * @returns {Object[]}
+ */
+const getStatsSection = async (section, scope) => {
+    switch (section) {
+        case 'equipment':
+            await Reservation.markNoShows();
+            return withUsageRates(await Stats.getEquipmentUsage(scope));
+        case 'users':
+            await Reservation.markNoShows();
+            return withUsageRates(await Stats.getUserUsage(scope));
+        case 'matrix':
+            return await Stats.getUserEquipmentMatrix(scope, null);
+        case 'monthly':
+            return await Stats.getMonthlyTrends(scope);
+        default:
+            throw new Error(`Unknown stats section: ${section}`);
+    }
+};
+
+module.exports = {
+    STATS_SECTIONS,
+    getStatsEquipmentIds,
+    getUsageStats,
+    getStatsSection,
+};
@@ -0,0 +1,150 @@
+// TOTP (RFC 6238, HMAC-SHA1, 30초, 6자리) - Google Authenticator 등 OTP 앱과 호환
+// 비밀키는 DB에 AES-256-GCM으로 암호화해 저장합니다 (TOTP_ENCRYPTION_KEY, 없으면 JWT_SECRET에서 유도).
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Base32 인코딩 (패딩 없음)
+ * @param {Buffer} buffer - 원본 바이트
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Base32 디코딩 (공백/패딩/소문자 허용)
+ * @param {string} text - Base32 문자열
+ * @returns {Buffer}
+ */
+const base32Decode = (text) => {
+    const clean = text.replace(/[\s=]/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * 새 비밀키 (160비트, Base32)
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * 특정 시간 단계의 코드
+ * @param {string} secret - Base32 비밀키
+ * @param {number} step - Unix 시간 / 30
+ * @returns {string} - 6자리 코드
+ */
+const codeAt = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * 코드 검증 (앞뒤 window 단계까지 시계 오차 허용)
+ * @param {string} secret - Base32 비밀키
+ * @param {string} code - 사용자가 입력한 코드
+ * @param {number} window - 허용 단계 수
+ * @returns {number|null} - 일치한 시간 단계 (재사용 방지용), 불일치 시 null
+ */
+const verifyCode = (secret, code, window = 1) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = codeAt(secret, currentStep + offset);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+            return currentStep + offset;
+        }
+    }
+    return null;
+};
+
+/**
+ * OTP 앱 등록용 otpauth:// URI
+ * @param {string} secret - Base32 비밀키
+ * @param {string} accountName - 계정 표시 이름 (이메일)
+ * @returns {string}
+ */
+const buildOtpauthUri = (secret, accountName) => {
+    const issuer = process.env.TOTP_ISSUER || 'Equipment Reservation';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+const encryptionKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || `totp:${process.env.JWT_SECRET}`)
+    .digest();
+
+/**
+ * 비밀키 암호화 (iv.tag.ciphertext, base64)
+ * @param {string} secret - Base32 비밀키
+ * @returns {string}
+ */
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * 비밀키 복호화
+ * @param {string} payload - encryptSecret 결과
+ * @returns {string}
+ */
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    generateSecret,
+    verifyCode,
+    buildOtpauthUri,
+    encryptSecret,
+    decryptSecret,
+};
@@ -0,0 +1,159 @@
+// 2단계 인증 (TOTP + 일회용 복구 코드)
+// 등록: 비밀키 발급 → 첫 코드 확인 후 활성화 → 복구 코드 1회 표시
+// 로그인: 비밀번호 확인 후 challenge 토큰 발급 → OTP 또는 복구 코드로 세션 발급
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const AppSetting = require('../models/AppSetting');
+const RecoveryCode = require('../models/RecoveryCode');
+const { generateSecret, verifyCode, buildOtpauthUri, encryptSecret, decryptSecret } = require('./totp');
+
+const PRIVILEGED_ROLES = ['admin', 'equipment_manager'];
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const CHALLENGE_PURPOSES = {
+    VERIFY: '2fa_verify',  // 등록된 사용자의 로그인 2단계
+    ENROLL: '2fa_enroll',  // 2FA 필수인데 아직 등록하지 않은 사용자의 로그인 중 등록
+};
+
+/**
+ * 이 사용자에게 2FA가 필수인지 (관리자 설정 + 관리자/장비담당자 신분)
+ * @param {Object} user - users 행
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = async (user) => {
+    if (!PRIVILEGED_ROLES.includes(user.user_role)) {
+        return false;
+    }
+    return !!(await AppSetting.get(AppSetting.KEYS.REQUIRE_2FA_PRIVILEGED, false));
+};
+
+/**
+ * 로그인 2단계용 단기 토큰 (세션 ID가 없으므로 verifyToken에서는 거부됨)
+ * @param {Object} user - users 행
+ * @param {string} purpose - CHALLENGE_PURPOSES
+ * @returns {string}
+ */
+const signChallenge = (user, purpose) => jwt.sign(
+    { id: user.id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+/**
+ * challenge 토큰 확인
+ * @param {string} token - signChallenge 결과
+ * @param {string} purpose - 기대하는 용도
+ * @returns {number|null} - 사용자 ID, 유효하지 않으면 null
+ */
+const readChallenge = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === purpose ? decoded.id : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * 등록 시작: 새 비밀키 저장 (아직 비활성) 후 OTP 앱 등록 정보 반환
+ * @param {Object} user - users 행
+ * @returns {{ secret: string, otpauthUri: string }}
+ */
+const startEnrollment = async (user) => {
+    const secret = generateSecret();
+    await User.setTotpSecret(user.id, encryptSecret(secret));
+    return { secret, otpauthUri: buildOtpauthUri(secret, user.email) };
+};
+
+// XXXX-XXXX style codes without easily confused characters
+const newRecoveryCode = () => {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]);
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+/**
+ * 복구 코드 재발급 (기존 코드는 모두 무효)
+ * @param {number} userId - 사용자 ID
+ * @returns {string[]} - 평문 복구 코드 (이번 한 번만 표시)
+ */
+const regenerateRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+    await RecoveryCode.replaceAll(userId, codes);
+    return codes;
+};
+
+/**
+ * OTP 코드 확인 (같은 시간 단계 코드 재사용 불가)
+ * @param {Object} user - totp_secret 포함 users 행
+ * @param {string} code - 6자리 코드
+ * @returns {boolean}
+ */
+const checkTotp = async (user, code) => {
+    if (!user.totp_secret) {
+        return false;
+    }
+    const step = verifyCode(decryptSecret(user.totp_secret), code);
+    if (step === null) {
+        return false;
+    }
+    const result = await User.useTotpStep(user.id, step);
+    return result.changes > 0;
+};
+
+/**
+ * 등록 완료: 첫 코드 확인 후 활성화
+ * @param {Object} user - totp_secret 포함 users 행
+ * @param {string} code - OTP 앱에 표시된 코드
+ * @returns {string[]|null} - 복구 코드, 코드가 틀리면 null
+ */
+const activateTwoFactor = async (user, code) => {
+    if (!(await checkTotp(user, code))) {
+        return null;
+    }
+    await User.enableTotp(user.id);
+    return await regenerateRecoveryCodes(user.id);
+};
+
+/**
+ * 로그인 2단계 확인 (OTP 또는 복구 코드)
+ * @param {Object} user - totp_secret 포함 users 행
+ * @param {{ code?: string, recoveryCode?: string }} input - 입력값
+ * @returns {{ method: string }|null} - 사용한 수단, 실패 시 null
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (!user.totp_enabled) {
+        return null;
+    }
+    if (code && (await checkTotp(user, code))) {
+        return { method: 'totp' };
+    }
+    if (recoveryCode && (await RecoveryCode.consume(user.id, recoveryCode))) {
+        return { method: 'recovery_code' };
+    }
+    return null;
+};
+
+/**
+ * 2FA 해제 (비밀키와 복구 코드 삭제)
+ * @param {number} userId - 사용자 ID
+ */
+const disableTwoFactor = async (userId) => {
+    await User.disableTotp(userId);
+    await RecoveryCode.deleteAll(userId);
+};
+
+module.exports = {
+    CHALLENGE_PURPOSES,
+    isTwoFactorRequired,
+    signChallenge,
+    readChallenge,
+    startEnrollment,
+    activateTwoFactor,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+};
@@ -0,0 +1,77 @@
+// 대기열 자동 승격
+// 예약 취소/반려로 시간이 비면, 겹치는 대기 요청을 먼저 등록된 순서대로 예약으로 전환합니다.
+
+const Waitlist = require('../models/Waitlist');
+const Reservation = require('../models/Reservation');
+const Equipment = require('../models/Equipment');
+const { notifyReservation } = require('./notification');
+const { checkBookingPolicy } = require('./bookingPolicy');
+const { CAPABILITIES, hasCapability } = require('./capabilities');
+
+/**
+ * 비워진 시간대에 맞는 대기 요청을 예약으로 승격
+ * 승격된 예약의 상태는 직접 예약과 같은 권한 규칙을 따릅니다 (자율사용/담당자 → confirmed, 일반 → pending).
+ * 대기자에게 지금 적용되는 예약 규칙을 위반하는 요청은 승격하지 않고 대기 상태로 둡니다.
+ * 실패해도 호출한 요청(취소 등)이 실패하지 않도록 오류는 기록만 합니다.
+ * @param {number} equipmentId - 장비 ID
+ * @param {Date|string} startTime - 비워진 시작 시각
+ * @param {Date|string} endTime - 비워진 종료 시각
+ * @returns {Array<{ waitlistId: number, reservationId: number, userId: number, status: string }>} - 승격 목록
+ */
+const promoteWaitlist = async (equipmentId, startTime, endTime) => {
+    const promoted = [];
+
+    try {
+        const equipment = await Equipment.findById(equipmentId);
+        if (!Equipment.isBookable(equipment)) {
+            return promoted;
+        }
+
+        const entries = await Waitlist.getWaitingForRange(equipmentId, startTime, endTime);
+        for (const entry of entries) {
+            const hasConflict = await Reservation.checkConflict(equipmentId, entry.start_time, entry.end_time);
+            if (hasConflict) {
+                continue;
+            }
+
+            const user = { id: entry.user_id, user_role: entry.user_role };
+            const violations = await checkBookingPolicy(equipmentId, user, entry.start_time, entry.end_time);
+            if (violations.length > 0) {
+                continue;
+            }
+
+            const autoConfirm = await hasCapability(user, CAPABILITIES.RESERVATION_AUTO_CONFIRM);
+            const status = await Reservation.determineInitialStatus(equipmentId, entry.user_id, autoConfirm);
+            let reservationId;
+            try {
+                reservationId = await Reservation.create(
+                    equipmentId,
+                    entry.user_id,
+                    entry.start_time,
+                    entry.end_time,
+                    entry.purpose || '',
+                    status
+                );
+            } catch (error) {
+                // 그 사이 다른 예약이 먼저 들어온 경우 다음 대기자로
+                if (error.code === Reservation.CONFLICT_ERROR) {
+                    continue;
+                }
+                throw error;
+            }
+            await Waitlist.markPromoted(entry.id, reservationId);
+            notifyReservation('reservation_created', reservationId);
+
+            console.log(`⏫ Waitlist entry ${entry.id} promoted to reservation ${reservationId}`);
+            promoted.push({ waitlistId: entry.id, reservationId, userId: entry.user_id, status });
+        }
+    } catch (error) {
+        console.error('Waitlist promotion error:', error);
+    }
+
+    return promoted;
+};
+
+module.exports = {
+    promoteWaitlist,
+};